@@ -2,11 +2,14 @@ const { MCPClient } = require('./mcp_client');
 const { RAGSetup } = require('./rag_setup');
 const { DemoRAGSetup } = require('./rag_setup_demo');
 const winston = require('winston');
+const { Tracer } = require('../tracing');
 
 class DevAssistantAgent {
     constructor(options = {}) {
+        this.tracer = options.tracer || Tracer.fromEnv('dev-assistant-agent');
         this.mcpClient = new MCPClient({
-            proxyUrl: options.proxyUrl || 'http://localhost:8000'
+            proxyUrl: options.proxyUrl || 'http://localhost:8000',
+            tracer: this.tracer
         });
         
         // Configure logging
@@ -73,12 +76,29 @@ class DevAssistantAgent {
             await this.initialize();
         }
 
-        this.logger.info('Processing query: ' + query);
+        // One trace per query: its MCP calls carry the trace through the proxy to the wrapper
+        const tracer = this.tracer;
+        const span = tracer.startSpan('agent.process_query', { attributes: { 'agent.rag_mode': this.ragMode } });
+        const logger = this.logger.child({ request_id: span.requestId });
+
+        try {
+            const result = await tracer.withSpan(span, () => this.answerQuery(query, logger));
+            if (!result.success) {
+                span.setError(new Error(result.error));
+            }
+            return { ...result, requestId: span.requestId };
+        } finally {
+            span.end();
+        }
+    }
+
+    async answerQuery(query, logger) {
+        logger.info('Processing query: ' + query);
         
         try {
             // Parse query to determine MCP action
             const mcpAction = this.mcpClient.parseQuery(query);
-            this.logger.info('Parsed MCP action:', mcpAction);
+            logger.info('Parsed MCP action:', mcpAction);
             
             // Attempt MCP call
             let mcpResult = null;
@@ -88,13 +108,13 @@ class DevAssistantAgent {
                     mcpAction.params,
                     mcpAction.server
                 );
-                this.logger.info('MCP call successful');
+                logger.info('MCP call successful');
             } catch (mcpError) {
-                this.logger.warn('MCP call failed: ' + mcpError.message);
+                logger.warn('MCP call failed: ' + mcpError.message);
             }
             
             // Perform RAG query
-            this.logger.info('Performing RAG query...');
+            logger.info('Performing RAG query...');
             let ragContext = [];
             
             try {
@@ -110,14 +130,14 @@ class DevAssistantAgent {
                     }));
                 }
             } catch (ragError) {
-                this.logger.error('RAG query failed:', ragError.message);
+                logger.error('RAG query failed:', ragError.message);
                 throw ragError;
             }
             
             // Synthesize response
             const synthesizedAnswer = this.synthesizeResponse(query, mcpResult, ragContext);
             
-            this.logger.info('Query processing completed');
+            logger.info('Query processing completed');
             
             return {
                 success: true,
@@ -130,7 +150,7 @@ class DevAssistantAgent {
             };
             
         } catch (error) {
-            this.logger.error('Error processing query:', error);
+            logger.error('Error processing query:', error);
             return {
                 success: false,
                 error: error.message,
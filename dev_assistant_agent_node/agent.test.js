@@ -303,6 +303,78 @@ describe('MCPClient', () => {
             expect(id1.length).toBeGreaterThan(10);
         });
     });
+
+    describe('batch', () => {
+        it('should send one JSON-RPC batch and return responses in request order', async () => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            mcpClient.axiosInstance = {
+                post: jest.fn().mockImplementation(async (path, batch) => ({
+                    data: [
+                        { jsonrpc: '2.0', id: batch[1].id, error: { code: -32000, message: 'Downstream server unavailable' } },
+                        { jsonrpc: '2.0', id: batch[0].id, result: { content: [] } }
+                    ]
+                }))
+            };
+
+            const responses = await mcpClient.batch([
+                { tool: 'filesystem.read_file', arguments: { path: 'a.md' } },
+                { method: 'tools/call', params: { name: 'get_issue', arguments: { issue_number: 1 } } }
+            ]);
+
+            const [path, batch] = mcpClient.axiosInstance.post.mock.calls[0];
+            expect(path).toBe('/rpc');
+            expect(batch.map(request => request.method)).toEqual(['tools/call', 'tools/call']);
+            expect(batch[0].params).toEqual({ name: 'filesystem.read_file', arguments: { path: 'a.md' } });
+            expect(responses[0].result).toEqual({ content: [] });
+            expect(responses[1].error.message).toBe('Downstream server unavailable');
+            console.log.mockRestore();
+        });
+    });
+
+    describe('callTool', () => {
+        it('should route the server helpers by namespaced tool name through /rpc', async () => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            mcpClient.axiosInstance = {
+                post: jest.fn().mockImplementation(async (path, request) => ({
+                    data: { jsonrpc: '2.0', id: request.id, result: { content: [] } }
+                }))
+            };
+
+            const response = await mcpClient.getIssue('octo', 'repo', 7);
+            await mcpClient.getJiraIssue('NEX-123');
+            await mcpClient.readFile('docs/a.md');
+
+            const requests = mcpClient.axiosInstance.post.mock.calls.map(([path, request]) => [path, request.method, request.params]);
+            expect(requests).toEqual([
+                ['/rpc', 'tools/call', { name: 'github.get_issue', arguments: { owner: 'octo', repo: 'repo', issue_number: 7 } }],
+                ['/rpc', 'tools/call', { name: 'atlassian.get_issue', arguments: { issue_key: 'NEX-123' } }],
+                ['/rpc', 'tools/call', { name: 'filesystem.read_file', arguments: { path: 'docs/a.md' } }]
+            ]);
+            expect(response.result).toEqual({ content: [] });
+            console.log.mockRestore();
+        });
+    });
+
+    describe('tracing', () => {
+        it('should send the same traceparent and X-Request-Id on every retry', async () => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            jest.spyOn(mcpClient, 'sleep').mockResolvedValue();
+            mcpClient.axiosInstance = {
+                post: jest.fn()
+                    .mockRejectedValueOnce(new Error('socket hang up'))
+                    .mockResolvedValueOnce({ data: { jsonrpc: '2.0', id: 1, result: { tools: [] } } })
+            };
+
+            await mcpClient.listTools();
+
+            const [first, second] = mcpClient.axiosInstance.post.mock.calls.map(call => call[2].headers);
+            expect(first.traceparent).toMatch(/^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/);
+            expect(second).toEqual(first);
+            expect(first['x-request-id']).toBe(first.traceparent.split('-')[1]);
+            jest.restoreAllMocks();
+        });
+    });
 });
 
 describe('RAGSetup', () => {
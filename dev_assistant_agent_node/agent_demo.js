@@ -58,15 +58,15 @@ class DemoDevAssistantAgent {
             let mcpResult = null;
             try {
                 if (mcpAction.action === 'get_issue' && mcpAction.server === 'atlassian') {
-                    mcpResult = await this.mcpClient.getJiraIssue(mcpAction.params.issue_key, mcpAction.server);
+                    mcpResult = await this.mcpClient.getJiraIssue(mcpAction.params.issue_key);
                 } else if (mcpAction.action === 'get_issue' && mcpAction.server === 'github') {
-                    mcpResult = await this.mcpClient.getIssue('owner', 'repo', mcpAction.params.issue_number, mcpAction.server);
+                    mcpResult = await this.mcpClient.getIssue('owner', 'repo', mcpAction.params.issue_number);
                 } else if (mcpAction.action === 'get_user_info') {
-                    mcpResult = await this.mcpClient.getUserInfo(mcpAction.params.username, mcpAction.server);
+                    mcpResult = await this.mcpClient.getUserInfo(mcpAction.params.username);
                 } else if (mcpAction.action === 'list_files') {
-                    mcpResult = await this.mcpClient.listFiles(mcpAction.params.path, mcpAction.server);
+                    mcpResult = await this.mcpClient.listFiles(mcpAction.params.path);
                 } else if (mcpAction.action === 'read_file') {
-                    mcpResult = await this.mcpClient.readFile(mcpAction.params.path, mcpAction.server);
+                    mcpResult = await this.mcpClient.readFile(mcpAction.params.path);
                 } else {
                     mcpResult = await this.mcpClient.invokeMethod(mcpAction.action, mcpAction.params, mcpAction.server);
                 }
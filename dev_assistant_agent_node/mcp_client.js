@@ -1,21 +1,36 @@
 const axios = require('axios');
+const { Tracer, SPAN_KINDS } = require('../tracing');
 
 class MCPClient {
     constructor(options = {}) {
         this.proxyUrl = options.proxyUrl || 'http://localhost:8000';
         this.timeout = options.timeout || 10000;
         this.retries = options.retries || 3;
+        // Every request carries a traceparent and X-Request-Id that the proxy passes on
+        this.tracer = options.tracer || Tracer.fromEnv('mcp-client');
+
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+        // Credentials for proxies with authentication enabled
+        if (options.apiKey) {
+            headers['X-API-Key'] = options.apiKey;
+        } else if (options.authToken) {
+            headers['Authorization'] = `Bearer ${options.authToken}`;
+        }
         
         this.axiosInstance = axios.create({
             baseURL: this.proxyUrl,
             timeout: this.timeout,
-            headers: {
-                'Content-Type': 'application/json'
-            }
+            headers
         });
     }
 
     async makeRequest(method, params = {}, serverPrefix = 'filesystem') {
+        return await this.sendRequest(`/proxy/${serverPrefix}/mcp`, method, params);
+    }
+
+    async sendRequest(path, method, params = {}) {
         const request = {
             jsonrpc: '2.0',
             id: this.generateId(),
@@ -23,89 +38,159 @@ class MCPClient {
             params: params
         };
 
-        for (let attempt = 1; attempt <= this.retries; attempt++) {
-            try {
-                console.log(`MCP Request (attempt ${attempt}):`, JSON.stringify(request, null, 2));
-                
-                const response = await this.axiosInstance.post(`/proxy/${serverPrefix}/mcp`, request);
-                
-                if (response.data.error) {
-                    throw new Error(`MCP Error: ${response.data.error.message || 'Unknown error'}`);
-                }
-                
-                console.log('MCP Response:', JSON.stringify(response.data, null, 2));
-                return response.data;
-                
-            } catch (error) {
-                console.error(`MCP Request failed (attempt ${attempt}):`, error.message);
-                
-                if (attempt === this.retries) {
-                    throw new Error(`MCP request failed after ${this.retries} attempts: ${error.message}`);
+        return await this.postWithRetries(path, request, (data) => {
+            if (data.error) {
+                throw new Error(`MCP Error: ${data.error.message || 'Unknown error'}`);
+            }
+            return data;
+        });
+    }
+
+    // Sends several requests in one round-trip (a JSON-RPC batch). Each entry is
+    // { method, params }, or { tool, arguments } for a tool call routed by name.
+    // Resolves with one response per entry, in the same order; errors of single
+    // requests are returned in their response rather than thrown.
+    async batch(requests, path = '/rpc') {
+        if (requests.length === 0) {
+            return [];
+        }
+
+        const batch = requests.map(entry => ({
+            jsonrpc: '2.0',
+            id: this.generateId(),
+            method: entry.tool ? 'tools/call' : entry.method,
+            params: entry.tool ? { name: entry.tool, arguments: entry.arguments || {} } : (entry.params || {})
+        }));
+
+        return await this.postWithRetries(path, batch, (data) => {
+            if (!Array.isArray(data)) {
+                throw new Error(`MCP Error: ${(data && data.error && data.error.message) || 'Invalid batch response'}`);
+            }
+
+            const responses = new Map(data.map(response => [response.id, response]));
+            return batch.map(request => responses.get(request.id) || {
+                jsonrpc: '2.0',
+                id: request.id,
+                error: { code: -32603, message: 'No response received for request' }
+            });
+        });
+    }
+
+    // One client span covers all attempts of a request, so retries share its trace
+    async postWithRetries(path, payload, handleResponse) {
+        const span = this.tracer.startSpan(`POST ${path}`, {
+            kind: SPAN_KINDS.CLIENT,
+            attributes: {
+                'url.path': path,
+                'rpc.method': Array.isArray(payload) ? undefined : payload.method,
+                'rpc.batch_size': Array.isArray(payload) ? payload.length : undefined
+            }
+        });
+        const headers = this.tracer.inject(span, {});
+
+        try {
+            for (let attempt = 1; attempt <= this.retries; attempt++) {
+                span.setAttribute('mcp.attempts', attempt);
+                try {
+                    console.log(`MCP Request (attempt ${attempt}) [request: ${span.requestId}]:`, JSON.stringify(payload, null, 2));
+                    
+                    const response = await this.axiosInstance.post(path, payload, { headers });
+                    const result = handleResponse(response.data);
+                    
+                    console.log(`MCP Response [request: ${span.requestId}]:`, JSON.stringify(response.data, null, 2));
+                    return result;
+                    
+                } catch (error) {
+                    console.error(`MCP Request failed (attempt ${attempt}) [request: ${span.requestId}]:`, error.message);
+                    
+                    if (attempt === this.retries) {
+                        span.setError(error);
+                        throw new Error(`MCP request failed after ${this.retries} attempts: ${error.message}`);
+                    }
+                    
+                    // Wait before retry (exponential backoff)
+                    await this.sleep(1000 * Math.pow(2, attempt - 1));
                 }
-                
-                // Wait before retry (exponential backoff)
-                await this.sleep(1000 * Math.pow(2, attempt - 1));
             }
+        } finally {
+            span.end();
         }
     }
 
+    // Tool-name based routing: the proxy finds the server that owns the tool.
+    // Accepts namespaced ('github.get_issue') or bare ('get_issue') names.
+    async callTool(toolName, args = {}) {
+        return await this.sendRequest('/rpc', 'tools/call', {
+            name: toolName,
+            arguments: args
+        });
+    }
+
+    async listTools() {
+        return await this.sendRequest('/rpc', 'tools/list');
+    }
+
     async getMethods(serverPrefix = 'filesystem') {
         return await this.makeRequest('get_methods', {}, serverPrefix);
     }
 
-    async invokeMethod(methodName, params = {}, serverPrefix = 'filesystem') {
+    // Calls a method on a server named by the caller (an `invoke_method` envelope)
+    async invokeMethod(methodName, params, serverPrefix) {
         return await this.makeRequest('invoke_method', {
             method: methodName,
-            params: params
+            params: params || {}
         }, serverPrefix);
     }
 
+    // The helpers below route by namespaced tool name, so the proxy picks the
+    // server and names shared by several servers (get_issue) stay unambiguous
+
     // Filesystem-specific methods
-    async listFiles(path = '.', serverPrefix = 'filesystem') {
-        return await this.invokeMethod('list_files', { path }, serverPrefix);
+    async listFiles(path = '.') {
+        return await this.callTool('filesystem.list_files', { path });
     }
 
-    async readFile(path, serverPrefix = 'filesystem') {
-        return await this.invokeMethod('read_file', { path }, serverPrefix);
+    async readFile(path) {
+        return await this.callTool('filesystem.read_file', { path });
     }
 
-    async writeFile(path, content, serverPrefix = 'filesystem') {
-        return await this.invokeMethod('write_file', { path, content }, serverPrefix);
+    async writeFile(path, content) {
+        return await this.callTool('filesystem.write_file', { path, content });
     }
 
     // GitHub-specific methods
-    async getRepositoryInfo(owner, repo, serverPrefix = 'github') {
-        return await this.invokeMethod('get_repository_info', { owner, repo }, serverPrefix);
+    async getRepositoryInfo(owner, repo) {
+        return await this.callTool('github.get_repository_info', { owner, repo });
     }
 
-    async getUserInfo(username, serverPrefix = 'github') {
-        return await this.invokeMethod('get_user_info', { username }, serverPrefix);
+    async getUserInfo(username) {
+        return await this.callTool('github.get_user_info', { username });
     }
 
-    async getIssue(owner, repo, issueNumber, serverPrefix = 'github') {
-        return await this.invokeMethod('get_issue', { 
-            owner, 
-            repo, 
-            issue_number: issueNumber 
-        }, serverPrefix);
+    async getIssue(owner, repo, issueNumber) {
+        return await this.callTool('github.get_issue', {
+            owner,
+            repo,
+            issue_number: issueNumber
+        });
     }
 
     // Atlassian/JIRA-specific methods
-    async getJiraIssue(issueKey, serverPrefix = 'atlassian') {
-        return await this.invokeMethod('get_issue', { issue_key: issueKey }, serverPrefix);
+    async getJiraIssue(issueKey) {
+        return await this.callTool('atlassian.get_issue', { issue_key: issueKey });
     }
 
-    async searchJiraIssues(jql, serverPrefix = 'atlassian') {
-        return await this.invokeMethod('search_issues', { jql }, serverPrefix);
+    async searchJiraIssues(jql) {
+        return await this.callTool('atlassian.search_issues', { jql });
     }
 
     // Google Drive-specific methods
-    async listDriveFiles(query = '', serverPrefix = 'gdrive') {
-        return await this.invokeMethod('list_files', { query }, serverPrefix);
+    async listDriveFiles(query = '') {
+        return await this.callTool('gdrive.list_files', { query });
     }
 
-    async getDriveFile(fileId, serverPrefix = 'gdrive') {
-        return await this.invokeMethod('get_file', { file_id: fileId }, serverPrefix);
+    async getDriveFile(fileId) {
+        return await this.callTool('gdrive.get_file', { file_id: fileId });
     }
 
     // Helper methods
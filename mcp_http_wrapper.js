@@ -1,18 +1,70 @@
 #!/usr/bin/env node
 
 const express = require('express');
-const { spawn } = require('child_process');
 const cors = require('cors');
+const { Tracer, SPAN_KINDS } = require('./tracing');
+const { ProcessPool, QUEUE_FULL } = require('./mcp_process_pool');
+const { loadWrapperConfig, buildDownstreamServers, formatProxyConfig, getServerUrl } = require('./mcp_wrapper_config');
+
+// Supervisor settings that can be overridden from the environment
+const readSupervisorEnv = () => ({
+    initialRestartDelayMs: Number(process.env.MCP_RESTART_INITIAL_DELAY) || undefined,
+    maxRestartDelayMs: Number(process.env.MCP_RESTART_MAX_DELAY) || undefined,
+    crashLoopThreshold: Number(process.env.MCP_CRASH_LOOP_THRESHOLD) || undefined,
+    crashLoopWindowMs: Number(process.env.MCP_CRASH_LOOP_WINDOW) || undefined,
+    logBufferSize: Number(process.env.MCP_LOG_BUFFER_LINES) || undefined
+});
+
+// Integer settings where an explicit 0 is kept (it turns a pool limit off) and unset stays undefined
+const readIntEnv = (name) => {
+    const parsed = parseInt(process.env[name], 10);
+    return Number.isNaN(parsed) ? undefined : parsed;
+};
+
+// Process pool settings that can be overridden from the environment
+const readPoolEnv = () => ({
+    size: readIntEnv('MCP_POOL_SIZE'),
+    concurrency: readIntEnv('MCP_POOL_CONCURRENCY'),
+    maxQueue: readIntEnv('MCP_POOL_MAX_QUEUE'),
+    maxRequestsPerWorker: readIntEnv('MCP_POOL_MAX_REQUESTS'),
+    maxMemoryMb: readIntEnv('MCP_POOL_MAX_MEMORY_MB')
+});
+
+// A full request queue is temporary overload (503, so clients can retry); anything else is a 500
+const errorStatus = error => (error.code === QUEUE_FULL ? 503 : 500);
+
+const MCP_PROTOCOL_VERSION = '2024-11-05';
+
+const withoutUndefined = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
 
 class MCPHttpWrapper {
-    constructor(port, serverCommand, serverArgs, serverEnv = {}) {
+    constructor(port, serverCommand, serverArgs, serverEnv = {}, options = {}) {
         this.port = port;
         this.serverCommand = serverCommand;
         this.serverArgs = serverArgs;
         this.serverEnv = serverEnv;
+        this.name = options.name || serverCommand;
         this.app = express();
-        this.serverProcess = null;
+        this.httpServer = null;
+        this.requestTimeout = options.requestTimeout || Number(process.env.MCP_REQUEST_TIMEOUT) || 30000;
+        // Slow starters (e.g. `npx -y` downloading the server) get until the deadline to answer initialize
+        this.initializeTimeout = options.initializeTimeout || Number(process.env.MCP_INITIALIZE_TIMEOUT) || 120000;
+        this.initializeAttemptTimeout = options.initializeAttemptTimeout || Number(process.env.MCP_INITIALIZE_ATTEMPT_TIMEOUT) || 5000;
+        // One or more supervised server processes; each is restarted when it exits and
+        // redoes the handshake, and requests are queued while all of them are busy
+        this.pool = new ProcessPool(serverCommand, serverArgs, serverEnv, {
+            ...withoutUndefined(readSupervisorEnv()),
+            ...withoutUndefined(readPoolEnv()),
+            ...withoutUndefined(options.supervisor || {}),
+            ...withoutUndefined(options.pool || {}),
+            requestTimeout: this.requestTimeout,
+            cwd: options.cwd,
+            initialize: (transport) => this.initializeServer(transport)
+        });
+        this.setupPool();
+        this.eventStreams = new Set(); // responses of GET /events, which receive server notifications
         this.requestId = 1;
+        this.tracer = Tracer.fromEnv('mcp-http-wrapper');
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -21,135 +73,304 @@ class MCPHttpWrapper {
     setupMiddleware() {
         this.app.use(cors());
         this.app.use(express.json());
+        // Continue the caller's trace (from the proxy's traceparent header) for each request
         this.app.use((req, res, next) => {
-            console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-            next();
+            const span = this.tracer.startSpan(`${req.method} ${req.path}`, {
+                kind: SPAN_KINDS.SERVER,
+                parent: this.tracer.extract(req.headers),
+                attributes: { 'http.request.method': req.method, 'url.path': req.path, 'mcp.server': this.serverCommand }
+            });
+            res.setHeader('X-Request-Id', span.requestId);
+            res.on('close', () => {
+                span.setAttribute('http.response.status_code', res.statusCode);
+                if (res.statusCode >= 500) {
+                    span.setError(new Error(`Responded with status ${res.statusCode}`));
+                }
+                span.end();
+            });
+
+            console.log(`${new Date().toISOString()} - ${req.method} ${req.path} [request: ${span.requestId}]`);
+            this.tracer.withSpan(span, next);
         });
     }
 
     setupRoutes() {
+        // Unhealthy (503) while no worker is up or all are crash looping, so the proxy routes around it
         this.app.get('/health', (req, res) => {
-            res.json({ 
-                status: 'healthy', 
+            const poolStatus = this.pool.getStatus();
+            let status = 'healthy';
+            if (poolStatus.crash_loop) {
+                status = 'unhealthy';
+            } else if (!this.pool.isReady()) {
+                status = this.pool.getState();
+            }
+
+            res.status(status === 'healthy' ? 200 : 503).json({ 
+                status, 
+                name: this.name,
                 server: this.serverCommand,
                 port: this.port,
+                pool: poolStatus,
+                mcp: this.handshake,
                 timestamp: new Date().toISOString()
             });
         });
 
+        // What the server reported during the handshake
+        this.app.get('/capabilities', (req, res) => {
+            if (!this.handshake) {
+                return res.status(503).json({ error: 'MCP server is not initialized' });
+            }
+            res.json(this.handshake);
+        });
+
+        // The most recent lines the server wrote to stderr
+        this.app.get('/logs', (req, res) => {
+            const limit = parseInt(req.query.limit, 10);
+            const lines = this.pool.getLogs(limit > 0 ? limit : undefined);
+            res.json({ server: this.serverCommand, count: lines.length, lines });
+        });
+
         this.app.get('/tools', async (req, res) => {
             try {
                 const tools = await this.getTools();
                 res.json({ tools });
             } catch (error) {
                 console.error('Error getting tools:', error);
-                res.status(500).json({ error: error.message });
+                res.status(errorStatus(error)).json({ error: error.message });
             }
         });
 
         this.app.post('/mcp', async (req, res) => {
             try {
+                if (Array.isArray(req.body)) {
+                    return res.json(await this.sendMCPBatch(req.body));
+                }
+                if (req.body.id === undefined) {
+                    this.sendMCPNotification(req.body);
+                    return res.status(202).end();
+                }
                 const response = await this.sendMCPRequest(req.body);
                 res.json(response);
             } catch (error) {
                 console.error('Error in MCP request:', error);
-                res.status(500).json({ error: error.message });
+                res.status(errorStatus(error)).json({ error: error.message });
             }
         });
 
+        // Server-sent events carrying the notifications the MCP server sends on its own
+        this.app.get('/events', (req, res) => {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive'
+            });
+            res.write(': connected\n\n');
+            this.eventStreams.add(res);
+            res.on('close', () => this.eventStreams.delete(res));
+        });
+
         this.app.post('/invoke/:toolName', async (req, res) => {
             try {
                 const response = await this.invokeTool(req.params.toolName, req.body);
                 res.json(response);
             } catch (error) {
                 console.error('Error invoking tool:', error);
-                res.status(500).json({ error: error.message });
+                res.status(errorStatus(error)).json({ error: error.message });
             }
         });
     }
 
-    async startServer() {
-        return new Promise((resolve, reject) => {
-            console.log(`Starting MCP server: ${this.serverCommand} ${this.serverArgs.join(' ')}`);
-            
-            this.serverProcess = spawn(this.serverCommand, this.serverArgs, {
-                stdio: ['pipe', 'pipe', 'pipe'],
-                env: { ...process.env, ...this.serverEnv }
-            });
+    setupPool() {
+        const label = worker => (this.pool.workers.length > 1 ? ` [worker ${worker.id}]` : '');
 
-            this.serverProcess.stderr.on('data', (data) => {
-                console.log('Server log:', data.toString().trim());
-            });
+        this.pool.on('spawn', (worker, child, transport) => {
+            console.log(`Starting MCP server: ${this.serverCommand} ${this.serverArgs.join(' ')} (pid ${child.pid})${label(worker)}`);
 
-            this.serverProcess.on('error', (error) => {
-                console.error('Server process error:', error);
-                reject(error);
+            transport.on('notification', (message) => this.handleServerNotification(message));
+            transport.on('request', (message) => this.handleServerRequest(transport, message));
+            transport.on('invalid', (line, error) => {
+                console.error(`${error.message}${label(worker)}: ${line.slice(0, 200)}`);
             });
-
-            this.serverProcess.on('exit', (code) => {
-                console.log(`Server process exited with code ${code}`);
+            child.stderr.on('data', (data) => {
+                console.log(`Server log${label(worker)}:`, data.toString().trim());
             });
+        });
 
-            // Wait a moment for server to start
-            setTimeout(async () => {
-                try {
-                    await this.initializeServer();
-                    console.log('Server initialized successfully');
-                    resolve();
-                } catch (error) {
-                    console.error('Failed to initialize server:', error);
-                    reject(error);
-                }
-            }, 2000);
+        this.pool.on('ready', worker => console.log(`Server initialized successfully${label(worker)}`));
+        this.pool.on('exit', (worker) => {
+            console.log(`${worker.supervisor.lastExit.reason}${label(worker)}`);
+        });
+        this.pool.on('restart', (worker, attempt, delayMs) => {
+            const crashLoop = worker.supervisor.isCrashLooping() ? ' (crash loop detected)' : '';
+            console.error(`Restarting MCP server in ${delayMs}ms, attempt ${attempt}${crashLoop}${label(worker)}`);
+        });
+        this.pool.on('recycle', (worker, reason) => {
+            console.log(`Recycling MCP server worker ${worker.id} after it ${reason}`);
         });
     }
 
-    async initializeServer() {
-        const initRequest = {
-            jsonrpc: "2.0",
-            id: this.requestId++,
-            method: "initialize",
-            params: {
-                protocolVersion: "2024-11-05",
-                capabilities: {
-                    roots: { listChanged: true },
-                    sampling: {}
-                },
-                clientInfo: {
-                    name: "mcp-http-wrapper",
-                    version: "1.0.0"
-                }
-            }
-        };
+    // What the server reported in its initialize response, or null while no process is initialized
+    get handshake() {
+        return this.pool.getHandshake();
+    }
 
-        return this.sendMCPRequest(initRequest);
+    async startServer() {
+        try {
+            await this.pool.start();
+        } catch (error) {
+            console.error('Failed to initialize server:', error);
+            throw error;
+        }
     }
 
-    async sendMCPRequest(request) {
-        return new Promise((resolve, reject) => {
-            if (!this.serverProcess) {
-                reject(new Error('Server process not started'));
-                return;
-            }
-
-            const timeout = setTimeout(() => {
-                reject(new Error('Request timeout'));
-            }, 30000);
-
-            const handleResponse = (data) => {
-                clearTimeout(timeout);
-                try {
-                    const response = JSON.parse(data.toString());
-                    resolve(response);
-                } catch (error) {
-                    reject(new Error('Invalid JSON response'));
+    /**
+     * Runs the MCP lifecycle handshake with a newly started server process:
+     * initialize is sent until the server answers or the deadline passes (a
+     * server that is still starting may not be reading stdin yet), and then
+     * notifications/initialized is sent. Resolves with the protocol version,
+     * capabilities and server info it reported. The process gets no other
+     * requests until this has finished.
+     */
+    async initializeServer(transport) {
+        const deadline = Date.now() + this.initializeTimeout;
+        let attempt = 0;
+
+        while (true) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                throw new Error(`MCP server did not respond to initialize within ${this.initializeTimeout}ms (${attempt} attempts)`);
+            }
+            attempt++;
+
+            const initRequest = {
+                jsonrpc: "2.0",
+                id: this.requestId++,
+                method: "initialize",
+                params: {
+                    protocolVersion: MCP_PROTOCOL_VERSION,
+                    capabilities: {
+                        roots: { listChanged: true },
+                        sampling: {}
+                    },
+                    clientInfo: {
+                        name: "mcp-http-wrapper",
+                        version: "1.0.0"
+                    }
+                }
+            };
+
+            let response;
+            try {
+                response = await this.sendMCPRequest(initRequest, { transport, timeout: Math.min(this.initializeAttemptTimeout, remaining) });
+            } catch (error) {
+                // Only unanswered attempts are retried; a process that exited is restarted by the supervisor
+                if (error.code !== 'ETIMEDOUT') {
+                    throw error;
                 }
-                this.serverProcess.stdout.removeListener('data', handleResponse);
+                console.log(`No initialize response yet (attempt ${attempt}), retrying`);
+                continue;
+            }
+
+            if (response.error) {
+                throw new Error(`MCP server rejected initialize: ${response.error.message}`);
+            }
+
+            const result = response.result || {};
+            if (result.protocolVersion !== MCP_PROTOCOL_VERSION) {
+                console.log(`MCP server uses protocol version ${result.protocolVersion} (requested ${MCP_PROTOCOL_VERSION})`);
+            }
+            transport.notify({ jsonrpc: "2.0", method: "notifications/initialized" });
+            return {
+                protocolVersion: result.protocolVersion || null,
+                serverInfo: result.serverInfo || null,
+                capabilities: result.capabilities || {},
+                instructions: result.instructions,
+                initializedAt: new Date().toISOString()
             };
+        }
+    }
 
-            this.serverProcess.stdout.on('data', handleResponse);
-            this.serverProcess.stdin.write(JSON.stringify(request) + '\n');
+    // Records a span for each round-trip to the MCP server process
+    async sendMCPRequest(request, options = {}) {
+        const span = this.tracer.startSpan(`stdio ${request.method}`, {
+            kind: SPAN_KINDS.CLIENT,
+            attributes: {
+                'rpc.method': request.method,
+                'mcp.tool': request.method === 'tools/call' && request.params ? request.params.name : undefined
+            }
         });
+
+        try {
+            const response = await this.exchangeMCPRequest(request, options);
+            if (response && response.error) {
+                span.setError(new Error(response.error.message));
+            }
+            return response;
+        } catch (error) {
+            span.setError(error);
+            throw error;
+        } finally {
+            span.end();
+        }
+    }
+
+    // Requests go to an initialized worker of the pool, unless a transport is given (the handshake)
+    async exchangeMCPRequest(request, { transport, timeout } = {}) {
+        if (transport) {
+            return transport.request(request, { timeout });
+        }
+        return this.pool.request(request, { timeout });
+    }
+
+    sendMCPNotification(notification) {
+        this.pool.notify(notification);
+    }
+
+    // Requests of a batch are sent together; notifications are written without waiting
+    async sendMCPBatch(requests) {
+        if (!this.pool.isAvailable()) {
+            throw this.pool.notReadyError();
+        }
+
+        const pending = [];
+        for (const request of requests) {
+            if (request.id === undefined) {
+                this.sendMCPNotification(request);
+                continue;
+            }
+            pending.push(this.sendMCPRequest(request).catch(error => ({
+                jsonrpc: "2.0",
+                id: request.id,
+                error: { code: -32603, message: error.message }
+            })));
+        }
+        return Promise.all(pending);
+    }
+
+    handleServerNotification(message) {
+        if (message.method === 'notifications/message' && message.params) {
+            console.log(`Server ${message.params.level || 'info'}:`, JSON.stringify(message.params.data));
+        }
+        const event = `event: notification\ndata: ${JSON.stringify(message)}\n\n`;
+        this.eventStreams.forEach(res => res.write(event));
+    }
+
+    // The wrapper is the MCP client, so requests from the server are answered here
+    handleServerRequest(transport, message) {
+        switch (message.method) {
+            case 'ping':
+                transport.respond(message.id, {});
+                break;
+            case 'roots/list':
+                transport.respond(message.id, { roots: [] });
+                break;
+            default:
+                transport.respond(message.id, undefined, {
+                    code: -32601,
+                    message: `Method not found: ${message.method}`
+                });
+        }
     }
 
     async getTools() {
@@ -178,13 +399,16 @@ class MCPHttpWrapper {
     }
 
     start() {
-        this.app.listen(this.port, async () => {
+        this.httpServer = this.app.listen(this.port, async () => {
             console.log(`MCP HTTP Wrapper running on http://localhost:${this.port}`);
             console.log('Available endpoints:');
             console.log('  GET  /health - Health check');
             console.log('  GET  /tools - List available tools');
+            console.log('  GET  /capabilities - Server info and capabilities');
             console.log('  POST /mcp - Raw MCP endpoint');
             console.log('  POST /invoke/:toolName - Invoke specific tool');
+            console.log('  GET  /events - Server notifications (SSE)');
+            console.log('  GET  /logs - Recent server stderr');
             
             try {
                 await this.startServer();
@@ -194,51 +418,199 @@ class MCPHttpWrapper {
             }
         });
     }
+
+    // Stops the MCP server for good (no restart) and closes the HTTP server
+    async stop() {
+        await this.pool.stop();
+        this.eventStreams.forEach(res => res.end());
+        if (this.httpServer) {
+            this.httpServer.closeAllConnections();
+            await new Promise(resolve => this.httpServer.close(() => resolve()));
+            this.httpServer = null;
+        }
+    }
 }
 
-// Server configurations
-const serverConfigs = {
-    filesystem: {
-        port: 8001,
-        command: 'npx',
-        args: ['-y', '@modelcontextprotocol/server-filesystem', './mock_knowledge_base'],
-        env: {}
-    },
-    everything: {
-        port: 8002,
-        command: 'npx',
-        args: ['-y', '@modelcontextprotocol/server-everything'],
-        env: {}
-    },
-    memory: {
-        port: 8003,
-        command: 'npx',
-        args: ['-y', '@modelcontextprotocol/server-memory'],
-        env: {}
-    },
-    github: {
-        port: 8004,
-        command: 'docker',
-        args: ['run', '-i', '--rm', '-e', 'GITHUB_PERSONAL_ACCESS_TOKEN', 'ghcr.io/github/github-mcp-server'],
-        env: { GITHUB_PERSONAL_ACCESS_TOKEN: process.env.GITHUB_PERSONAL_ACCESS_TOKEN || 'dummy_token' }
-    },
-    gdrive: {
-        port: 8005,
-        command: 'node',
-        args: ['mock_gdrive_server.js'],
-        env: {}
+/**
+ * Runs several wrapped servers from one wrapper config in a single process.
+ * Servers with a port of their own listen on it; the others are mounted
+ * under their path on the shared listener, which also serves an overview
+ * at /health.
+ */
+class MCPWrapperHost {
+    constructor(wrapperConfig, ids = Object.keys(wrapperConfig.servers), options = {}) {
+        const unknown = ids.filter(id => !wrapperConfig.servers[id]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown server type: ${unknown.join(', ')}. Available servers: ${Object.keys(wrapperConfig.servers).join(', ')}`);
+        }
+
+        this.config = wrapperConfig;
+        this.ids = ids;
+        this.wrappers = new Map();
+        this.sharedApp = null;
+        this.sharedServer = null;
+
+        ids.forEach((id) => {
+            const server = wrapperConfig.servers[id];
+            const wrapper = new MCPHttpWrapper(server.port || wrapperConfig.port, server.command, server.args, server.env, {
+                ...options,
+                name: id,
+                cwd: server.cwd,
+                pool: server.pool
+            });
+            this.wrappers.set(id, wrapper);
+        });
+
+        const mounted = ids.filter(id => wrapperConfig.servers[id].path !== undefined);
+        if (mounted.length > 0) {
+            this.sharedApp = express();
+            this.sharedApp.get('/health', (req, res) => res.json(this.getOverview()));
+            mounted.forEach(id => this.sharedApp.use(wrapperConfig.servers[id].path, this.wrappers.get(id).app));
+        }
+    }
+
+    getOverview() {
+        const servers = {};
+        this.wrappers.forEach((wrapper, id) => {
+            servers[id] = {
+                url: getServerUrl(this.config, this.config.servers[id]),
+                ready: wrapper.pool.isReady(),
+                process: wrapper.pool.getState()
+            };
+        });
+        const ready = Object.values(servers).filter(server => server.ready).length;
+        return {
+            status: ready === this.wrappers.size ? 'healthy' : 'degraded',
+            ready,
+            total: this.wrappers.size,
+            servers,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // The proxy's downstreamServers section for the servers this host runs
+    getDownstreamServers() {
+        return buildDownstreamServers(this.config, this.ids);
+    }
+
+    listen(app, port) {
+        return new Promise((resolve, reject) => {
+            const server = app.listen(port);
+            server.once('listening', () => resolve(server));
+            server.once('error', reject);
+        });
+    }
+
+    /**
+     * Opens every listener, then starts all servers side by side. Resolves
+     * with the ids of the servers that started and those that failed; a
+     * failed server stays unhealthy on /health rather than stopping the rest.
+     */
+    async start() {
+        for (const [id, wrapper] of this.wrappers) {
+            if (this.config.servers[id].port !== undefined) {
+                wrapper.httpServer = await this.listen(wrapper.app, wrapper.port);
+            }
+        }
+        if (this.sharedApp) {
+            this.sharedServer = await this.listen(this.sharedApp, this.config.port);
+        }
+
+        this.wrappers.forEach((wrapper, id) => console.log(`${id}: ${getServerUrl(this.config, this.config.servers[id])}`));
+
+        const results = await Promise.allSettled([...this.wrappers.values()].map(wrapper => wrapper.startServer()));
+        const started = [];
+        const failed = [];
+        this.ids.forEach((id, index) => {
+            if (results[index].status === 'fulfilled') {
+                started.push(id);
+            } else {
+                failed.push(id);
+                console.error(`Failed to start MCP server ${id}:`, results[index].reason.message);
+            }
+        });
+        return { started, failed };
+    }
+
+    async stop() {
+        await Promise.all([...this.wrappers.values()].map(wrapper => wrapper.stop()));
+        if (this.sharedServer) {
+            this.sharedServer.closeAllConnections();
+            await new Promise(resolve => this.sharedServer.close(() => resolve()));
+            this.sharedServer = null;
+        }
+    }
+}
+
+// The server run when no ids are named and --all is not given
+const DEFAULT_SERVER_ID = 'filesystem';
+
+// Splits the command line into options and the ids of the servers to run
+function parseArgs(argv) {
+    const options = { ids: [], all: false, configFile: undefined, printProxyConfig: false, writeProxyConfig: null };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--all':
+                options.all = true;
+                break;
+            case '--config':
+                options.configFile = argv[++i];
+                break;
+            case '--print-proxy-config':
+                options.printProxyConfig = true;
+                break;
+            case '--write-proxy-config':
+                options.writeProxyConfig = argv[++i];
+                break;
+            default:
+                options.ids.push(argv[i]);
+        }
+    }
+    if (!options.all && options.ids.length === 0) {
+        options.ids.push(DEFAULT_SERVER_ID);
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const fs = require('fs');
+    const options = parseArgs(process.argv.slice(2));
+
+    let host;
+    try {
+        const wrapperConfig = loadWrapperConfig(options.configFile);
+        host = new MCPWrapperHost(wrapperConfig, options.all ? undefined : options.ids);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    if (options.printProxyConfig) {
+        process.stdout.write(formatProxyConfig(host.getDownstreamServers()));
+        process.exit(0);
+    }
+    if (options.writeProxyConfig) {
+        fs.writeFileSync(options.writeProxyConfig, formatProxyConfig(host.getDownstreamServers(), options.writeProxyConfig));
+        console.log(`Wrote proxy downstreamServers to ${options.writeProxyConfig}`);
     }
-};
 
-// Get server type from command line
-const serverType = process.argv[2] || 'filesystem';
+    console.log('Endpoints of each server: GET /health, GET /tools, GET /capabilities, POST /mcp, POST /invoke/:toolName, GET /events, GET /logs');
+    host.start().then(({ started }) => {
+        if (started.length === 0) {
+            console.error('No MCP server could be started');
+            process.exit(1);
+        }
+    }, (error) => {
+        console.error('Failed to start MCP HTTP Wrapper:', error.message);
+        process.exit(1);
+    });
 
-if (!serverConfigs[serverType]) {
-    console.error(`Unknown server type: ${serverType}`);
-    console.error(`Available servers: ${Object.keys(serverConfigs).join(', ')}`);
-    process.exit(1);
+    const shutdown = (signal) => {
+        console.log(`Received ${signal}, stopping MCP servers`);
+        host.stop().then(() => process.exit(0), () => process.exit(1));
+    };
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+    process.once('SIGINT', () => shutdown('SIGINT'));
 }
 
-const config = serverConfigs[serverType];
-const wrapper = new MCPHttpWrapper(config.port, config.command, config.args, config.env);
-wrapper.start(); 
\ No newline at end of file
+module.exports = { MCPHttpWrapper, MCPWrapperHost, parseArgs };
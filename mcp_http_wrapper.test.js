@@ -0,0 +1,113 @@
+/**
+ * Test Suite for the MCP lifecycle handshake of the HTTP wrapper
+ */
+
+const { MCPHttpWrapper } = require('./mcp_http_wrapper');
+
+// A stdio server that drops whatever arrives in its first `readyAfterMs` milliseconds (as if
+// still starting up), records the methods it receives and reports them via "received"
+const serverScript = (readyAfterMs, initializeResult) => `
+    const received = [];
+    let ready = false;
+    setTimeout(() => { ready = true; }, ${readyAfterMs});
+    require('readline').createInterface({ input: process.stdin }).on('line', (line) => {
+        const message = JSON.parse(line);
+        if (!ready) return;
+        received.push(message.method);
+        if (message.id === undefined) return;
+        const result = message.method === 'initialize' ? ${JSON.stringify(initializeResult)} : { received };
+        console.log(JSON.stringify({ jsonrpc: '2.0', id: message.id, result }));
+    });
+`;
+
+const INITIALIZE_RESULT = {
+    protocolVersion: '2024-11-05',
+    capabilities: { tools: { listChanged: true }, resources: {} },
+    serverInfo: { name: 'slow-test-server', version: '2.1.0' },
+    instructions: 'Use search before read_file'
+};
+
+describe('MCPHttpWrapper handshake', () => {
+    let wrapper;
+
+    const createWrapper = (port, script, options = {}) => new MCPHttpWrapper(port, process.execPath, ['-e', script], {}, {
+        initializeAttemptTimeout: 100,
+        initializeTimeout: 2000,
+        supervisor: { initialRestartDelayMs: 50 },
+        ...options
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await wrapper.stop();
+        jest.restoreAllMocks();
+    });
+
+    it('should retry initialize until a slow server answers, then send initialized', async () => {
+        const port = 8968;
+        wrapper = createWrapper(port, serverScript(350, INITIALIZE_RESULT));
+        await wrapper.startServer();
+        await new Promise(resolve => {
+            wrapper.httpServer = wrapper.app.listen(port, 'localhost', resolve);
+        });
+
+        expect(console.log).toHaveBeenCalledWith('No initialize response yet (attempt 1), retrying');
+        expect(wrapper.handshake).toMatchObject({
+            protocolVersion: '2024-11-05',
+            serverInfo: { name: 'slow-test-server', version: '2.1.0' },
+            capabilities: { tools: { listChanged: true }, resources: {} },
+            instructions: 'Use search before read_file'
+        });
+
+        const received = await wrapper.sendMCPRequest({ jsonrpc: '2.0', id: 'r', method: 'debug/received' });
+        expect(received.result.received).toEqual(['initialize', 'notifications/initialized', 'debug/received']);
+
+        const capabilities = await fetch(`http://localhost:${port}/capabilities`);
+        expect(capabilities.status).toBe(200);
+        expect(await capabilities.json()).toMatchObject({ serverInfo: { name: 'slow-test-server' }, initializedAt: expect.any(String) });
+
+        const health = await (await fetch(`http://localhost:${port}/health`)).json();
+        expect(health).toMatchObject({ status: 'healthy', mcp: { protocolVersion: '2024-11-05', serverInfo: { version: '2.1.0' } } });
+    });
+
+    it('should give up once the deadline passes without an answer', async () => {
+        wrapper = createWrapper(8967, serverScript(60000, INITIALIZE_RESULT), { initializeTimeout: 300 });
+
+        await expect(wrapper.startServer()).rejects.toThrow(/did not respond to initialize within 300ms \(\d+ attempts\)/);
+        expect(wrapper.handshake).toBeNull();
+        expect(wrapper.pool.workers[0].supervisor.getStatus().state).toBe('stopped');
+    });
+
+    it('should refuse requests before the handshake and forget it when the server exits', async () => {
+        wrapper = createWrapper(8966, serverScript(0, INITIALIZE_RESULT));
+        await expect(wrapper.sendMCPRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' })).rejects.toThrow('Server process not started');
+
+        await wrapper.startServer();
+        const { supervisor } = wrapper.pool.workers[0];
+        const exited = new Promise(resolve => supervisor.once('exit', resolve));
+        supervisor.child.kill('SIGKILL');
+        await exited;
+
+        expect(wrapper.handshake).toBeNull();
+        await expect(wrapper.getTools()).rejects.toThrow('MCP server is not ready: Server process exited with signal SIGKILL');
+
+        await new Promise(resolve => supervisor.once('ready', resolve));
+        expect(wrapper.handshake.serverInfo.name).toBe('slow-test-server');
+    });
+
+    it('should fail the handshake when the server rejects initialize', async () => {
+        const script = `
+            require('readline').createInterface({ input: process.stdin }).on('line', (line) => {
+                const { id } = JSON.parse(line);
+                console.log(JSON.stringify({ jsonrpc: '2.0', id, error: { code: -32602, message: 'Unsupported protocol version' } }));
+            });
+        `;
+        wrapper = createWrapper(8965, script);
+
+        await expect(wrapper.startServer()).rejects.toThrow('MCP server rejected initialize: Unsupported protocol version');
+    });
+});
@@ -0,0 +1,302 @@
+/**
+ * A pool of supervised processes running the same stdio MCP server.
+ *
+ * Some MCP servers handle one request at a time, so throughput comes from
+ * running several copies. Each request goes to the ready worker with the
+ * fewest requests in flight. When every worker is at its `concurrency`
+ * limit, requests wait in a queue of at most `maxQueue` entries (further
+ * requests are refused with an EQUEUEFULL error) until a worker is free or
+ * their timeout passes. By default a worker gets one request at a time; a
+ * `concurrency` of 0 means no per-worker limit (and no queueing).
+ *
+ * Workers are recycled - replaced by a fresh process once their in-flight
+ * requests finish - after `maxRequestsPerWorker` requests or when their
+ * resident memory exceeds `maxMemoryMb` (read from /proc, so Linux only).
+ * Either limit is off when 0.
+ *
+ * Events (each with the worker first):
+ *   'spawn' (worker, child, transport), 'ready' (worker), 'exit' (worker, code, signal),
+ *   'restart' (worker, attempt, delayMs), 'recycle' (worker, reason)
+ */
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { ProcessSupervisor, DEFAULT_SUPERVISOR_OPTIONS } = require('./mcp_process_supervisor');
+
+const DEFAULT_POOL_OPTIONS = {
+    size: 1,
+    concurrency: 1,
+    maxQueue: 100,
+    maxRequestsPerWorker: 0,
+    maxMemoryMb: 0,
+    requestTimeout: 30000
+};
+
+// Error code of a request refused because the queue is full
+const QUEUE_FULL = 'EQUEUEFULL';
+
+// Resident memory of a process in MB, or null where /proc is not available
+function readProcessMemoryMb(pid) {
+    try {
+        const match = /VmRSS:\s+(\d+)\s+kB/.exec(fs.readFileSync(`/proc/${pid}/status`, 'utf8'));
+        return match ? Math.round(Number(match[1]) / 1024) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+class ProcessPool extends EventEmitter {
+    /**
+     * Options are those of ProcessSupervisor plus the pool settings above.
+     * `initialize(transport, worker)` runs the handshake with each new
+     * process and resolves with what the server reported.
+     */
+    constructor(command, args, env = {}, options = {}) {
+        super();
+        this.options = { ...DEFAULT_SUPERVISOR_OPTIONS, ...DEFAULT_POOL_OPTIONS, ...options };
+        this.initialize = options.initialize || (async () => ({}));
+        this.readMemory = options.readMemory || readProcessMemoryMb;
+        this.started = false;
+        this.queue = []; // { message, deadline, resolve, reject, timer }
+        this.stats = { dispatched: 0, queued: 0, rejected: 0, recycled: 0 };
+        this.workers = [];
+        for (let id = 1; id <= this.options.size; id++) {
+            this.workers.push(this.createWorker(id, command, args, env));
+        }
+    }
+
+    createWorker(id, command, args, env) {
+        const worker = { id, inFlight: 0, handled: 0, handshake: null, recycling: null, memoryMb: null, recycles: 0 };
+        worker.supervisor = new ProcessSupervisor(command, args, env, {
+            ...this.options,
+            initialize: async (transport) => {
+                worker.handshake = await this.initialize(transport, worker);
+            }
+        });
+
+        worker.supervisor.on('spawn', (child, transport) => this.emit('spawn', worker, child, transport));
+        worker.supervisor.on('ready', () => {
+            worker.handled = 0;
+            worker.recycling = null;
+            worker.memoryMb = null;
+            this.emit('ready', worker);
+            this.drainQueue();
+        });
+        worker.supervisor.on('exit', (code, signal) => {
+            worker.handshake = null;
+            if (!worker.supervisor.replacing) {
+                worker.recycling = null;
+            }
+            this.emit('exit', worker, code, signal);
+            // Queued requests wait for busy and recycled workers, but not for crashed ones to restart
+            if (!this.isAvailable()) {
+                this.rejectQueue(this.notReadyError());
+            }
+        });
+        worker.supervisor.on('restart', (attempt, delayMs) => this.emit('restart', worker, attempt, delayMs));
+        return worker;
+    }
+
+    // Starts every worker; rejects (stopping the pool) if any of them cannot start
+    async start() {
+        this.started = true;
+        const results = await Promise.allSettled(this.workers.map(worker => worker.supervisor.start()));
+        const failure = results.find(result => result.status === 'rejected');
+        if (failure) {
+            await this.stop();
+            throw failure.reason;
+        }
+    }
+
+    async stop() {
+        this.rejectQueue(new Error('Server process pool stopped'));
+        await Promise.all(this.workers.map(worker => worker.supervisor.stop()));
+    }
+
+    isReady() {
+        return this.workers.some(worker => worker.supervisor.isReady());
+    }
+
+    // Ready, or about to be once a recycled worker's new process is up
+    isAvailable() {
+        return this.isReady() || this.workers.some(worker => worker.recycling && worker.supervisor.state !== 'stopped');
+    }
+
+    isCrashLooping() {
+        return this.workers.every(worker => worker.supervisor.isCrashLooping());
+    }
+
+    // What the server reported during the handshake, taken from a ready worker
+    getHandshake() {
+        const worker = this.workers.find(candidate => candidate.supervisor.isReady() && candidate.handshake);
+        return worker ? worker.handshake : null;
+    }
+
+    // The overall state: running when any worker is, otherwise the first worker's state
+    getState() {
+        return this.isReady() ? 'running' : this.workers[0].supervisor.state;
+    }
+
+    notReadyError() {
+        if (!this.started) {
+            return new Error('Server process not started');
+        }
+        const lastExit = this.workers
+            .map(worker => worker.supervisor.lastExit)
+            .filter(Boolean)
+            .sort((a, b) => a.at.localeCompare(b.at))
+            .pop();
+        return new Error(lastExit ? `MCP server is not ready: ${lastExit.reason}` : 'MCP server is not initialized yet');
+    }
+
+    // The ready worker with the fewest requests in flight that can take one more
+    pickWorker() {
+        const { concurrency } = this.options;
+        let best = null;
+        this.workers.forEach((worker) => {
+            if (!worker.supervisor.isReady() || worker.recycling || (concurrency > 0 && worker.inFlight >= concurrency)) {
+                return;
+            }
+            if (!best || worker.inFlight < best.inFlight) {
+                best = worker;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Sends a request to a worker, queueing it while all workers are busy.
+     * The timeout covers the time spent in the queue.
+     */
+    request(message, { timeout = this.options.requestTimeout } = {}) {
+        const worker = this.pickWorker();
+        if (worker) {
+            return this.dispatch(worker, message, timeout);
+        }
+        if (!this.isAvailable()) {
+            return Promise.reject(this.notReadyError());
+        }
+        if (this.queue.length >= this.options.maxQueue) {
+            this.stats.rejected++;
+            const error = new Error(`Request queue is full (${this.options.maxQueue} waiting)`);
+            error.code = QUEUE_FULL;
+            return Promise.reject(error);
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { message, deadline: Date.now() + timeout, resolve, reject };
+            entry.timer = setTimeout(() => {
+                this.queue.splice(this.queue.indexOf(entry), 1);
+                const error = new Error(`Request timeout after ${timeout}ms waiting for an idle worker (${message.method})`);
+                error.code = 'ETIMEDOUT';
+                reject(error);
+            }, timeout);
+            this.queue.push(entry);
+            this.stats.queued++;
+        });
+    }
+
+    async dispatch(worker, message, timeout) {
+        worker.inFlight++;
+        this.stats.dispatched++;
+        try {
+            return await worker.supervisor.transport.request(message, { timeout });
+        } finally {
+            worker.inFlight--;
+            worker.handled++;
+            this.afterRequest(worker);
+        }
+    }
+
+    afterRequest(worker) {
+        if (worker.supervisor.isReady() && !worker.recycling) {
+            worker.recycling = this.getRecycleReason(worker);
+        }
+        if (worker.recycling && worker.inFlight === 0 && worker.supervisor.isReady()) {
+            this.stats.recycled++;
+            worker.recycles++;
+            this.emit('recycle', worker, worker.recycling);
+            worker.supervisor.replace();
+        }
+        this.drainQueue();
+    }
+
+    getRecycleReason(worker) {
+        const { maxRequestsPerWorker, maxMemoryMb } = this.options;
+        if (maxRequestsPerWorker > 0 && worker.handled >= maxRequestsPerWorker) {
+            return `handled ${worker.handled} requests`;
+        }
+        if (maxMemoryMb > 0 && worker.supervisor.child) {
+            worker.memoryMb = this.readMemory(worker.supervisor.child.pid);
+            if (worker.memoryMb !== null && worker.memoryMb > maxMemoryMb) {
+                return `using ${worker.memoryMb} MB of memory`;
+            }
+        }
+        return null;
+    }
+
+    drainQueue() {
+        let worker = this.queue.length > 0 ? this.pickWorker() : null;
+        while (worker) {
+            const entry = this.queue.shift();
+            clearTimeout(entry.timer);
+            this.dispatch(worker, entry.message, Math.max(1, entry.deadline - Date.now())).then(entry.resolve, entry.reject);
+            worker = this.queue.length > 0 ? this.pickWorker() : null;
+        }
+    }
+
+    rejectQueue(error) {
+        this.queue.splice(0).forEach((entry) => {
+            clearTimeout(entry.timer);
+            entry.reject(error);
+        });
+    }
+
+    // Sends a notification to every ready worker
+    notify(message) {
+        const ready = this.workers.filter(worker => worker.supervisor.isReady());
+        if (ready.length === 0) {
+            throw this.notReadyError();
+        }
+        ready.forEach(worker => worker.supervisor.transport.notify(message));
+    }
+
+    // The most recent stderr lines of all workers, oldest first
+    getLogs(limit = this.options.logBufferSize) {
+        return this.workers
+            .flatMap(worker => worker.supervisor.getLogs().map(entry => ({ ...entry, worker: worker.id })))
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+            .slice(-limit);
+    }
+
+    getStatus() {
+        const workers = this.workers.map(worker => ({
+            id: worker.id,
+            ...worker.supervisor.getStatus(),
+            in_flight: worker.inFlight,
+            requests_handled: worker.handled,
+            memory_mb: worker.memoryMb,
+            recycling: Boolean(worker.recycling),
+            recycles: worker.recycles
+        }));
+        return {
+            size: this.workers.length,
+            ready: workers.filter(worker => worker.state === 'running').length,
+            busy: workers.filter(worker => worker.in_flight > 0).length,
+            in_flight: workers.reduce((sum, worker) => sum + worker.in_flight, 0),
+            queue_length: this.queue.length,
+            max_queue: this.options.maxQueue,
+            concurrency: this.options.concurrency,
+            crash_loop: this.isCrashLooping(),
+            ...this.stats,
+            workers
+        };
+    }
+}
+
+module.exports = {
+    ProcessPool,
+    DEFAULT_POOL_OPTIONS,
+    QUEUE_FULL,
+    readProcessMemoryMb
+};
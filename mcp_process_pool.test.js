@@ -0,0 +1,181 @@
+/**
+ * Test Suite for pooling wrapped MCP server processes
+ */
+
+const { ProcessPool, QUEUE_FULL } = require('./mcp_process_pool');
+const { MCPHttpWrapper } = require('./mcp_http_wrapper');
+
+// A stdio server that answers with its pid, after `ms` milliseconds when asked to
+const SERVER_SCRIPT = `
+    require('readline').createInterface({ input: process.stdin }).on('line', (line) => {
+        const request = JSON.parse(line);
+        if (request.id === undefined) return;
+        const params = request.params || {};
+        const delay = params.ms || (params.arguments && params.arguments.ms) || 0;
+        setTimeout(() => {
+            console.log(JSON.stringify({ jsonrpc: '2.0', id: request.id, result: { pid: process.pid } }));
+        }, delay);
+    });
+`;
+
+const waitFor = async (condition, timeoutMs = 3000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+const slow = (pool, ms = 0, options) => pool.request({ jsonrpc: '2.0', id: 1, method: 'slow', params: { ms } }, options)
+    .then(response => response.result.pid);
+
+describe('ProcessPool', () => {
+    let pool;
+
+    const createPool = (options) => new ProcessPool(process.execPath, ['-e', SERVER_SCRIPT], {}, options);
+
+    afterEach(async () => {
+        await pool.stop();
+    });
+
+    it('should dispatch concurrent requests to idle workers', async () => {
+        pool = createPool({ size: 3, concurrency: 1 });
+        await pool.start();
+
+        const requests = [slow(pool, 150), slow(pool, 150), slow(pool, 150)];
+        expect(pool.getStatus()).toMatchObject({ size: 3, ready: 3, busy: 3, in_flight: 3, queue_length: 0 });
+
+        const pids = await Promise.all(requests);
+        expect(new Set(pids).size).toBe(3);
+        expect(pool.getStatus()).toMatchObject({ busy: 0, dispatched: 3, queued: 0 });
+        expect(pool.getStatus().workers.map(worker => worker.requests_handled)).toEqual([1, 1, 1]);
+    });
+
+    it('should hold requests for an idle worker by default', async () => {
+        pool = createPool();
+        await pool.start();
+
+        const first = slow(pool, 100);
+        const second = slow(pool);
+        expect(pool.getStatus()).toMatchObject({ size: 1, concurrency: 1, in_flight: 1, queue_length: 1, max_queue: 100 });
+
+        expect(await second).toBe(await first);
+        expect(pool.getStatus()).toMatchObject({ queue_length: 0, queued: 1 });
+    });
+
+    it('should queue requests while every worker is busy and refuse them once the queue is full', async () => {
+        pool = createPool({ size: 1, concurrency: 1, maxQueue: 1 });
+        await pool.start();
+
+        const first = slow(pool, 100);
+        const queued = slow(pool);
+        await expect(slow(pool)).rejects.toMatchObject({ code: QUEUE_FULL, message: 'Request queue is full (1 waiting)' });
+        expect(pool.getStatus()).toMatchObject({ in_flight: 1, queue_length: 1 });
+
+        expect(await queued).toBe(await first);
+        expect(pool.getStatus()).toMatchObject({ queue_length: 0, dispatched: 2, queued: 1, rejected: 1 });
+    });
+
+    it('should time out requests that wait too long in the queue', async () => {
+        pool = createPool({ size: 1, concurrency: 1 });
+        await pool.start();
+
+        const first = slow(pool, 300);
+        await expect(slow(pool, 0, { timeout: 50 })).rejects.toMatchObject({
+            code: 'ETIMEDOUT',
+            message: 'Request timeout after 50ms waiting for an idle worker (slow)'
+        });
+        expect(pool.getStatus().queue_length).toBe(0);
+        await first;
+    });
+
+    it('should recycle a worker after its request limit without failing queued requests', async () => {
+        pool = createPool({ size: 1, maxRequestsPerWorker: 2 });
+        const recycled = [];
+        pool.on('recycle', (worker, reason) => recycled.push(reason));
+        await pool.start();
+
+        const firstPid = await slow(pool);
+        expect(await slow(pool)).toBe(firstPid);
+        expect(recycled).toEqual(['handled 2 requests']);
+
+        // Waits in the queue for the replacement process
+        const nextPid = await slow(pool);
+        expect(nextPid).not.toBe(firstPid);
+        expect(pool.getStatus()).toMatchObject({ recycled: 1, queued: 1 });
+        expect(pool.getStatus().workers[0]).toMatchObject({ restarts: 0, recycles: 1, requests_handled: 1, recycling: false });
+    });
+
+    it('should recycle a worker whose memory exceeds the limit', async () => {
+        pool = createPool({ size: 1, maxMemoryMb: 256, readMemory: () => 512 });
+        const recycled = [];
+        pool.on('recycle', (worker, reason) => recycled.push(reason));
+        await pool.start();
+
+        const firstPid = await slow(pool);
+        expect(recycled).toEqual(['using 512 MB of memory']);
+        await waitFor(() => pool.isReady());
+        expect(await slow(pool)).not.toBe(firstPid);
+    });
+});
+
+describe('MCPHttpWrapper pool', () => {
+    let wrapper;
+    const testPort = 8962;
+    const baseUrl = `http://localhost:${testPort}`;
+
+    const invoke = ms => fetch(`${baseUrl}/invoke/work`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ms })
+    });
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        wrapper = new MCPHttpWrapper(testPort, process.execPath, ['-e', SERVER_SCRIPT], {}, {
+            pool: { size: 2, concurrency: 1, maxQueue: 0 }
+        });
+        await wrapper.startServer();
+        await new Promise(resolve => {
+            wrapper.httpServer = wrapper.app.listen(testPort, 'localhost', resolve);
+        });
+    });
+
+    afterAll(async () => {
+        await wrapper.stop();
+        jest.restoreAllMocks();
+    });
+
+    it('should spread requests over the pool, answer 503 when it is full and report it on /health', async () => {
+        const busy = [invoke(200), invoke(200)];
+        await waitFor(() => wrapper.pool.getStatus().busy === 2);
+
+        const refused = await invoke(0);
+        expect(refused.status).toBe(503);
+        expect((await refused.json()).error).toBe('Request queue is full (0 waiting)');
+
+        const pids = await Promise.all(busy.map(async response => (await (await response).json()).result.pid));
+        expect(new Set(pids).size).toBe(2);
+
+        const health = await fetch(`${baseUrl}/health`);
+        expect(health.status).toBe(200);
+        expect(await health.json()).toMatchObject({
+            status: 'healthy',
+            pool: {
+                size: 2,
+                ready: 2,
+                in_flight: 0,
+                max_queue: 0,
+                concurrency: 1,
+                rejected: 1,
+                workers: [
+                    { id: 1, state: 'running', requests_handled: 1 },
+                    { id: 2, state: 'running', requests_handled: 1 }
+                ]
+            }
+        });
+    });
+});
@@ -0,0 +1,273 @@
+/**
+ * Supervision of a wrapped stdio MCP server process.
+ *
+ * The supervisor spawns the server, runs the MCP handshake on every new
+ * process and restarts the server when it exits unexpectedly, waiting
+ * longer after each consecutive crash (exponential backoff, capped). A
+ * process that has stayed up for the crash-loop window counts as stable
+ * again and resets the backoff. When the server exits `crashLoopThreshold`
+ * times within that window it is in a crash loop: the supervisor keeps
+ * trying at the capped delay, but reports the server as unhealthy.
+ *
+ * Requests in flight when the process dies fail at once (the transport is
+ * closed with the exit reason) instead of waiting for their timeouts. The
+ * last `logBufferSize` lines of stderr are kept for troubleshooting.
+ *
+ * Events:
+ *   'spawn' (child, transport) - a new process was started
+ *   'ready' (child)            - its handshake succeeded
+ *   'exit' (code, signal)      - the process exited
+ *   'restart' (attempt, delayMs) - a restart was scheduled
+ */
+
+const { EventEmitter } = require('events');
+const { spawn } = require('child_process');
+const { StdioTransport } = require('./mcp_stdio_transport');
+
+const DEFAULT_SUPERVISOR_OPTIONS = {
+    initialRestartDelayMs: 1000,
+    maxRestartDelayMs: 30000,
+    crashLoopThreshold: 5,
+    crashLoopWindowMs: 60000,
+    logBufferSize: 200,
+    requestTimeout: 30000
+};
+
+class ProcessSupervisor extends EventEmitter {
+    /**
+     * `initialize(transport)` performs the handshake with a freshly started
+     * process; when it fails the process is killed and restarted like a crash.
+     */
+    constructor(command, args, env = {}, options = {}) {
+        super();
+        this.command = command;
+        this.args = args;
+        this.env = env;
+        this.options = { ...DEFAULT_SUPERVISOR_OPTIONS, ...options };
+        this.initialize = options.initialize || (async () => {});
+
+        this.child = null;
+        this.transport = null;
+        this.state = 'stopped'; // stopped | starting | running | restarting
+        this.stopped = true;
+        this.startedAt = null;
+        this.restarts = 0;
+        this.consecutiveFailures = 0;
+        this.recentExits = []; // exit times within the crash-loop window
+        this.lastExit = null;
+        this.lastRestartError = null;
+        this.restartTimer = null;
+        this.nextRestartAt = null;
+        this.replacing = false; // the current process is being replaced on purpose
+        this.logs = [];
+    }
+
+    // Starts the server; rejects when the first process cannot be spawned or initialized
+    async start() {
+        this.stopped = false;
+        try {
+            await this.launch();
+        } catch (error) {
+            await this.stop();
+            throw error;
+        }
+    }
+
+    async launch() {
+        this.state = this.restarts > 0 ? 'restarting' : 'starting';
+        const child = await this.spawnProcess();
+
+        try {
+            await this.initialize(this.transport);
+        } catch (error) {
+            // A process that fails its handshake is treated like one that crashed
+            if (child === this.child) {
+                child.kill();
+            }
+            throw error;
+        }
+
+        if (child === this.child) {
+            this.state = 'running';
+            this.lastRestartError = null;
+            this.emit('ready', child);
+        }
+    }
+
+    spawnProcess() {
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.command, this.args, {
+                stdio: ['pipe', 'pipe', 'pipe'],
+                env: { ...process.env, ...this.env },
+                cwd: this.options.cwd
+            });
+            const transport = new StdioTransport(child.stdout, child.stdin, {
+                requestTimeout: this.options.requestTimeout
+            });
+
+            this.child = child;
+            this.transport = transport;
+            this.startedAt = Date.now();
+
+            let stderrBuffer = '';
+            child.stderr.on('data', (data) => {
+                const lines = (stderrBuffer + data.toString()).split('\n');
+                stderrBuffer = lines.pop();
+                lines.filter(line => line.trim()).forEach(line => this.appendLog(line));
+            });
+            child.stdin.on('error', () => {}); // writes after the process died fail through its exit
+
+            child.once('error', (error) => {
+                // Only a failed spawn emits 'error' without a later 'exit'
+                if (child.pid === undefined) {
+                    this.handleExit(child, null, null, error);
+                }
+                reject(error);
+            });
+            child.once('spawn', () => resolve(child));
+            child.once('exit', (code, signal) => {
+                if (stderrBuffer.trim()) {
+                    this.appendLog(stderrBuffer);
+                }
+                this.handleExit(child, code, signal);
+            });
+
+            this.emit('spawn', child, transport);
+        });
+    }
+
+    appendLog(line) {
+        this.logs.push({ timestamp: new Date().toISOString(), line });
+        if (this.logs.length > this.options.logBufferSize) {
+            this.logs.splice(0, this.logs.length - this.options.logBufferSize);
+        }
+    }
+
+    handleExit(child, code, signal, error = null) {
+        if (child !== this.child) {
+            return;
+        }
+
+        const now = Date.now();
+        const reason = error
+            ? `Server process failed to start: ${error.message}`
+            : `Server process exited with ${signal ? `signal ${signal}` : `code ${code}`}`;
+        this.transport.close(new Error(reason));
+        this.child = null;
+        this.lastExit = { code, signal, reason, at: new Date(now).toISOString() };
+        this.emit('exit', code, signal);
+
+        if (this.stopped) {
+            this.state = 'stopped';
+            return;
+        }
+        if (this.replacing) {
+            this.replacing = false;
+            this.state = 'restarting';
+            this.launch().catch((launchError) => {
+                this.lastRestartError = launchError.message;
+            });
+            return;
+        }
+
+        // A process that stayed up for the whole window was stable, so backoff starts over
+        if (now - this.startedAt >= this.options.crashLoopWindowMs) {
+            this.consecutiveFailures = 0;
+        }
+        this.consecutiveFailures++;
+        this.recentExits = this.recentExits.filter(at => now - at < this.options.crashLoopWindowMs);
+        this.recentExits.push(now);
+        this.scheduleRestart();
+    }
+
+    scheduleRestart() {
+        const delayMs = Math.min(
+            this.options.initialRestartDelayMs * 2 ** (this.consecutiveFailures - 1),
+            this.options.maxRestartDelayMs
+        );
+        this.state = 'restarting';
+        this.nextRestartAt = Date.now() + delayMs;
+        this.emit('restart', this.restarts + 1, delayMs);
+
+        this.restartTimer = setTimeout(async () => {
+            this.restartTimer = null;
+            this.nextRestartAt = null;
+            if (this.stopped) {
+                return;
+            }
+            this.restarts++;
+            try {
+                await this.launch();
+            } catch (error) {
+                // The failed process's exit schedules the next attempt
+                this.lastRestartError = error.message;
+            }
+        }, delayMs);
+    }
+
+    isCrashLooping() {
+        const now = Date.now();
+        return this.recentExits.filter(at => now - at < this.options.crashLoopWindowMs).length
+            >= this.options.crashLoopThreshold;
+    }
+
+    isReady() {
+        return this.state === 'running';
+    }
+
+    /**
+     * Replaces the running process with a fresh one straight away, e.g. to
+     * recycle it. This is not counted as a crash; if the new process fails
+     * to start, the usual backoff applies.
+     */
+    replace() {
+        if (!this.child || this.stopped) {
+            return;
+        }
+        this.replacing = true;
+        this.child.kill();
+    }
+
+    // Stops the server without restarting it; resolves once the process has exited
+    async stop() {
+        this.stopped = true;
+        this.replacing = false;
+        if (this.restartTimer) {
+            clearTimeout(this.restartTimer);
+            this.restartTimer = null;
+            this.nextRestartAt = null;
+        }
+
+        const child = this.child;
+        if (!child) {
+            this.state = 'stopped';
+            return;
+        }
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill();
+        await exited;
+    }
+
+    getLogs(limit = this.options.logBufferSize) {
+        return this.logs.slice(-limit);
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            pid: this.child ? this.child.pid : null,
+            uptime_ms: this.child && this.startedAt ? Date.now() - this.startedAt : 0,
+            restarts: this.restarts,
+            crash_loop: this.isCrashLooping(),
+            recent_exits: this.recentExits.length,
+            last_exit: this.lastExit,
+            last_restart_error: this.lastRestartError,
+            next_restart_in_ms: this.nextRestartAt ? Math.max(0, this.nextRestartAt - Date.now()) : null
+        };
+    }
+}
+
+module.exports = {
+    ProcessSupervisor,
+    DEFAULT_SUPERVISOR_OPTIONS
+};
@@ -0,0 +1,152 @@
+/**
+ * Test Suite for supervising wrapped MCP server processes
+ */
+
+const { ProcessSupervisor } = require('./mcp_process_supervisor');
+const { MCPHttpWrapper } = require('./mcp_http_wrapper');
+
+// A stdio server that answers every request, never answers "hang" and exits on "crash"
+const SERVER_SCRIPT = `
+    console.error('server started');
+    require('readline').createInterface({ input: process.stdin }).on('line', (line) => {
+        const request = JSON.parse(line);
+        if (request.method === 'crash') {
+            console.error('fatal: crash requested');
+            process.exit(3);
+        }
+        if (request.method !== 'hang' && request.id !== undefined) {
+            console.log(JSON.stringify({ jsonrpc: '2.0', id: request.id, result: { pid: process.pid } }));
+        }
+    });
+`;
+
+// A server that dies as soon as it starts
+const CRASHING_SCRIPT = `console.error('boom'); process.exit(1);`;
+
+const fastRestarts = {
+    initialRestartDelayMs: 20,
+    maxRestartDelayMs: 80,
+    crashLoopWindowMs: 5000
+};
+
+const waitFor = async (condition, timeoutMs = 3000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+const ping = (transport, method = 'ping') => transport.request({ jsonrpc: '2.0', id: 1, method });
+
+describe('ProcessSupervisor', () => {
+    let supervisor;
+
+    afterEach(async () => {
+        await supervisor.stop();
+    });
+
+    it('should fail pending requests when the process dies and restart it with a new handshake', async () => {
+        const initialize = jest.fn(transport => ping(transport, 'initialize'));
+        supervisor = new ProcessSupervisor(process.execPath, ['-e', SERVER_SCRIPT], {}, { ...fastRestarts, initialize });
+        await supervisor.start();
+        const firstPid = supervisor.child.pid;
+
+        const hanging = ping(supervisor.transport, 'hang');
+        const startedAt = Date.now();
+        ping(supervisor.transport, 'crash').catch(() => {});
+
+        await expect(hanging).rejects.toThrow('Server process exited with code 3');
+        expect(Date.now() - startedAt).toBeLessThan(1000);
+
+        await waitFor(() => supervisor.isReady());
+        expect(initialize).toHaveBeenCalledTimes(2);
+        expect((await ping(supervisor.transport)).result.pid).not.toBe(firstPid);
+        expect(supervisor.getStatus()).toMatchObject({ state: 'running', restarts: 1, crash_loop: false, last_exit: { code: 3 } });
+        expect(supervisor.getLogs().map(entry => entry.line)).toEqual(['server started', 'fatal: crash requested', 'server started']);
+    });
+
+    it('should back off between restarts and detect a crash loop', async () => {
+        const delays = [];
+        supervisor = new ProcessSupervisor(process.execPath, ['-e', SERVER_SCRIPT], {}, {
+            ...fastRestarts,
+            crashLoopThreshold: 3,
+            initialize: async () => {}
+        });
+        supervisor.on('restart', (attempt, delayMs) => delays.push(delayMs));
+        await supervisor.start();
+
+        supervisor.args = ['-e', CRASHING_SCRIPT];
+        supervisor.child.kill();
+        await waitFor(() => delays.length >= 4);
+
+        expect(delays.slice(0, 4)).toEqual([20, 40, 80, 80]);
+        expect(supervisor.isCrashLooping()).toBe(true);
+        expect(supervisor.getStatus().crash_loop).toBe(true);
+        expect(supervisor.getLogs(1)[0].line).toBe('boom');
+    });
+
+    it('should keep only the most recent stderr lines', async () => {
+        const script = `for (let i = 1; i <= 5; i++) console.error('line ' + i); setInterval(() => {}, 1000);`;
+        supervisor = new ProcessSupervisor(process.execPath, ['-e', script], {}, { ...fastRestarts, logBufferSize: 3 });
+        await supervisor.start();
+
+        await waitFor(() => supervisor.getLogs().some(entry => entry.line === 'line 5'));
+        expect(supervisor.getLogs().map(entry => entry.line)).toEqual(['line 3', 'line 4', 'line 5']);
+    });
+
+    it('should reject start() and not restart when the command cannot be spawned', async () => {
+        supervisor = new ProcessSupervisor('/nonexistent/mcp-server', [], {}, fastRestarts);
+
+        await expect(supervisor.start()).rejects.toMatchObject({ code: 'ENOENT' });
+        expect(supervisor.getStatus()).toMatchObject({ state: 'stopped', next_restart_in_ms: null });
+    });
+});
+
+describe('MCPHttpWrapper supervision', () => {
+    let wrapper;
+    const testPort = 8969;
+    const baseUrl = `http://localhost:${testPort}`;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        wrapper = new MCPHttpWrapper(testPort, process.execPath, ['-e', SERVER_SCRIPT], {}, {
+            supervisor: { ...fastRestarts, crashLoopThreshold: 2 }
+        });
+        await wrapper.startServer();
+        await new Promise(resolve => {
+            wrapper.httpServer = wrapper.app.listen(testPort, 'localhost', resolve);
+        });
+    });
+
+    afterAll(async () => {
+        await wrapper.stop();
+        jest.restoreAllMocks();
+    });
+
+    it('should report restarts and crash loops on /health and serve stderr on /logs', async () => {
+        const healthy = await fetch(`${baseUrl}/health`);
+        expect(healthy.status).toBe(200);
+        expect((await healthy.json()).pool.workers[0]).toMatchObject({ state: 'running', restarts: 0 });
+
+        const { supervisor } = wrapper.pool.workers[0];
+        supervisor.args = ['-e', CRASHING_SCRIPT];
+        supervisor.child.kill();
+        await waitFor(() => supervisor.isCrashLooping());
+
+        const unhealthy = await fetch(`${baseUrl}/health`);
+        expect(unhealthy.status).toBe(503);
+        expect(await unhealthy.json()).toMatchObject({ status: 'unhealthy', pool: { crash_loop: true } });
+
+        const invoked = await fetch(`${baseUrl}/invoke/anything`, { method: 'POST' });
+        expect(invoked.status).toBe(500);
+        expect((await invoked.json()).error).toMatch(/Server process exited/);
+
+        const logs = await (await fetch(`${baseUrl}/logs?limit=2`)).json();
+        expect(logs.count).toBe(2);
+        expect(logs.lines[1]).toMatchObject({ line: 'boom', timestamp: expect.any(String) });
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Test Suite for the /admin/servers API
+ */
+
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+
+describe('MCP Proxy Server admin API', () => {
+  let proxyServer;
+  let server;
+  const testPort = 8994;
+  const baseUrl = `http://localhost:${testPort}`;
+  const adminToken = 'test-admin-token';
+
+  const adminRequest = async (method, path, body, token = adminToken) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  beforeAll(async () => {
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+    config.admin.token = adminToken;
+
+    proxyServer = new MCPProxyServer();
+    server = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    await proxyServer.stop();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(proxyServer, 'checkServerHealth').mockImplementation(async (downstream) => {
+      proxyServer.downstreamHealthStatus.set(downstream.id, { status: 'healthy' });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should reject requests without a valid admin token', async () => {
+    const missing = await adminRequest('GET', '/admin/servers', null, null);
+    const wrong = await adminRequest('GET', '/admin/servers', null, 'not-the-token');
+
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(401);
+  });
+
+  test('should list configured servers with their health', async () => {
+    const { status, data } = await adminRequest('GET', '/admin/servers');
+
+    expect(status).toBe(200);
+    expect(data.servers.map(s => s.id)).toEqual(expect.arrayContaining(['github', 'filesystem', 'gdrive']));
+  });
+
+  test('should register a server, health-check it and expose it everywhere', async () => {
+    const { status, data } = await adminRequest('POST', '/admin/servers', {
+      id: 'branch-feature-x',
+      url: 'http://localhost:9100',
+      timeout: 5000,
+      description: 'Ephemeral MCP server for feature-x',
+    });
+
+    expect(status).toBe(201);
+    expect(data).toMatchObject({
+      id: 'branch-feature-x',
+      url: 'http://localhost:9100',
+      healthEndpoint: '/health',
+      health: { status: 'healthy' },
+    });
+    expect(proxyServer.checkServerHealth).toHaveBeenCalledWith(expect.objectContaining({ id: 'branch-feature-x' }));
+
+    const info = await (await fetch(`${baseUrl}/info`)).json();
+    expect(info.downstream_servers).toContain('branch-feature-x');
+
+    const notFound = await (await fetch(`${baseUrl}/nowhere`)).json();
+    expect(notFound.available_targets).toContain('branch-feature-x');
+
+    const methods = await (await fetch(`${baseUrl}/mcp/get_methods`)).json();
+    expect(methods.downstream_servers).toHaveProperty('branch-feature-x');
+  });
+
+  test('should reject duplicate and invalid registrations', async () => {
+    const duplicate = await adminRequest('POST', '/admin/servers', { id: 'github', url: 'http://localhost:1' });
+    const invalidUrl = await adminRequest('POST', '/admin/servers', { id: 'broken', url: 'localhost:1' });
+    const invalidId = await adminRequest('POST', '/admin/servers', { id: 'has.dot', url: 'http://localhost:1' });
+
+    expect(duplicate.status).toBe(409);
+    expect(invalidUrl.status).toBe(400);
+    expect(invalidUrl.data.details).toContain('Invalid URL format for downstream server: broken');
+    expect(invalidId.status).toBe(400);
+    expect(config.downstreamServers).not.toHaveProperty('broken');
+  });
+
+  test('should update and remove servers', async () => {
+    await adminRequest('POST', '/admin/servers', { id: 'ephemeral', url: 'http://localhost:9200' });
+
+    const updated = await adminRequest('PUT', '/admin/servers/ephemeral', { timeout: 2500 });
+    expect(updated.status).toBe(200);
+    expect(updated.data).toMatchObject({ url: 'http://localhost:9200', timeout: 2500 });
+
+    const removed = await adminRequest('DELETE', '/admin/servers/ephemeral');
+    expect(removed.data).toEqual({ id: 'ephemeral', status: 'removed' });
+    expect(config.downstreamServers).not.toHaveProperty('ephemeral');
+    expect(proxyServer.downstreamHealthStatus.has('ephemeral')).toBe(false);
+
+    const missing = await adminRequest('DELETE', '/admin/servers/ephemeral');
+    expect(missing.status).toBe(404);
+  });
+});
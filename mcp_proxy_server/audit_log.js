@@ -0,0 +1,253 @@
+/**
+ * Audit Log
+ *
+ * Append-only record of every tool call that passes through the proxy,
+ * written as JSON Lines. Each entry has the time, client, target, tool, a
+ * SHA-256 hash of the canonicalized arguments (optionally also the arguments
+ * with sensitive fields redacted), the outcome and the duration.
+ *
+ * When the file would grow past `maxFileSize` it is renamed with a timestamp
+ * suffix (e.g. `audit.2026-01-15T10-30-00-000Z-000.jsonl`) and a new file is
+ * started. Rotated files are never written again; only the oldest beyond
+ * `maxFiles` are deleted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { JsonRpcError } = require('./jsonrpc');
+const { canonicalize } = require('./response_cache');
+
+const ARGUMENT_MODES = ['hash', 'redacted'];
+const REDACTED = '[REDACTED]';
+const MAX_QUERY_LIMIT = 1000;
+
+function hashArguments(args) {
+  return crypto.createHash('sha256').update(canonicalize(args || {})).digest('hex');
+}
+
+// Copy of value with every property named in `fields` replaced, at any depth
+function redactFields(value, fields) {
+  if (Array.isArray(value)) {
+    return value.map(item => redactFields(item, fields));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => (
+      [key, fields.includes(key) ? REDACTED : redactFields(item, fields)]
+    )));
+  }
+  return value;
+}
+
+/**
+ * Classifies the outcome of a tool call from the JSON-RPC response body, the
+ * error it failed with, or the HTTP status of a non-JSON-RPC response.
+ * Returns { status, error } with status one of success, tool_error, error,
+ * streamed or no_response.
+ */
+function describeOutcome({ response = null, error = null, streamed = false, httpStatus = null } = {}) {
+  if (error) {
+    return {
+      status: 'error',
+      error: error instanceof JsonRpcError ? { code: error.code, message: error.message } : { message: error.message },
+    };
+  }
+  if (streamed) {
+    return { status: 'streamed', error: null };
+  }
+  // JSON-RPC errors are objects; the proxy's own HTTP errors name the error in a string
+  if (response && response.error) {
+    const failure = typeof response.error === 'object' ? response.error : { message: response.error };
+    return {
+      status: 'error',
+      error: { code: failure.code, message: failure.message, http_status: httpStatus >= 400 ? httpStatus : undefined },
+    };
+  }
+  if (httpStatus >= 400) {
+    return { status: 'error', error: { http_status: httpStatus, message: (response && response.message) || null } };
+  }
+  if (!response) {
+    return { status: 'no_response', error: null };
+  }
+  return { status: response.result && response.result.isError ? 'tool_error' : 'success', error: null };
+}
+
+// Accepts ISO dates or epoch milliseconds; returns epoch milliseconds or null
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time: ${value}`);
+  }
+  return time;
+}
+
+class AuditLog {
+  constructor(options = {}) {
+    this.options = options;
+    this.file = path.resolve(options.file || 'audit.jsonl');
+    this.size = null; // bytes in the current file, read before the first write
+    this.writing = Promise.resolve();
+    this.stats = { entries: 0, rotations: 0, write_errors: 0 };
+  }
+
+  /**
+   * Builds and appends the entry for one tool call. `toolName` is the bare
+   * name used by the target. Writes are queued so entries keep their order;
+   * a failed write is logged and never fails the tool call.
+   */
+  record({ requestId = null, client = null, clientIp = null, endpoint = null, target = null, toolName, args, durationMs, outcome }) {
+    const tool = target ? `${target}.${toolName}` : toolName;
+    const entry = {
+      timestamp: new Date().toISOString(),
+      request_id: requestId,
+      client,
+      client_ip: clientIp,
+      endpoint,
+      target,
+      tool: tool || null,
+      arguments_hash: hashArguments(args),
+      status: outcome.status,
+      duration_ms: durationMs,
+    };
+    if (this.options.arguments === 'redacted') {
+      entry.arguments = redactFields(args || {}, this.getRedactedFields(target, toolName));
+    }
+    if (outcome.error) {
+      entry.error = outcome.error;
+    }
+
+    this.writing = this.writing
+      .then(() => this.append(`${JSON.stringify(entry)}\n`))
+      .catch((error) => {
+        this.stats.write_errors++;
+        console.error('Failed to write audit log entry:', error.message);
+      });
+    return entry;
+  }
+
+  // Fields redacted for every tool plus those configured for the bare or namespaced tool name
+  getRedactedFields(target, toolName) {
+    const rules = this.options.redactFields || {};
+    return [
+      ...(rules['*'] || []),
+      ...(rules[toolName] || []),
+      ...(target ? rules[`${target}.${toolName}`] || [] : []),
+    ];
+  }
+
+  async append(line) {
+    if (this.size === null) {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      this.size = await fs.promises.stat(this.file).then(stat => stat.size, () => 0);
+    }
+
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.options.maxFileSize) {
+      await this.rotate();
+    }
+
+    await fs.promises.appendFile(this.file, line);
+    this.size += bytes;
+    this.stats.entries++;
+  }
+
+  async rotate() {
+    const { dir, name, ext } = path.parse(this.file);
+    // A zero-padded sequence keeps files rotated within the same millisecond in order
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    let rotated;
+    for (let sequence = 0; !rotated || fs.existsSync(rotated); sequence++) {
+      rotated = path.join(dir, `${name}.${stamp}-${String(sequence).padStart(3, '0')}${ext}`);
+    }
+
+    await fs.promises.rename(this.file, rotated);
+    this.size = 0;
+    this.stats.rotations++;
+
+    const maxFiles = this.options.maxFiles;
+    if (maxFiles > 0) {
+      const files = await this.getRotatedFiles();
+      await Promise.all(files.slice(0, Math.max(0, files.length - maxFiles)).map(file => fs.promises.unlink(file)));
+    }
+  }
+
+  // Rotated files, oldest first (their timestamp suffixes sort chronologically)
+  async getRotatedFiles() {
+    const { dir, name, ext } = path.parse(this.file);
+    const entries = await fs.promises.readdir(dir).catch(() => []);
+    return entries
+      .filter(entry => entry.startsWith(`${name}.`) && entry.endsWith(ext) && entry !== path.basename(this.file))
+      .sort()
+      .map(entry => path.join(dir, entry));
+  }
+
+  /**
+   * Returns the most recent entries matching the filters, oldest first.
+   * `from`/`to` are ISO dates or epoch milliseconds; `tool` matches the
+   * namespaced or bare tool name. Throws for invalid filters.
+   */
+  async query({ from, to, tool, target, client, status, limit } = {}) {
+    const fromTime = parseTime(from);
+    const toTime = parseTime(to);
+    const maxEntries = Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_QUERY_LIMIT);
+
+    await this.writing;
+
+    const matches = [];
+    const files = [...(await this.getRotatedFiles()), this.file];
+    for (const file of files) {
+      const contents = await fs.promises.readFile(file, 'utf8').catch(() => '');
+      contents.split('\n').filter(Boolean).forEach((line) => {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          return;
+        }
+
+        const time = Date.parse(entry.timestamp);
+        if ((fromTime !== null && time < fromTime) || (toTime !== null && time > toTime)) {
+          return;
+        }
+        if (tool && entry.tool !== tool && (!entry.target || entry.tool !== `${entry.target}.${tool}`)) {
+          return;
+        }
+        if ((target && entry.target !== target) || (client && entry.client !== client) || (status && entry.status !== status)) {
+          return;
+        }
+        matches.push(entry);
+      });
+    }
+
+    return {
+      entries: matches.slice(-maxEntries),
+      total: matches.length,
+      truncated: matches.length > maxEntries,
+    };
+  }
+
+  // Resolves once every queued entry has been written
+  flush() {
+    return this.writing;
+  }
+
+  getStatus() {
+    return {
+      enabled: true,
+      file: this.file,
+      arguments: this.options.arguments,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = {
+  AuditLog,
+  ARGUMENT_MODES,
+  hashArguments,
+  redactFields,
+  describeOutcome,
+};
@@ -0,0 +1,190 @@
+/**
+ * Test Suite for the audit log
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog, hashArguments, redactFields, describeOutcome } = require('./audit_log');
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+const { ERROR_CODES, JsonRpcError } = require('./jsonrpc');
+
+const makeTempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-audit-'));
+
+describe('AuditLog', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = makeTempDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should hash arguments independently of key order and redact fields at any depth', () => {
+    expect(hashArguments({ a: 1, b: { c: 2 } })).toBe(hashArguments({ b: { c: 2 }, a: 1 }));
+    expect(hashArguments({ a: 1 })).toMatch(/^[0-9a-f]{64}$/);
+    expect(redactFields({ path: 'a.md', content: 'secret', nested: [{ token: 'x', keep: 1 }] }, ['content', 'token']))
+      .toEqual({ path: 'a.md', content: '[REDACTED]', nested: [{ token: '[REDACTED]', keep: 1 }] });
+  });
+
+  test('should classify outcomes', () => {
+    expect(describeOutcome({ response: { jsonrpc: '2.0', id: 1, result: {} } }).status).toBe('success');
+    expect(describeOutcome({ response: { jsonrpc: '2.0', id: 1, result: { isError: true } } }).status).toBe('tool_error');
+    expect(describeOutcome({ error: new JsonRpcError(ERROR_CODES.FORBIDDEN, 'Forbidden') }))
+      .toEqual({ status: 'error', error: { code: ERROR_CODES.FORBIDDEN, message: 'Forbidden' } });
+    expect(describeOutcome({ response: { error: 'Rate limit exceeded' }, httpStatus: 429 }).error)
+      .toEqual({ code: undefined, message: 'Rate limit exceeded', http_status: 429 });
+    expect(describeOutcome({ streamed: true }).status).toBe('streamed');
+  });
+
+  test('should rotate by size, keep maxFiles rotated files and query across them', async () => {
+    const auditLog = new AuditLog({ file: path.join(dir, 'audit.jsonl'), maxFileSize: 600, maxFiles: 2, arguments: 'hash' });
+    for (let i = 0; i < 12; i++) {
+      auditLog.record({ target: 'filesystem', toolName: `tool_${i}`, args: { i }, durationMs: 1, outcome: { status: 'success' } });
+    }
+    await auditLog.flush();
+
+    const files = fs.readdirSync(dir).sort();
+    expect(files).toHaveLength(3);
+    expect(files).toContain('audit.jsonl');
+    expect(auditLog.stats.rotations).toBeGreaterThan(2);
+
+    const { entries, total } = await auditLog.query({ limit: 100 });
+    expect(total).toBeGreaterThan(4);
+    expect(entries[entries.length - 1].tool).toBe('filesystem.tool_11');
+    expect(entries.map(entry => entry.tool)).toEqual([...entries.map(entry => entry.tool)].sort((a, b) => (
+      Number(a.split('_')[1]) - Number(b.split('_')[1])
+    )));
+  });
+
+  test('should filter queries by tool, status and time range', async () => {
+    const auditLog = new AuditLog({ file: path.join(dir, 'audit.jsonl'), maxFileSize: 1024 * 1024, arguments: 'hash' });
+    auditLog.record({ target: 'filesystem', toolName: 'read_file', args: {}, durationMs: 1, outcome: { status: 'success' } });
+    auditLog.record({ target: 'github', toolName: 'get_issue', args: {}, durationMs: 1, outcome: { status: 'error', error: { message: 'boom' } } });
+
+    expect((await auditLog.query({ tool: 'read_file' })).entries.map(entry => entry.tool)).toEqual(['filesystem.read_file']);
+    expect((await auditLog.query({ tool: 'github.get_issue', status: 'error' })).total).toBe(1);
+    expect((await auditLog.query({ to: Date.now() - 60000 })).total).toBe(0);
+    await expect(auditLog.query({ from: 'yesterday-ish' })).rejects.toThrow('Invalid time');
+  });
+});
+
+describe('MCP Proxy Server audit log', () => {
+  let proxyServer;
+  let server;
+  let dir;
+  const testPort = 8980;
+  const baseUrl = `http://localhost:${testPort}`;
+  const adminToken = 'audit-admin-token';
+
+  const post = async (requestPath, body) => {
+    const response = await fetch(`${baseUrl}${requestPath}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  const queryAudit = async (query = '') => {
+    const response = await fetch(`${baseUrl}/admin/audit${query}`, { headers: { Authorization: `Bearer ${adminToken}` } });
+    return { status: response.status, data: await response.json() };
+  };
+
+  const toolCall = (id, name, args) => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } });
+
+  beforeAll(async () => {
+    dir = makeTempDir();
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+    config.admin.token = adminToken;
+    config.audit.enabled = true;
+    config.audit.file = path.join(dir, 'audit.jsonl');
+    config.audit.arguments = 'redacted';
+
+    proxyServer = new MCPProxyServer();
+    server = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    config.audit.enabled = false;
+    await proxyServer.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    ['filesystem', 'github'].forEach(target => proxyServer.downstreamHealthStatus.set(target, { status: 'healthy' }));
+    proxyServer.toolRegistry.rebuild([
+      { server: 'filesystem', name: 'filesystem.read_file', inputSchema: { type: 'object', required: ['path'] } },
+      { server: 'filesystem', name: 'filesystem.write_file' },
+      { server: 'github', name: 'github.get_issue' },
+    ]);
+    jest.spyOn(proxyServer, 'forwardRequest').mockImplementation(async (targetInfo, req) => {
+      const respond = request => ({ jsonrpc: '2.0', id: request.id, result: { content: [{ type: 'text', text: 'ok' }] } });
+      return { status: 200, data: Array.isArray(req.body) ? req.body.map(respond) : respond(req.body) };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should record successful and rejected tool calls on /rpc', async () => {
+    await post('/rpc', toolCall(1, 'read_file', { path: 'a.md' }));
+    await post('/rpc', toolCall(2, 'read_file', {}));
+
+    const { data } = await queryAudit('?tool=read_file');
+    const [success, invalid] = data.entries.slice(-2);
+    expect(success).toMatchObject({
+      client: null,
+      endpoint: '/rpc',
+      target: 'filesystem',
+      tool: 'filesystem.read_file',
+      status: 'success',
+      arguments: { path: 'a.md' },
+    });
+    expect(success.arguments_hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(success.request_id).toBeTruthy();
+    expect(typeof success.duration_ms).toBe('number');
+    expect(invalid).toMatchObject({ status: 'error', error: { code: ERROR_CODES.INVALID_PARAMS } });
+  });
+
+  test('should redact configured fields of calls forwarded to an explicit target', async () => {
+    await post('/proxy/filesystem/mcp', toolCall(1, 'write_file', { path: 'notes.md', content: 'private notes' }));
+
+    const { data } = await queryAudit('?tool=filesystem.write_file');
+    expect(data.entries[data.entries.length - 1]).toMatchObject({
+      endpoint: '/proxy/filesystem/mcp',
+      status: 'success',
+      arguments: { path: 'notes.md', content: '[REDACTED]' },
+    });
+  });
+
+  test('should record every tool call of a batch', async () => {
+    await post('/rpc', [
+      toolCall(1, 'github.get_issue', { issue_number: 1 }),
+      toolCall(2, 'unknown_tool', {}),
+    ]);
+
+    const issues = await queryAudit('?target=github');
+    expect(issues.data.entries[issues.data.entries.length - 1]).toMatchObject({ tool: 'github.get_issue', status: 'success' });
+
+    const failures = await queryAudit('?tool=unknown_tool');
+    expect(failures.data.entries).toEqual([expect.objectContaining({ target: null, status: 'error' })]);
+  });
+
+  test('should require the admin token and validate query filters', async () => {
+    const unauthorized = await fetch(`${baseUrl}/admin/audit`);
+    const invalid = await queryAudit('?from=not-a-date');
+
+    expect(unauthorized.status).toBe(401);
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Authentication and Authorization
+ *
+ * Pluggable authentication for the proxy. Each provider inspects a request and
+ * returns a client identity, returns null when the request does not carry its
+ * kind of credential, or throws an AuthError when the credential is invalid.
+ *
+ * Built-in providers:
+ *   ApiKeyAuthProvider - static API keys (X-API-Key or "Authorization: ApiKey <key>")
+ *   JwtAuthProvider    - HMAC-signed JWTs (HS256/HS384/HS512) verified against a local key
+ *
+ * The Authorizer maps a client identity to an allow-list of targets and tools.
+ */
+
+const crypto = require('crypto');
+
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+class ApiKeyAuthProvider {
+  // apiKeys: { '<key>': '<client id>' }
+  constructor(apiKeys = {}) {
+    this.name = 'api_key';
+    this.clientsByKeyHash = new Map(
+      Object.entries(apiKeys).map(([key, clientId]) => [hashKey(key), clientId])
+    );
+  }
+
+  authenticate(req) {
+    const authorization = req.headers.authorization || '';
+    const key = req.headers['x-api-key']
+      || (authorization.startsWith('ApiKey ') ? authorization.substring(7) : null);
+
+    if (!key) {
+      return null;
+    }
+
+    const clientId = this.clientsByKeyHash.get(hashKey(key));
+    if (!clientId) {
+      throw new AuthError(401, 'Invalid API key');
+    }
+
+    return { id: clientId, method: this.name };
+  }
+}
+
+const JWT_ALGORITHMS = {
+  HS256: 'sha256',
+  HS384: 'sha384',
+  HS512: 'sha512',
+};
+
+const base64UrlDecode = value => Buffer.from(value, 'base64url');
+
+/**
+ * Verifies a compact-serialized JWT signed with an HMAC algorithm and returns
+ * its payload. Throws AuthError when the token is malformed, the signature
+ * does not match or a registered claim (exp, nbf, iss, aud) fails.
+ */
+function verifyJwt(token, secret, options = {}) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthError(401, 'Malformed JWT');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+    payload = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+  } catch (error) {
+    throw new AuthError(401, 'Malformed JWT');
+  }
+  // JSON.parse also accepts `null`, numbers and strings
+  if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') {
+    throw new AuthError(401, 'Malformed JWT');
+  }
+
+  const allowedAlgorithms = options.algorithms || Object.keys(JWT_ALGORITHMS);
+  if (!JWT_ALGORITHMS[header.alg] || !allowedAlgorithms.includes(header.alg)) {
+    throw new AuthError(401, `Unsupported JWT algorithm: ${header.alg}`);
+  }
+
+  const expected = crypto
+    .createHmac(JWT_ALGORITHMS[header.alg], secret)
+    .update(`${parts[0]}.${parts[1]}`)
+    .digest();
+  const signature = base64UrlDecode(parts[2]);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw new AuthError(401, 'Invalid JWT signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = options.clockTolerance || 0;
+  if (payload.exp !== undefined && now > payload.exp + tolerance) {
+    throw new AuthError(401, 'JWT has expired');
+  }
+  if (payload.nbf !== undefined && now + tolerance < payload.nbf) {
+    throw new AuthError(401, 'JWT is not yet valid');
+  }
+  if (options.issuer && payload.iss !== options.issuer) {
+    throw new AuthError(401, 'Invalid JWT issuer');
+  }
+  if (options.audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(options.audience)) {
+      throw new AuthError(401, 'Invalid JWT audience');
+    }
+  }
+
+  return payload;
+}
+
+class JwtAuthProvider {
+  constructor(options = {}) {
+    this.name = 'jwt';
+    this.options = options;
+    this.clientClaim = options.clientClaim || 'sub';
+  }
+
+  authenticate(req) {
+    const authorization = req.headers.authorization || '';
+    if (!authorization.startsWith('Bearer ')) {
+      return null;
+    }
+
+    const payload = verifyJwt(authorization.substring(7), this.options.secret, this.options);
+    const clientId = payload[this.clientClaim];
+    if (!clientId) {
+      throw new AuthError(401, `JWT is missing the ${this.clientClaim} claim`);
+    }
+
+    return { id: String(clientId), method: this.name };
+  }
+}
+
+// Builds the provider chain from the `auth` section of the proxy config
+function createAuthProviders(authConfig) {
+  const providers = [];
+
+  if (authConfig.apiKeys && Object.keys(authConfig.apiKeys).length > 0) {
+    providers.push(new ApiKeyAuthProvider(authConfig.apiKeys));
+  }
+  if (authConfig.jwt && authConfig.jwt.secret) {
+    providers.push(new JwtAuthProvider(authConfig.jwt));
+  }
+
+  return providers;
+}
+
+// Returns the identity from the first provider that recognises the request's credentials
+function authenticate(req, providers) {
+  for (const provider of providers) {
+    const identity = provider.authenticate(req);
+    if (identity) {
+      return identity;
+    }
+  }
+
+  throw new AuthError(401, 'Authentication required');
+}
+
+class Authorizer {
+  /**
+   * clients: { '<client id>': { targets: ['github', ...], tools: ['get_issue', 'github.search', ...] } }
+   * Either list may contain '*'. Tool entries may be bare or namespaced by target.
+   */
+  constructor(clients = {}) {
+    this.clients = clients;
+  }
+
+  isTargetAllowed(identity, target) {
+    const client = this.clients[identity.id];
+    if (!client) {
+      return false;
+    }
+
+    const targets = client.targets || [];
+    return targets.includes('*') || targets.includes(target);
+  }
+
+  isToolAllowed(identity, target, toolName) {
+    const client = this.clients[identity.id];
+    if (!client) {
+      return false;
+    }
+
+    const tools = client.tools || ['*'];
+    return tools.includes('*') || tools.includes(toolName) || tools.includes(`${target}.${toolName}`);
+  }
+
+  // Whether the client is limited to some tools (callers that cannot name the tool are refused)
+  hasToolAllowList(identity) {
+    const client = this.clients[identity.id];
+    return !client || !(client.tools || ['*']).includes('*');
+  }
+
+  /**
+   * Throws a 403 AuthError unless the identity may call the target (and tool, if given).
+   */
+  authorize(identity, target, toolName = null) {
+    if (!this.isTargetAllowed(identity, target)) {
+      throw new AuthError(403, `Client ${identity.id} is not allowed to access target ${target}`);
+    }
+    if (toolName && !this.isToolAllowed(identity, target, toolName)) {
+      throw new AuthError(403, `Client ${identity.id} is not allowed to call tool ${target}.${toolName}`);
+    }
+  }
+}
+
+module.exports = {
+  AuthError,
+  ApiKeyAuthProvider,
+  JwtAuthProvider,
+  Authorizer,
+  createAuthProviders,
+  authenticate,
+  verifyJwt,
+};
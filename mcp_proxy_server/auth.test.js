@@ -0,0 +1,232 @@
+/**
+ * Test Suite for proxy authentication and authorization
+ */
+
+const crypto = require('crypto');
+const { verifyJwt, ApiKeyAuthProvider, Authorizer } = require('./auth');
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+const { ERROR_CODES } = require('./jsonrpc');
+
+const JWT_SECRET = 'test-jwt-secret';
+
+const signJwt = (payload, secret = JWT_SECRET, alg = 'HS256') => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg, typ: 'JWT' })}.${encode(payload)}`;
+  const digest = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' }[alg] || 'sha256';
+  const signature = crypto.createHmac(digest, secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+};
+
+describe('verifyJwt', () => {
+  const now = Math.floor(Date.now() / 1000);
+
+  test('should return the payload of a valid token', () => {
+    const token = signJwt({ sub: 'dev-agent', exp: now + 60 }, JWT_SECRET, 'HS512');
+    expect(verifyJwt(token, JWT_SECRET)).toMatchObject({ sub: 'dev-agent' });
+  });
+
+  test('should reject tokens with a bad signature, expiry or audience', () => {
+    expect(() => verifyJwt(signJwt({ sub: 'a' }, 'other-secret'), JWT_SECRET))
+      .toThrow('Invalid JWT signature');
+    expect(() => verifyJwt(signJwt({ sub: 'a', exp: now - 60 }), JWT_SECRET))
+      .toThrow('JWT has expired');
+    expect(() => verifyJwt(signJwt({ sub: 'a', aud: 'other' }), JWT_SECRET, { audience: 'mcp-proxy' }))
+      .toThrow('Invalid JWT audience');
+  });
+
+  test('should reject unsigned tokens', () => {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const token = `${encode({ alg: 'none' })}.${encode({ sub: 'a' })}.`;
+    expect(() => verifyJwt(token, JWT_SECRET)).toThrow('Unsupported JWT algorithm: none');
+  });
+
+  test('should reject tokens whose header or payload is not an object', () => {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const valid = signJwt({ sub: 'a' }).split('.');
+
+    expect(() => verifyJwt(`${encode(null)}.${valid[1]}.${valid[2]}`, JWT_SECRET)).toThrow('Malformed JWT');
+    expect(() => verifyJwt(`${valid[0]}.${encode(null)}.${valid[2]}`, JWT_SECRET))
+      .toThrow(expect.objectContaining({ status: 401, message: 'Malformed JWT' }));
+  });
+});
+
+describe('ApiKeyAuthProvider and Authorizer', () => {
+  test('should map API keys to client identities', () => {
+    const provider = new ApiKeyAuthProvider({ 'key-123': 'dev-agent' });
+
+    expect(provider.authenticate({ headers: { 'x-api-key': 'key-123' } }))
+      .toEqual({ id: 'dev-agent', method: 'api_key' });
+    expect(provider.authenticate({ headers: {} })).toBeNull();
+    expect(() => provider.authenticate({ headers: { authorization: 'ApiKey nope' } }))
+      .toThrow('Invalid API key');
+  });
+
+  test('should enforce target and tool allow-lists', () => {
+    const authorizer = new Authorizer({
+      'dev-agent': { targets: ['filesystem', 'github'], tools: ['read_file', 'github.get_issue'] },
+      admin: { targets: ['*'], tools: ['*'] },
+    });
+    const agent = { id: 'dev-agent' };
+
+    expect(() => authorizer.authorize(agent, 'filesystem', 'read_file')).not.toThrow();
+    expect(() => authorizer.authorize(agent, 'github', 'get_issue')).not.toThrow();
+    expect(() => authorizer.authorize(agent, 'filesystem', 'write_file')).toThrow('not allowed to call tool');
+    expect(() => authorizer.authorize(agent, 'gdrive')).toThrow('not allowed to access target gdrive');
+    expect(() => authorizer.authorize({ id: 'admin' }, 'gdrive', 'search')).not.toThrow();
+    expect(() => authorizer.authorize({ id: 'stranger' }, 'github')).toThrow();
+    expect(authorizer.hasToolAllowList(agent)).toBe(true);
+    expect(authorizer.hasToolAllowList({ id: 'admin' })).toBe(false);
+  });
+});
+
+describe('MCP Proxy Server with authentication enabled', () => {
+  let proxyServer;
+  let server;
+  const testPort = 8992;
+  const baseUrl = `http://localhost:${testPort}`;
+
+  const post = async (path, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, headers: response.headers, data: await response.json() };
+  };
+
+  beforeAll(async () => {
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.auth.enabled = true;
+    config.auth.apiKeys = { 'agent-key': 'dev-agent' };
+    config.auth.jwt.secret = JWT_SECRET;
+    config.auth.clients = {
+      'dev-agent': { targets: ['filesystem'], tools: ['read_file', 'list_files'] },
+    };
+
+    proxyServer = new MCPProxyServer();
+    server = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    await proxyServer.stop();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    proxyServer.downstreamHealthStatus.set('filesystem', { status: 'healthy' });
+    jest.spyOn(proxyServer, 'forwardRequest').mockResolvedValue({
+      status: 200,
+      data: { jsonrpc: '2.0', id: 1, result: { content: [] } },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const toolCall = name => ({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: {} } });
+
+  test('should leave /health public', async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    expect(response.status).toBe(200);
+  });
+
+  test('should return a JSON-RPC shaped 401 without credentials', async () => {
+    const { status, headers, data } = await post('/proxy/filesystem/mcp', toolCall('read_file'));
+
+    expect(status).toBe(401);
+    expect(headers.get('www-authenticate')).toBe('Bearer');
+    expect(data).toEqual({
+      jsonrpc: '2.0',
+      id: 1,
+      error: { code: ERROR_CODES.UNAUTHORIZED, message: 'Unauthorized', data: { reason: 'Authentication required' } },
+    });
+  });
+
+  test('should allow calls on the client allow-list with an API key or JWT', async () => {
+    const withKey = await post('/proxy/filesystem/mcp', toolCall('read_file'), { 'X-API-Key': 'agent-key' });
+    const withJwt = await post('/proxy/filesystem/mcp', toolCall('list_files'), {
+      Authorization: `Bearer ${signJwt({ sub: 'dev-agent' })}`,
+    });
+
+    expect(withKey.status).toBe(200);
+    expect(withJwt.status).toBe(200);
+  });
+
+  test('should return a JSON-RPC shaped 403 for tools and targets outside the allow-list', async () => {
+    const headers = { 'X-API-Key': 'agent-key' };
+    const writeFile = await post('/proxy/filesystem/mcp', toolCall('write_file'), headers);
+    const github = await post('/proxy/github/mcp', toolCall('get_issue'), headers);
+
+    expect(writeFile.status).toBe(403);
+    expect(writeFile.data.error).toMatchObject({ code: ERROR_CODES.FORBIDDEN, message: 'Forbidden' });
+    expect(github.status).toBe(403);
+    expect(proxyServer.forwardRequest).not.toHaveBeenCalled();
+  });
+
+  test('should read the tool of invoke paths the way Express routes them', async () => {
+    const headers = { 'X-API-Key': 'agent-key' };
+    const mixedCase = await post('/proxy/filesystem/Invoke/write_file', {}, headers);
+    const slashes = await post('/proxy/filesystem/INVOKE//write_file/', {}, headers);
+    const disguised = await post('/proxy/filesystem/invoke/write_file', toolCall('read_file'), headers);
+    const allowed = await post('/proxy/filesystem/Invoke/read_file', {}, headers);
+
+    expect(mixedCase.status).toBe(403);
+    expect(mixedCase.data.error.data.reason).toBe('Client dev-agent is not allowed to call tool filesystem.write_file');
+    expect(slashes.status).toBe(403);
+    expect(disguised.status).toBe(403);
+    expect(allowed.status).toBe(200);
+    expect(proxyServer.forwardRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('should refuse invoke paths without a readable tool name to clients with a tool allow-list', async () => {
+    const headers = { 'X-API-Key': 'agent-key' };
+    const nested = await post('/proxy/filesystem/invoke/write_file/extra', {}, headers);
+    const bare = await post('/proxy/filesystem/invoke', {}, headers);
+
+    expect(nested.status).toBe(403);
+    expect(nested.data.error.data.reason).toBe('Client dev-agent may not call an unrecognised tool path /invoke/write_file/extra');
+    expect(bare.status).toBe(403);
+    expect(proxyServer.forwardRequest).not.toHaveBeenCalled();
+  });
+
+  test('should only list the allowed targets and tools on /mcp/get_methods', async () => {
+    const tools = [{ name: 'read_file' }, { name: 'write_file' }];
+    jest.spyOn(proxyServer, 'aggregateGetMethods').mockResolvedValue({
+      proxy_info: {},
+      downstream_servers: {
+        filesystem: { status: 'available', tools },
+        github: { status: 'available', tools: [{ name: 'get_issue' }] },
+      },
+      aggregated_tools: [
+        ...tools.map(tool => ({ ...tool, server: 'filesystem', name: `filesystem.${tool.name}` })),
+        { name: 'github.get_issue', server: 'github' },
+      ],
+    });
+
+    const response = await fetch(`${baseUrl}/mcp/get_methods`, { headers: { 'X-API-Key': 'agent-key' } });
+    const methods = await response.json();
+
+    expect(Object.keys(methods.downstream_servers)).toEqual(['filesystem']);
+    expect(methods.downstream_servers.filesystem.tools).toEqual([{ name: 'read_file' }]);
+    expect(methods.aggregated_tools.map(tool => tool.name)).toEqual(['filesystem.read_file']);
+  });
+
+  test('should authorize tool-name routed calls on /rpc', async () => {
+    proxyServer.toolRegistry.rebuild([
+      { server: 'filesystem', name: 'filesystem.write_file' },
+      { server: 'filesystem', name: 'filesystem.read_file' },
+    ]);
+    const headers = { 'X-API-Key': 'agent-key' };
+
+    const denied = await post('/rpc', toolCall('write_file'), headers);
+    const listed = await post('/rpc', { jsonrpc: '2.0', id: 2, method: 'tools/list' }, headers);
+
+    expect(denied.status).toBe(403);
+    expect(listed.data.result.tools.map(tool => tool.name)).toEqual(['filesystem.read_file']);
+  });
+});
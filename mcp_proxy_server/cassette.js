@@ -0,0 +1,281 @@
+/**
+ * Cassettes
+ *
+ * Record and replay of downstream traffic. In record mode every request the
+ * proxy sends to a downstream server is passed through and saved, with its
+ * response, to a JSON cassette file. In replay mode the cassette answers
+ * instead and no downstream server is contacted, which makes integration
+ * tests and offline demos deterministic.
+ *
+ * Recorded requests are matched on their target plus the configured fields
+ * (method, path, query and body). Body fields in `ignoreBodyFields` (the
+ * JSON-RPC `id` by default) are left out of the comparison, and replayed
+ * JSON-RPC responses carry the ids of the current request.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+const { canonicalize } = require('./response_cache');
+
+const CASSETTE_MODES = ['off', 'record', 'replay'];
+const MATCH_FIELDS = ['method', 'path', 'query', 'body'];
+const CASSETTE_VERSION = 1;
+
+// Error code of a replayed request without a matching recording
+const CASSETTE_MISS = 'ECASSETTEMISS';
+
+// Response headers that describe the original connection rather than the response
+const UNRECORDED_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'content-length', 'upgrade', 'date'];
+
+// Drops the ignored top-level fields of a JSON-RPC message (or of each message of a batch)
+function stripBodyFields(body, fields) {
+  if (Array.isArray(body)) {
+    return body.map(item => stripBodyFields(item, fields));
+  }
+  if (body && typeof body === 'object') {
+    return Object.fromEntries(Object.entries(body).filter(([key]) => !fields.includes(key)));
+  }
+  return body === undefined ? null : body;
+}
+
+// Pairs of [recorded id, current id] for the messages of two matching bodies
+function collectIdPairs(recordedBody, body) {
+  if (Array.isArray(recordedBody) && Array.isArray(body)) {
+    return recordedBody.flatMap((item, index) => collectIdPairs(item, body[index]));
+  }
+  if (recordedBody && body && typeof recordedBody === 'object' && typeof body === 'object'
+    && recordedBody.id !== undefined && body.id !== undefined) {
+    return [[JSON.stringify(recordedBody.id), body.id]];
+  }
+  return [];
+}
+
+// Rewrites the ids of JSON-RPC responses, including those in event stream data lines
+function remapIds(data, ids) {
+  if (ids.size === 0) {
+    return data;
+  }
+  if (Array.isArray(data)) {
+    return data.map(item => remapIds(item, ids));
+  }
+  if (data && typeof data === 'object') {
+    const key = JSON.stringify(data.id);
+    return data.jsonrpc && ids.has(key) ? { ...data, id: ids.get(key) } : data;
+  }
+  if (typeof data === 'string') {
+    return data.replace(/^data: ?(.*)$/gm, (line, payload) => {
+      try {
+        return `data: ${JSON.stringify(remapIds(JSON.parse(payload), ids))}`;
+      } catch (error) {
+        return line;
+      }
+    });
+  }
+  return data;
+}
+
+function pickHeaders(headers) {
+  const picked = {};
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    if (value !== undefined && !UNRECORDED_HEADERS.includes(name.toLowerCase())) {
+      picked[name.toLowerCase()] = value;
+    }
+  });
+  return picked;
+}
+
+class Cassette {
+  constructor(options = {}) {
+    this.mode = options.mode || 'off';
+    this.file = path.resolve(options.file || 'cassettes/proxy.json');
+    this.matchOn = options.matchOn || ['method', 'path', 'query', 'body'];
+    this.ignoreBodyFields = options.ignoreBodyFields || ['id'];
+    this.interactions = [];
+    this.replayed = new Set(); // indexes of interactions already used for a reply
+    this.writing = Promise.resolve();
+    this.stats = { recorded: 0, replayed: 0, misses: 0, write_errors: 0 };
+
+    // Recording starts a new cassette; replaying needs an existing one
+    if (this.mode === 'replay') {
+      this.load();
+    }
+  }
+
+  load() {
+    let contents;
+    try {
+      contents = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read cassette ${this.file}: ${error.message}`);
+    }
+    if (!contents || !Array.isArray(contents.interactions)) {
+      throw new Error(`Cassette ${this.file} has no interactions list`);
+    }
+    this.interactions = contents.interactions;
+    this.replayed.clear();
+  }
+
+  /**
+   * Sends a downstream request through the cassette. `request` describes it
+   * as { target, method, path, query, body }; `send` performs it and
+   * resolves to { status, headers, data, stream }. Recording passes the
+   * request on and saves the response once it is complete; replaying
+   * answers from the cassette and throws an ECASSETTEMISS error when
+   * nothing matches.
+   */
+  async exchange(request, send) {
+    if (this.mode === 'replay') {
+      return this.replay(request);
+    }
+
+    const response = await send();
+    if (this.mode !== 'record') {
+      return response;
+    }
+
+    const interaction = {
+      recorded_at: new Date().toISOString(),
+      request: {
+        target: request.target,
+        method: request.method.toUpperCase(),
+        path: request.path,
+        query: request.query || {},
+        body: request.body === undefined ? null : request.body,
+      },
+      response: {
+        status: response.status,
+        headers: pickHeaders(response.headers),
+        stream: Boolean(response.stream),
+        body: response.stream ? null : response.data,
+      },
+    };
+
+    if (!response.stream) {
+      this.save(interaction);
+      return response;
+    }
+    return { ...response, data: this.recordStream(response.data, interaction) };
+  }
+
+  /**
+   * Tees a streamed body so it is saved once the downstream finishes it. The
+   * caller reads the copy; closing the copy closes the downstream stream.
+   * Streams the client abandons are not saved.
+   */
+  recordStream(upstream, interaction) {
+    const copy = new PassThrough();
+    const chunks = [];
+
+    upstream.on('data', chunk => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+    upstream.once('end', () => {
+      interaction.response.body = Buffer.concat(chunks).toString('utf8');
+      this.save(interaction);
+    });
+    upstream.once('error', error => copy.destroy(error));
+    copy.once('close', () => {
+      if (!upstream.destroyed) {
+        upstream.destroy();
+      }
+    });
+    upstream.pipe(copy);
+    return copy;
+  }
+
+  save(interaction) {
+    this.interactions.push(interaction);
+    this.stats.recorded++;
+
+    // The whole cassette is rewritten so the file is valid JSON after every write
+    this.writing = this.writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        const contents = { version: CASSETTE_VERSION, interactions: this.interactions };
+        await fs.promises.writeFile(this.file, `${JSON.stringify(contents, null, 2)}\n`);
+      })
+      .catch((error) => {
+        this.stats.write_errors++;
+        console.error(`Failed to write cassette ${this.file}:`, error.message);
+      });
+  }
+
+  /**
+   * Recorded interactions are replayed in order: the first matching one not
+   * replayed yet is used, and once all have been used the last one repeats.
+   */
+  replay(request) {
+    let match = -1;
+    for (let index = 0; index < this.interactions.length; index++) {
+      if (this.matches(this.interactions[index].request, request)) {
+        match = index;
+        if (!this.replayed.has(index)) {
+          break;
+        }
+      }
+    }
+
+    if (match === -1) {
+      this.stats.misses++;
+      const error = new Error(`No recorded interaction in ${path.basename(this.file)} matches ${request.method.toUpperCase()} ${request.target} ${request.path}`);
+      error.code = CASSETTE_MISS;
+      throw error;
+    }
+
+    this.replayed.add(match);
+    this.stats.replayed++;
+
+    const { request: recorded, response } = this.interactions[match];
+    const ids = new Map(collectIdPairs(recorded.body, request.body));
+    const body = remapIds(response.body, ids);
+    return {
+      status: response.status,
+      headers: { ...response.headers },
+      data: response.stream ? Readable.from([Buffer.from(body || '')]) : JSON.parse(JSON.stringify(body)),
+      stream: response.stream || undefined,
+      replayed: true,
+    };
+  }
+
+  matches(recorded, request) {
+    if (recorded.target !== request.target) {
+      return false;
+    }
+    return this.matchOn.every((field) => {
+      switch (field) {
+        case 'method':
+          return recorded.method === request.method.toUpperCase();
+        case 'path':
+          return recorded.path === request.path;
+        case 'query':
+          return canonicalize(recorded.query || {}) === canonicalize(request.query || {});
+        case 'body':
+          return canonicalize(stripBodyFields(recorded.body, this.ignoreBodyFields))
+            === canonicalize(stripBodyFields(request.body, this.ignoreBodyFields));
+        default:
+          return true;
+      }
+    });
+  }
+
+  // Resolves once every recorded interaction has been written
+  flush() {
+    return this.writing;
+  }
+
+  getStatus() {
+    return {
+      mode: this.mode,
+      file: this.file,
+      match_on: this.matchOn,
+      interactions: this.interactions.length,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = {
+  Cassette,
+  CASSETTE_MODES,
+  CASSETTE_MISS,
+  MATCH_FIELDS,
+};
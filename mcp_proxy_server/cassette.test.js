@@ -0,0 +1,246 @@
+/**
+ * Test Suite for recording and replaying downstream traffic
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { Cassette, CASSETTE_MISS } = require('./cassette');
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+
+const makeTempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-cassette-'));
+
+const toolCall = (id, name, args) => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } });
+
+const writeCassette = (file, interactions) => {
+  fs.writeFileSync(file, JSON.stringify({ version: 1, interactions }));
+};
+
+const interaction = (body, result, extra = {}) => ({
+  request: { target: 'filesystem', method: 'POST', path: '/mcp', query: {}, body },
+  response: { status: 200, headers: { 'content-type': 'application/json' }, stream: false, body: { jsonrpc: '2.0', id: body.id, result } },
+  ...extra,
+});
+
+describe('Cassette', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = makeTempDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should replay matching interactions in order with the current JSON-RPC ids', async () => {
+    const file = path.join(dir, 'cassette.json');
+    writeCassette(file, [
+      interaction(toolCall(1, 'read_file', { path: 'a.md' }), { content: 'first' }),
+      interaction(toolCall(2, 'read_file', { path: 'a.md' }), { content: 'second' }),
+    ]);
+    const cassette = new Cassette({ mode: 'replay', file });
+    const send = jest.fn();
+    const request = id => ({ target: 'filesystem', method: 'post', path: '/mcp', query: {}, body: toolCall(id, 'read_file', { path: 'a.md' }) });
+
+    const responses = [];
+    for (const id of ['x', 'y', 'z']) {
+      responses.push(await cassette.exchange(request(id), send));
+    }
+
+    expect(responses.map(response => response.data)).toEqual([
+      { jsonrpc: '2.0', id: 'x', result: { content: 'first' } },
+      { jsonrpc: '2.0', id: 'y', result: { content: 'second' } },
+      { jsonrpc: '2.0', id: 'z', result: { content: 'second' } },
+    ]);
+    expect(send).not.toHaveBeenCalled();
+    expect(cassette.getStatus()).toMatchObject({ interactions: 2, replayed: 3, misses: 0 });
+  });
+
+  test('should match only on the configured fields', async () => {
+    const file = path.join(dir, 'cassette.json');
+    writeCassette(file, [interaction(toolCall(1, 'read_file', { path: 'a.md' }), { content: 'a' })]);
+    const request = { target: 'filesystem', method: 'POST', path: '/mcp', query: {}, body: toolCall(1, 'read_file', { path: 'b.md' }) };
+
+    const strict = new Cassette({ mode: 'replay', file });
+    await expect(strict.exchange(request)).rejects.toMatchObject({ code: CASSETTE_MISS });
+    await expect(strict.exchange({ ...request, target: 'github' })).rejects.toThrow('No recorded interaction');
+    expect(strict.getStatus().misses).toBe(2);
+
+    const loose = new Cassette({ mode: 'replay', file, matchOn: ['method', 'path'] });
+    expect((await loose.exchange(request)).data.result).toEqual({ content: 'a' });
+  });
+
+  test('should replay recorded event streams with remapped ids', async () => {
+    const file = path.join(dir, 'cassette.json');
+    const body = toolCall(7, 'search', {});
+    writeCassette(file, [{
+      request: { target: 'filesystem', method: 'POST', path: '/mcp', query: {}, body },
+      response: {
+        status: 200,
+        headers: { 'content-type': 'text/event-stream' },
+        stream: true,
+        body: 'event: message\ndata: {"jsonrpc":"2.0","id":7,"result":{}}\n\n',
+      },
+    }]);
+
+    const cassette = new Cassette({ mode: 'replay', file });
+    const response = await cassette.exchange({ target: 'filesystem', method: 'POST', path: '/mcp', body: { ...body, id: 99 } });
+    let text = '';
+    for await (const chunk of response.data) {
+      text += chunk.toString();
+    }
+
+    expect(response.stream).toBe(true);
+    expect(text).toBe('event: message\ndata: {"jsonrpc":"2.0","id":99,"result":{}}\n\n');
+  });
+
+  test('should refuse to replay a missing cassette', () => {
+    expect(() => new Cassette({ mode: 'replay', file: path.join(dir, 'missing.json') })).toThrow('Cannot read cassette');
+  });
+});
+
+describe('MCP Proxy Server record and replay', () => {
+  let downstream;
+  let dir;
+  let cassetteFile;
+  let served;
+  let baseUrl;
+  // The replaying proxy gets its own port so no pooled connection reaches the closed recorder
+  const recordPort = 8979;
+  const replayPort = 8977;
+  const downstreamPort = 8978;
+
+  const post = async (requestPath, body) => {
+    const response = await fetch(`${baseUrl}${requestPath}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  const startProxy = async (mode, port) => {
+    config.cassette.mode = mode;
+    config.server.port = port;
+    baseUrl = `http://localhost:${port}`;
+    const proxyServer = new MCPProxyServer();
+    proxyServer.downstreamHealthStatus.set('notes', { status: 'healthy' });
+    const server = await proxyServer.start();
+    return { proxyServer, server };
+  };
+
+  // The same session is run against the live downstream server and the cassette
+  const runSession = async () => {
+    await fetch(`${baseUrl}/mcp/get_methods`);
+    const direct = await post('/proxy/notes/mcp', toolCall(1, 'get_note', { title: 'todo' }));
+    const routed = await post('/rpc', toolCall('rpc-1', 'get_note', { title: 'ideas' }));
+    const events = await (await fetch(`${baseUrl}/proxy/notes/events?since=1`)).text();
+    return { direct, routed, events };
+  };
+
+  beforeAll(async () => {
+    dir = makeTempDir();
+    cassetteFile = path.join(dir, 'cassettes', 'notes.json');
+
+    downstream = http.createServer((req, res) => {
+      if (req.url === '/tools') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ tools: [{ name: 'get_note', inputSchema: { type: 'object' } }] }));
+      } else if (req.url.startsWith('/events')) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('data: {"note":1}\n\n');
+        setTimeout(() => res.end('data: {"note":2}\n\n'), 20);
+      } else {
+        let body = '';
+        req.on('data', (chunk) => {
+          body += chunk;
+        });
+        req.on('end', () => {
+          const request = JSON.parse(body);
+          served++;
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            jsonrpc: '2.0',
+            id: request.id,
+            result: { content: [{ type: 'text', text: `Note ${request.params.arguments.title}` }] },
+          }));
+        });
+      }
+    });
+    await new Promise(resolve => downstream.listen(downstreamPort, 'localhost', resolve));
+
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+    config.cassette.file = cassetteFile;
+    config.downstreamServers.notes = {
+      url: `http://localhost:${downstreamPort}`,
+      description: 'Notes Test Server',
+      timeout: 5000,
+    };
+  });
+
+  afterAll(async () => {
+    config.cassette.mode = 'off';
+    delete config.downstreamServers.notes;
+    if (downstream.listening) {
+      await new Promise(resolve => downstream.close(resolve));
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    served = 0;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should record a session and replay it without the downstream server', async () => {
+    const recording = await startProxy('record', recordPort);
+    const recorded = await runSession();
+    await recording.proxyServer.cassette.flush();
+    await recording.proxyServer.stop();
+    await new Promise(resolve => downstream.close(resolve));
+
+    expect(served).toBe(2);
+    expect(recorded.routed.data.result.content[0].text).toBe('Note ideas');
+    const { interactions } = JSON.parse(fs.readFileSync(cassetteFile, 'utf8'));
+    expect(interactions.map(({ request }) => `${request.method} ${request.target} ${request.path}`)).toEqual(expect.arrayContaining([
+      'GET notes /tools',
+      'POST notes /mcp',
+      'GET notes /events',
+    ]));
+    expect(interactions.find(({ request }) => request.path === '/events').response)
+      .toMatchObject({ stream: true, body: 'data: {"note":1}\n\ndata: {"note":2}\n\n' });
+
+    const replaying = await startProxy('replay', replayPort);
+    try {
+      const replayed = await runSession();
+      const health = await (await fetch(`${baseUrl}/health`)).json();
+      const miss = await post('/proxy/notes/mcp', toolCall(2, 'get_note', { title: 'unrecorded' }));
+
+      expect(replayed).toEqual(recorded);
+      expect(health.cassette).toMatchObject({ mode: 'replay', replayed: 4 });
+      expect(miss.status).toBe(502);
+      expect(miss.data.error).toBe('No recorded response');
+      expect(replaying.proxyServer.getCircuitBreaker('notes').getStatus().consecutive_failures).toBe(0);
+
+      // A miss during a half-open probe frees the probe slot for the next request
+      const breaker = replaying.proxyServer.getCircuitBreaker('notes');
+      breaker.transitionTo('open');
+      breaker.openedAt = Date.now() - config.circuitBreaker.resetTimeout - 1;
+      await post('/proxy/notes/mcp', toolCall(3, 'get_note', { title: 'unrecorded' }));
+      expect(breaker.state).toBe('half_open');
+      expect((await post('/proxy/notes/mcp', toolCall(4, 'get_note', { title: 'unrecorded' }))).status).toBe(502);
+    } finally {
+      await replaying.proxyServer.stop();
+    }
+  });
+});
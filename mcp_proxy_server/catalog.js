@@ -0,0 +1,84 @@
+/**
+ * Resource and Prompt Catalog
+ *
+ * Namespacing for the resources and prompts that the proxy aggregates from
+ * its downstream servers, so that every item can be routed back to the
+ * server that owns it:
+ *
+ * - resource URIs get the server id as a scheme prefix, e.g.
+ *   `gdrive+gdrive:///file/123` or `filesystem+file:///README.md`
+ * - prompt names get the server id as a prefix, like tools, e.g.
+ *   `github.summarize_issue`
+ */
+
+const { ERROR_CODES, JsonRpcError } = require('./jsonrpc');
+
+const RESOURCE_URI_SEPARATOR = '+';
+const PROMPT_NAME_SEPARATOR = '.';
+
+// The list methods the proxy aggregates, the result key they return and the field that is namespaced
+const LIST_METHODS = {
+  'resources/list': { key: 'resources', field: 'uri', separator: RESOURCE_URI_SEPARATOR },
+  'resources/templates/list': { key: 'resourceTemplates', field: 'uriTemplate', separator: RESOURCE_URI_SEPARATOR },
+  'prompts/list': { key: 'prompts', field: 'name', separator: PROMPT_NAME_SEPARATOR },
+};
+
+function namespace(serverId, value, separator) {
+  return `${serverId}${separator}${value}`;
+}
+
+/**
+ * Splits a namespaced URI or name into { target, value }. Returns null if
+ * the prefix is not one of `serverIds`.
+ */
+function parseNamespaced(namespaced, separator, serverIds) {
+  if (typeof namespaced !== 'string') {
+    return null;
+  }
+
+  const index = namespaced.indexOf(separator);
+  if (index <= 0) {
+    return null;
+  }
+
+  const target = namespaced.substring(0, index);
+  if (!serverIds.includes(target)) {
+    return null;
+  }
+  return { target, value: namespaced.substring(index + separator.length) };
+}
+
+// Namespaces one item of a downstream list result and records the server it came from
+function namespaceListItem(method, serverId, item) {
+  const { field, separator } = LIST_METHODS[method];
+  return {
+    ...item,
+    [field]: namespace(serverId, item[field], separator),
+    server: serverId,
+  };
+}
+
+function namespaceResourceUri(serverId, uri) {
+  return namespace(serverId, uri, RESOURCE_URI_SEPARATOR);
+}
+
+/**
+ * Whether a downstream error means the server does not implement the
+ * method: a JSON-RPC "method not found", or no MCP endpoint at all.
+ */
+function isUnsupportedError(error) {
+  if (!(error instanceof JsonRpcError)) {
+    return false;
+  }
+  return error.code === ERROR_CODES.METHOD_NOT_FOUND || Boolean(error.data && error.data.status === 404);
+}
+
+module.exports = {
+  LIST_METHODS,
+  RESOURCE_URI_SEPARATOR,
+  PROMPT_NAME_SEPARATOR,
+  parseNamespaced,
+  namespaceListItem,
+  namespaceResourceUri,
+  isUnsupportedError,
+};
@@ -0,0 +1,171 @@
+/**
+ * Test Suite for aggregated resources and prompts
+ */
+
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+const { ERROR_CODES, JsonRpcError } = require('./jsonrpc');
+const { parseNamespaced, namespaceListItem, isUnsupportedError } = require('./catalog');
+
+describe('catalog namespacing', () => {
+  const serverIds = ['gdrive', 'filesystem'];
+
+  test('should route namespaced URIs and names back to their server', () => {
+    expect(parseNamespaced('gdrive+gdrive:///file/1', '+', serverIds)).toEqual({ target: 'gdrive', value: 'gdrive:///file/1' });
+    expect(parseNamespaced('filesystem.summarize.v2', '.', serverIds)).toEqual({ target: 'filesystem', value: 'summarize.v2' });
+    expect(parseNamespaced('github+file:///a', '+', serverIds)).toBeNull();
+    expect(parseNamespaced('file:///a', '+', serverIds)).toBeNull();
+  });
+
+  test('should namespace list items and record their server', () => {
+    expect(namespaceListItem('resources/list', 'filesystem', { uri: 'file:///a.md', name: 'a.md' }))
+      .toEqual({ uri: 'filesystem+file:///a.md', name: 'a.md', server: 'filesystem' });
+    expect(namespaceListItem('prompts/list', 'gdrive', { name: 'summarize' }))
+      .toEqual({ name: 'gdrive.summarize', server: 'gdrive' });
+  });
+
+  test('should treat method not found and missing endpoints as unsupported', () => {
+    expect(isUnsupportedError(new JsonRpcError(ERROR_CODES.METHOD_NOT_FOUND, 'Method not found'))).toBe(true);
+    expect(isUnsupportedError(new JsonRpcError(ERROR_CODES.DOWNSTREAM_ERROR, 'Not found', { status: 404 }))).toBe(true);
+    expect(isUnsupportedError(new JsonRpcError(ERROR_CODES.DOWNSTREAM_ERROR, 'Downstream server unavailable'))).toBe(false);
+  });
+});
+
+describe('MCP Proxy Server resources and prompts', () => {
+  let proxyServer;
+  let server;
+  const testPort = 8982;
+  const baseUrl = `http://localhost:${testPort}`;
+
+  const rpc = async (method, params = {}, path = '/rpc', headers = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    });
+    return { status: response.status, headers: response.headers, data: await response.json() };
+  };
+
+  // filesystem has resources and prompts, gdrive only resources, github has no /mcp endpoint
+  const downstream = {
+    filesystem: {
+      'resources/list': () => ({ resources: [{ uri: 'file:///README.md', name: 'README.md' }] }),
+      'resources/read': params => ({ contents: [{ uri: params.uri, text: `contents of ${params.uri}` }] }),
+      'prompts/list': () => ({ prompts: [{ name: 'summarize' }, { name: 'review' }] }),
+      'prompts/get': params => ({ messages: [{ role: 'user', content: { type: 'text', text: params.name } }] }),
+    },
+    gdrive: {
+      'resources/list': params => (params.cursor
+        ? { resources: [{ uri: 'gdrive:///file/2', name: 'Sheet' }] }
+        : { resources: [{ uri: 'gdrive:///file/1', name: 'Doc' }], nextCursor: 'page-2' }),
+      'prompts/list': () => ({ prompts: [{ name: 'review' }] }),
+    },
+  };
+
+  beforeAll(async () => {
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+
+    proxyServer = new MCPProxyServer();
+    server = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    await proxyServer.stop();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    ['filesystem', 'github', 'gdrive'].forEach(target => proxyServer.downstreamHealthStatus.set(target, { status: 'healthy' }));
+
+    jest.spyOn(proxyServer, 'forwardRequest').mockImplementation(async (targetInfo, req) => {
+      if (targetInfo.target === 'github') {
+        return { status: 404, data: { error: 'Not found' } };
+      }
+
+      const { id, method, params } = req.body;
+      const handler = downstream[targetInfo.target][method];
+      // gdrive's prompts/get is missing on purpose
+      if (!handler || (targetInfo.target === 'gdrive' && method === 'prompts/get')) {
+        return { status: 200, data: { jsonrpc: '2.0', id, error: { code: -32601, message: 'Method not found' } } };
+      }
+      return { status: 200, data: { jsonrpc: '2.0', id, result: handler(params) } };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should aggregate resources from every server that has them, following pagination', async () => {
+    const { data } = await rpc('resources/list');
+
+    expect(data.result.resources).toEqual([
+      { uri: 'filesystem+file:///README.md', name: 'README.md', server: 'filesystem' },
+      { uri: 'gdrive+gdrive:///file/1', name: 'Doc', server: 'gdrive' },
+      { uri: 'gdrive+gdrive:///file/2', name: 'Sheet', server: 'gdrive' },
+    ]);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  test('should read a resource from its owning server by namespaced URI', async () => {
+    const { data } = await rpc('resources/read', { uri: 'filesystem+file:///README.md' });
+
+    const [targetInfo, req] = proxyServer.forwardRequest.mock.calls[0];
+    expect(targetInfo.target).toBe('filesystem');
+    expect(req.body.params).toEqual({ uri: 'file:///README.md' });
+    expect(data.result.contents).toEqual([
+      { uri: 'filesystem+file:///README.md', text: 'contents of file:///README.md' },
+    ]);
+  });
+
+  test('should reject resource URIs without a known server prefix', async () => {
+    const { data } = await rpc('resources/read', { uri: 'file:///README.md' });
+
+    expect(data.error.code).toBe(ERROR_CODES.INVALID_PARAMS);
+    expect(proxyServer.forwardRequest).not.toHaveBeenCalled();
+  });
+
+  test('should aggregate prompts with namespaced names', async () => {
+    const { data } = await rpc('prompts/list');
+
+    expect(data.result.prompts.map(prompt => prompt.name)).toEqual([
+      'filesystem.summarize',
+      'filesystem.review',
+      'gdrive.review',
+    ]);
+  });
+
+  test('should get prompts by namespaced or unambiguous bare name', async () => {
+    const namespaced = await rpc('prompts/get', { name: 'filesystem.review', arguments: { file: 'a.md' } });
+    expect(namespaced.data.result.messages[0].content.text).toBe('review');
+    expect(proxyServer.forwardRequest.mock.calls[0][1].body.params).toEqual({ name: 'review', arguments: { file: 'a.md' } });
+
+    const bare = await rpc('prompts/get', { name: 'summarize' });
+    expect(bare.data.result.messages[0].content.text).toBe('summarize');
+
+    const ambiguous = await rpc('prompts/get', { name: 'review' });
+    expect(ambiguous.data.error.message).toBe('Ambiguous prompt name: review');
+    expect(ambiguous.data.error.data.candidates).toEqual(['filesystem.review', 'gdrive.review']);
+  });
+
+  test('should report a server that lacks a capability', async () => {
+    const { data } = await rpc('prompts/get', { name: 'gdrive.review' });
+
+    expect(data.error.code).toBe(ERROR_CODES.METHOD_NOT_FOUND);
+    expect(data.error.message).toBe('Server gdrive does not support prompts/get');
+  });
+
+  test('should advertise and serve resources and prompts over /mcp', async () => {
+    const initialize = await rpc('initialize', { protocolVersion: '2025-06-18' }, '/mcp');
+    expect(initialize.data.result.capabilities).toMatchObject({ resources: {}, prompts: {} });
+
+    const sessionId = initialize.headers.get('mcp-session-id');
+    const { data } = await rpc('prompts/list', {}, '/mcp', { 'Mcp-Session-Id': sessionId });
+    expect(data.result.prompts).toHaveLength(3);
+    expect(proxyServer.forwardRequest.mock.calls[0][1].headers['mcp-session-id']).toBeUndefined();
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Circuit Breaker
+ *
+ * Tracks consecutive failures for a single downstream MCP server and stops
+ * the proxy from forwarding requests to it while it is failing.
+ *
+ * States:
+ *   closed    - requests flow normally, failures are counted
+ *   open      - requests fail fast until resetTimeout has elapsed
+ *   half_open - a limited number of probe requests are let through; a success
+ *               closes the breaker, a failure opens it again
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.halfOpenMaxRequests = options.halfOpenMaxRequests || 1;
+
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.halfOpenInFlight = 0;
+    this.stats = {
+      total_requests: 0,
+      total_failures: 0,
+      total_successes: 0,
+      rejected_requests: 0,
+      times_opened: 0,
+    };
+    this.lastFailure = null;
+  }
+
+  /**
+   * Returns true if a request may be sent to the downstream server.
+   * Moves an open breaker to half_open once resetTimeout has elapsed and
+   * reserves a probe slot for the caller.
+   */
+  allowRequest() {
+    if (this.state === STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.resetTimeout) {
+        this.stats.rejected_requests++;
+        return false;
+      }
+      this.transitionTo(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.halfOpenInFlight >= this.halfOpenMaxRequests) {
+        this.stats.rejected_requests++;
+        return false;
+      }
+      this.halfOpenInFlight++;
+    }
+
+    this.stats.total_requests++;
+    return true;
+  }
+
+  recordSuccess() {
+    this.stats.total_successes++;
+    this.consecutiveFailures = 0;
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+      this.transitionTo(STATES.CLOSED);
+    }
+  }
+
+  recordFailure(error) {
+    this.stats.total_failures++;
+    this.consecutiveFailures++;
+    this.lastFailure = {
+      message: error ? error.message : 'Unknown error',
+      timestamp: new Date().toISOString(),
+    };
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+      this.transitionTo(STATES.OPEN);
+      return;
+    }
+
+    if (this.state === STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold) {
+      this.transitionTo(STATES.OPEN);
+    }
+  }
+
+  // Frees a half-open probe slot for a request that ended without telling anything about the server
+  releaseProbe() {
+    if (this.state === STATES.HALF_OPEN) {
+      this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+    }
+  }
+
+  transitionTo(state) {
+    if (this.state === state) {
+      return;
+    }
+
+    console.log(`Circuit breaker for ${this.name}: ${this.state} -> ${state}`);
+    this.state = state;
+
+    if (state === STATES.OPEN) {
+      this.openedAt = Date.now();
+      this.stats.times_opened++;
+    } else if (state === STATES.CLOSED) {
+      this.openedAt = null;
+      this.consecutiveFailures = 0;
+      this.halfOpenInFlight = 0;
+    }
+  }
+
+  // Milliseconds until an open breaker will allow a probe request
+  getRetryAfter() {
+    if (this.state !== STATES.OPEN) {
+      return 0;
+    }
+    return Math.max(0, this.resetTimeout - (Date.now() - this.openedAt));
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      failure_threshold: this.failureThreshold,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retry_after_ms: this.getRetryAfter(),
+      last_failure: this.lastFailure,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  STATES,
+};
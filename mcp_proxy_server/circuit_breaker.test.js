@@ -0,0 +1,177 @@
+/**
+ * Test Suite for the downstream circuit breaker
+ */
+
+const { CircuitBreaker, STATES } = require('./circuit_breaker');
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+
+describe('CircuitBreaker', () => {
+  let breaker;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    breaker = new CircuitBreaker('github', {
+      failureThreshold: 3,
+      resetTimeout: 1000,
+      halfOpenMaxRequests: 1,
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should start closed and allow requests', () => {
+    expect(breaker.state).toBe(STATES.CLOSED);
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  test('should open after consecutive failures reach the threshold', () => {
+    breaker.recordFailure(new Error('ECONNREFUSED'));
+    breaker.recordFailure(new Error('ECONNREFUSED'));
+    expect(breaker.state).toBe(STATES.CLOSED);
+
+    breaker.recordFailure(new Error('timeout of 15000ms exceeded'));
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.getStatus().rejected_requests).toBe(1);
+  });
+
+  test('should reset the failure count after a success', () => {
+    breaker.recordFailure(new Error('fail'));
+    breaker.recordFailure(new Error('fail'));
+    breaker.recordSuccess();
+    breaker.recordFailure(new Error('fail'));
+
+    expect(breaker.state).toBe(STATES.CLOSED);
+    expect(breaker.consecutiveFailures).toBe(1);
+  });
+
+  test('should allow a limited number of half-open probes after the reset timeout', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    for (let i = 0; i < 3; i++) breaker.recordFailure(new Error('fail'));
+
+    Date.now.mockReturnValue(now + 1001);
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+  });
+
+  test('should close on a successful probe and reopen on a failed one', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    for (let i = 0; i < 3; i++) breaker.recordFailure(new Error('fail'));
+
+    Date.now.mockReturnValue(now + 1001);
+    breaker.allowRequest();
+    breaker.recordFailure(new Error('still failing'));
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.getStatus().times_opened).toBe(2);
+
+    Date.now.mockReturnValue(now + 2002);
+    breaker.allowRequest();
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(STATES.CLOSED);
+  });
+
+  test('should free the probe slot of a request released without a result', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    for (let i = 0; i < 3; i++) breaker.recordFailure(new Error('fail'));
+
+    Date.now.mockReturnValue(now + 1001);
+    expect(breaker.allowRequest()).toBe(true);
+    breaker.releaseProbe();
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.getStatus()).toMatchObject({ total_failures: 3, total_successes: 0 });
+  });
+});
+
+describe('MCP Proxy Server circuit breaking', () => {
+  let proxyServer;
+  let server;
+  const testPort = 8996;
+  const baseUrl = `http://localhost:${testPort}`;
+
+  beforeAll(async () => {
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+    config.circuitBreaker.failureThreshold = 2;
+    config.circuitBreaker.resetTimeout = 60000;
+
+    proxyServer = new MCPProxyServer();
+    server = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    await proxyServer.stop();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    proxyServer.circuitBreakers.clear();
+    proxyServer.downstreamHealthStatus.set('github', { status: 'healthy' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should fail fast with a structured 503 once the breaker opens', async () => {
+    const connectionError = new Error('connect ECONNREFUSED');
+    connectionError.code = 'ECONNREFUSED';
+    const forwardSpy = jest.spyOn(proxyServer, 'forwardRequest').mockRejectedValue(connectionError);
+
+    await fetch(`${baseUrl}/proxy/github/tools`);
+    await fetch(`${baseUrl}/proxy/github/tools`);
+    const response = await fetch(`${baseUrl}/proxy/github/tools`);
+    const body = await response.json();
+
+    expect(forwardSpy).toHaveBeenCalledTimes(2);
+    expect(response.status).toBe(503);
+    expect(response.headers.get('retry-after')).toBe('60');
+    expect(body).toMatchObject({
+      error: 'Circuit breaker open',
+      target: 'github',
+      circuit_state: 'open',
+    });
+  });
+
+  test('should let a new probe through after a cancelled half-open probe', async () => {
+    const breaker = proxyServer.getCircuitBreaker('github');
+    for (let i = 0; i < 2; i++) breaker.recordFailure(new Error('fail'));
+    breaker.openedAt = Date.now() - 60001;
+    const cancelled = new Error('canceled');
+    cancelled.code = 'ERR_CANCELED';
+    jest.spyOn(proxyServer, 'forwardRequest')
+      .mockRejectedValueOnce(cancelled)
+      .mockResolvedValueOnce({ status: 200, data: { tools: [] } });
+
+    await fetch(`${baseUrl}/proxy/github/tools`);
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+    const probe = await fetch(`${baseUrl}/proxy/github/tools`);
+
+    expect(probe.status).toBe(200);
+    expect(breaker.state).toBe(STATES.CLOSED);
+  });
+
+  test('should count 5xx responses as failures and report breakers in /health', async () => {
+    jest.spyOn(proxyServer, 'forwardRequest').mockResolvedValue({ status: 502, data: { error: 'Bad gateway' } });
+
+    await fetch(`${baseUrl}/proxy/github/tools`);
+    const health = await (await fetch(`${baseUrl}/health`)).json();
+
+    expect(health).toHaveProperty('downstream_health');
+    expect(health.circuit_breakers.github).toMatchObject({
+      state: 'closed',
+      consecutive_failures: 1,
+      total_failures: 1,
+    });
+  });
+});
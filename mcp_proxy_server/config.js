@@ -3,14 +3,82 @@
  * 
  * This file defines the routing configuration for the MCP proxy server,
  * mapping route prefixes to downstream MCP server endpoints.
+ *
+ * Downstream servers, routing and CORS settings can also be loaded from an
+ * external JSON or YAML file (PROXY_CONFIG_FILE), which the proxy watches and
+ * re-applies without a restart.
  */
 
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { STRATEGIES: LOAD_BALANCING_STRATEGIES } = require('./load_balancer');
+const { EXPORTERS: TRACE_EXPORTERS, getTracingConfig } = require('../tracing');
+const { ARGUMENT_MODES: AUDIT_ARGUMENT_MODES } = require('./audit_log');
+const { CASSETTE_MODES, MATCH_FIELDS: CASSETTE_MATCH_FIELDS } = require('./cassette');
+const { validateFaultRule } = require('./fault_injector');
+
+// Parses "key1:value1,key2:value2" environment variables into an object
+function parseKeyValueList(value) {
+  const result = {};
+  (value || '').split(',').filter(Boolean).forEach((pair) => {
+    const separator = pair.lastIndexOf(':');
+    if (separator > 0) {
+      result[pair.substring(0, separator).trim()] = pair.substring(separator + 1).trim();
+    }
+  });
+  return result;
+}
+
+function parseJsonEnv(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Ignoring invalid JSON in environment variable:', error.message);
+    return fallback;
+  }
+}
+
+// Like parseInt(value) || fallback, but an explicit 0 is kept (used where 0 disables a feature)
+function parseIntEnv(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
 const config = {
   // Server configuration
   server: {
     port: process.env.PROXY_PORT || 8000,
     host: process.env.PROXY_HOST || 'localhost',
     timeout: parseInt(process.env.REQUEST_TIMEOUT) || 30000, // 30 seconds
+    // How long stop() waits for in-flight requests before closing their connections
+    shutdownTimeout: parseIntEnv(process.env.PROXY_SHUTDOWN_TIMEOUT, 30000),
+  },
+
+  // External configuration file (JSON or YAML)
+  configFile: {
+    path: process.env.PROXY_CONFIG_FILE || null,
+    watch: process.env.PROXY_CONFIG_WATCH !== 'false',
+    watchInterval: parseInt(process.env.PROXY_CONFIG_WATCH_INTERVAL) || 2000,
+    // Maximum time to wait for in-flight requests to a removed server
+    drainTimeout: parseInt(process.env.PROXY_DRAIN_TIMEOUT) || 30000,
+  },
+
+  // Streaming passthrough (SSE and chunked downstream responses)
+  streaming: {
+    // Comment lines sent on idle event streams to keep connections open (0 disables)
+    heartbeatInterval: parseIntEnv(process.env.STREAM_HEARTBEAT_INTERVAL, 15000),
+  },
+
+  // Client sessions of the MCP Streamable HTTP transport on /mcp
+  mcpSessions: {
+    // Sessions without an open event stream expire after this long idle (0 disables)
+    idleTimeout: parseIntEnv(process.env.MCP_SESSION_IDLE_TIMEOUT, 1800000),
+    // Sessions open at once; initialize is refused with 503 beyond this (0 disables)
+    maxSessions: parseIntEnv(process.env.MCP_MAX_SESSIONS, 1000),
   },
 
   // Logging configuration
@@ -19,8 +87,16 @@ const config = {
     enableRequestLogging: process.env.ENABLE_REQUEST_LOGGING !== 'false',
   },
 
+  // Prometheus metrics (/metrics)
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    collectDefaultMetrics: process.env.METRICS_DEFAULT_METRICS !== 'false',
+  },
+
   // Downstream MCP server mappings
   // Format: 'route_prefix': { url: 'server_url', description: 'server_description' }
+  // A server with several replicas lists them as endpoints: [{ url, weight }]
+  // instead of url, and may set its own loadBalancing strategy.
   downstreamServers: {
     'github': {
       url: process.env.GITHUB_MCP_URL || 'http://localhost:8004',
@@ -42,6 +118,12 @@ const config = {
     },
   },
 
+  // Default strategy for servers with several endpoints:
+  // 'round-robin', 'least-in-flight' or 'weighted'
+  loadBalancing: {
+    strategy: process.env.LOAD_BALANCING_STRATEGY || 'round-robin',
+  },
+
   // Routing configuration
   routing: {
     // Default routing strategy: 'prefix' or 'header'
@@ -61,7 +143,142 @@ const config = {
   healthCheck: {
     enabled: process.env.HEALTH_CHECK_ENABLED !== 'false',
     interval: parseInt(process.env.HEALTH_CHECK_INTERVAL) || 60000, // 1 minute
+    // Attempts per check, and the pause between them, before a check counts as failed
     retryAttempts: parseInt(process.env.HEALTH_RETRY_ATTEMPTS) || 3,
+    retryDelay: parseIntEnv(process.env.HEALTH_RETRY_DELAY, 1000),
+    timeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT) || 5000,
+    // Consecutive failed checks before a healthy replica is marked unhealthy,
+    // and consecutive successful checks before an unhealthy one recovers
+    failureThreshold: parseInt(process.env.HEALTH_FAILURE_THRESHOLD) || 2,
+    recoveryThreshold: parseInt(process.env.HEALTH_RECOVERY_THRESHOLD) || 2,
+    // Probe with an MCP tools/list round-trip instead of GET healthEndpoint
+    // (servers can override this with their own deepProbe setting)
+    deepProbe: process.env.HEALTH_DEEP_PROBE === 'true',
+    // Check results kept per target for /health/:target
+    historySize: parseInt(process.env.HEALTH_HISTORY_SIZE) || 100,
+  },
+
+  // Circuit breaker configuration (one breaker per downstream server)
+  circuitBreaker: {
+    enabled: process.env.CIRCUIT_BREAKER_ENABLED !== 'false',
+    failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD) || 5,
+    resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT) || 30000, // 30 seconds
+    halfOpenMaxRequests: parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_REQUESTS) || 1,
+  },
+
+  // Tool registry used for tool-name based routing on /rpc
+  toolRegistry: {
+    cacheTtl: parseInt(process.env.TOOL_REGISTRY_TTL) || 300000, // 5 minutes
+    minRefreshInterval: parseInt(process.env.TOOL_REGISTRY_MIN_REFRESH) || 5000,
+  },
+
+  // Authentication and per-client authorization for proxied requests
+  auth: {
+    enabled: process.env.PROXY_AUTH_ENABLED === 'true',
+    // Paths that never require client credentials (the admin API has its own token)
+    publicPaths: ['/health', '/info', '/metrics', '/admin'],
+    // Static API keys: PROXY_API_KEYS="key1:client-a,key2:client-b"
+    apiKeys: parseKeyValueList(process.env.PROXY_API_KEYS),
+    // HMAC-signed JWTs verified against a local key
+    jwt: {
+      secret: process.env.PROXY_JWT_SECRET || null,
+      issuer: process.env.PROXY_JWT_ISSUER || null,
+      audience: process.env.PROXY_JWT_AUDIENCE || null,
+      clientClaim: process.env.PROXY_JWT_CLIENT_CLAIM || 'sub',
+      clockTolerance: 30, // seconds
+    },
+    // Allow-lists per client id: { "client-a": { "targets": ["github"], "tools": ["get_issue"] } }
+    clients: parseJsonEnv(process.env.PROXY_AUTH_CLIENTS, {}),
+  },
+
+  // Token-bucket rate limits and daily quotas per client, target and tool.
+  // Each scope maps a key (or '*' for a default) to { capacity, refillPerSecond, dailyQuota }.
+  rateLimits: {
+    enabled: process.env.RATE_LIMIT_ENABLED === 'true',
+    clients: parseJsonEnv(process.env.RATE_LIMIT_CLIENTS, {}),
+    targets: parseJsonEnv(process.env.RATE_LIMIT_TARGETS, {}),
+    tools: parseJsonEnv(process.env.RATE_LIMIT_TOOLS, {}),
+  },
+
+  // Validation of tool calls against the JSON Schemas servers publish on /tools
+  schemaValidation: {
+    // Reject tools/call arguments that do not match the tool's inputSchema
+    enabled: process.env.SCHEMA_VALIDATION_ENABLED !== 'false',
+    // Turn results whose structuredContent does not match outputSchema into errors
+    validateOutput: process.env.SCHEMA_VALIDATE_OUTPUT === 'true',
+  },
+
+  // Response cache for idempotent tool calls. TTLs are in milliseconds and
+  // keyed by bare or namespaced tool name; tools without a TTL use defaultTtl.
+  cache: {
+    enabled: process.env.RESPONSE_CACHE_ENABLED === 'true',
+    maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 500,
+    defaultTtl: parseInt(process.env.RESPONSE_CACHE_DEFAULT_TTL) || 0,
+    toolTtls: {
+      list_files: 5000,
+      list_directory: 5000,
+      get_issue: 10000,
+      get_file: 10000,
+      search: 10000,
+      ...parseJsonEnv(process.env.RESPONSE_CACHE_TOOL_TTLS, {}),
+    },
+    // Write-style tools are never cached, whatever their TTL
+    bypassTools: [
+      'write_file',
+      'edit_file',
+      'create_directory',
+      'move_file',
+      'create_issue',
+      'update_issue',
+      'add_issue_comment',
+      'create_or_update_file',
+      'push_files',
+    ],
+  },
+
+  // Append-only audit trail of tool calls, as JSON Lines rotated by size
+  audit: {
+    enabled: process.env.AUDIT_LOG_ENABLED === 'true',
+    file: process.env.AUDIT_LOG_FILE || 'audit.jsonl',
+    maxFileSize: parseIntEnv(process.env.AUDIT_LOG_MAX_FILE_SIZE, 10 * 1024 * 1024),
+    // Rotated files kept besides the current one (0 keeps all of them)
+    maxFiles: parseIntEnv(process.env.AUDIT_LOG_MAX_FILES, 10),
+    // 'hash' records only a SHA-256 of the arguments; 'redacted' also records them with redactFields masked
+    arguments: process.env.AUDIT_LOG_ARGUMENTS || 'hash',
+    // Argument fields to mask, keyed by bare or namespaced tool name ('*' for every tool)
+    redactFields: {
+      '*': ['password', 'token', 'secret', 'apiKey', 'api_key'],
+      write_file: ['content'],
+      edit_file: ['edits'],
+      create_or_update_file: ['content'],
+      push_files: ['files'],
+      ...parseJsonEnv(process.env.AUDIT_LOG_REDACT_FIELDS, {}),
+    },
+  },
+
+  // Record downstream traffic to a cassette file, or replay it without contacting downstream servers
+  cassette: {
+    mode: process.env.PROXY_CASSETTE_MODE || 'off', // 'off', 'record' or 'replay'
+    file: process.env.PROXY_CASSETTE_FILE || 'cassettes/proxy.json',
+    // Request fields compared when replaying (the target is always compared)
+    matchOn: (process.env.PROXY_CASSETTE_MATCH || 'method,path,query,body').split(',').map(field => field.trim()).filter(Boolean),
+    // Top-level JSON-RPC fields left out of body matching
+    ignoreBodyFields: (process.env.PROXY_CASSETTE_IGNORE_FIELDS || 'id').split(',').map(field => field.trim()).filter(Boolean),
+  },
+
+  // Fault injection for resilience testing (rules can also be managed through /admin/faults)
+  faults: {
+    enabled: process.env.FAULT_INJECTION_ENABLED === 'true',
+    // [{ "target": "filesystem", "tool": "read_file", "type": "http_error", "status": 503, "rate": 0.2 }]
+    rules: parseJsonEnv(process.env.FAULT_INJECTION_RULES, []),
+  },
+
+  // Distributed tracing: traceparent/X-Request-Id propagation and the span exporter (see tracing.js)
+  tracing: getTracingConfig('mcp-proxy-server'),
+
+  // Admin API (/admin/*) - disabled unless a token is configured
+  admin: {
+    token: process.env.PROXY_ADMIN_TOKEN || null,
   },
 
   // CORS configuration
@@ -69,46 +286,293 @@ const config = {
     enabled: process.env.CORS_ENABLED !== 'false',
     origin: process.env.CORS_ORIGIN || '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Target-MCP'],
+    allowedHeaders: [
+      'Content-Type',
+      'Authorization',
+      'X-API-Key',
+      'X-Target-MCP',
+      'Mcp-Session-Id',
+      'MCP-Protocol-Version',
+      'traceparent',
+      'X-Request-Id',
+    ],
+    exposedHeaders: ['Mcp-Session-Id', 'X-Request-Id'],
   },
 };
 
+// Sections of the configuration that may be set from the external config file
+const FILE_CONFIG_SECTIONS = ['downstreamServers', 'routing', 'cors', 'auth', 'rateLimits'];
+
 // Validation function
-function validateConfig() {
+function validateConfig(candidate = config) {
   const errors = [];
 
   // Validate server configuration
-  if (!config.server.port || config.server.port < 1 || config.server.port > 65535) {
+  if (!candidate.server.port || candidate.server.port < 1 || candidate.server.port > 65535) {
     errors.push('Invalid server port');
   }
 
   // Validate downstream servers
-  if (!config.downstreamServers || Object.keys(config.downstreamServers).length === 0) {
+  if (!candidate.downstreamServers || Object.keys(candidate.downstreamServers).length === 0) {
     errors.push('No downstream servers configured');
   }
 
   // Validate each downstream server
-  Object.entries(config.downstreamServers).forEach(([key, server]) => {
-    if (!server.url) {
+  Object.entries(candidate.downstreamServers || {}).forEach(([key, server]) => {
+    if (!server || (!server.url && !server.endpoints)) {
       errors.push(`Missing URL for downstream server: ${key}`);
+      return;
+    }
+    if (server.endpoints !== undefined && (!Array.isArray(server.endpoints) || server.endpoints.length === 0)) {
+      errors.push(`Endpoints for downstream server ${key} must be a non-empty list`);
+      return;
+    }
+    getServerEndpoints(server).forEach((endpoint) => {
+      if (typeof endpoint.url !== 'string' || !/^https?:\/\//.test(endpoint.url)) {
+        errors.push(`Invalid URL format for downstream server: ${key}`);
+      }
+      if (!(endpoint.weight > 0)) {
+        errors.push(`Invalid weight for downstream server ${key}: ${endpoint.url}`);
+      }
+    });
+    if (server.loadBalancing !== undefined && !LOAD_BALANCING_STRATEGIES.includes(server.loadBalancing)) {
+      errors.push(`Invalid load balancing strategy for downstream server ${key}: ${server.loadBalancing}`);
     }
-    if (!server.url.startsWith('http://') && !server.url.startsWith('https://')) {
-      errors.push(`Invalid URL format for downstream server: ${key}`);
+    if (server.timeout !== undefined && (!Number.isInteger(server.timeout) || server.timeout <= 0)) {
+      errors.push(`Invalid timeout for downstream server: ${key}`);
     }
   });
 
+  if (candidate.loadBalancing && !LOAD_BALANCING_STRATEGIES.includes(candidate.loadBalancing.strategy)) {
+    errors.push(`Invalid load balancing strategy. Must be one of: ${LOAD_BALANCING_STRATEGIES.join(', ')}`);
+  }
+
+  if (candidate.audit && candidate.audit.enabled) {
+    if (!AUDIT_ARGUMENT_MODES.includes(candidate.audit.arguments)) {
+      errors.push(`Invalid audit log arguments mode. Must be one of: ${AUDIT_ARGUMENT_MODES.join(', ')}`);
+    }
+    if (!(candidate.audit.maxFileSize > 0)) {
+      errors.push('Audit log maxFileSize must be a positive number of bytes');
+    }
+  }
+
+  if (candidate.cassette) {
+    if (!CASSETTE_MODES.includes(candidate.cassette.mode)) {
+      errors.push(`Invalid cassette mode. Must be one of: ${CASSETTE_MODES.join(', ')}`);
+    }
+    const unknownFields = candidate.cassette.matchOn.filter(field => !CASSETTE_MATCH_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      errors.push(`Invalid cassette match fields: ${unknownFields.join(', ')}. Must be among: ${CASSETTE_MATCH_FIELDS.join(', ')}`);
+    }
+  }
+
+  if (candidate.faults && candidate.faults.enabled) {
+    if (!Array.isArray(candidate.faults.rules)) {
+      errors.push('Fault injection rules must be a list');
+    } else {
+      candidate.faults.rules.forEach(rule => errors.push(...validateFaultRule(rule)));
+    }
+  }
+
+  if (candidate.tracing && !TRACE_EXPORTERS.includes(candidate.tracing.exporter)) {
+    errors.push(`Invalid trace exporter. Must be one of: ${TRACE_EXPORTERS.join(', ')}`);
+  }
+
   // Validate routing strategy
-  if (!['prefix', 'header'].includes(config.routing.strategy)) {
+  if (!['prefix', 'header'].includes(candidate.routing.strategy)) {
     errors.push('Invalid routing strategy. Must be "prefix" or "header"');
   }
 
+  if (candidate.routing.defaultServer && !(candidate.downstreamServers || {})[candidate.routing.defaultServer]) {
+    errors.push(`Default server is not a configured downstream server: ${candidate.routing.defaultServer}`);
+  }
+
+  // Validate authentication
+  if (candidate.auth && candidate.auth.enabled) {
+    const hasApiKeys = candidate.auth.apiKeys && Object.keys(candidate.auth.apiKeys).length > 0;
+    const hasJwtSecret = candidate.auth.jwt && candidate.auth.jwt.secret;
+    if (!hasApiKeys && !hasJwtSecret) {
+      errors.push('Authentication is enabled but no API keys or JWT secret are configured');
+    }
+  }
+
+  // Validate rate limits
+  ['clients', 'targets', 'tools'].forEach((scope) => {
+    const limits = (candidate.rateLimits && candidate.rateLimits[scope]) || {};
+    Object.entries(limits).forEach(([key, limit]) => {
+      if (limit.capacity !== undefined && (!(limit.capacity > 0) || !(limit.refillPerSecond > 0))) {
+        errors.push(`Rate limit for ${scope} ${key} needs a positive capacity and refillPerSecond`);
+      }
+      if (limit.dailyQuota !== undefined && !(Number.isInteger(limit.dailyQuota) && limit.dailyQuota > 0)) {
+        errors.push(`Daily quota for ${scope} ${key} must be a positive integer`);
+      }
+    });
+  });
+
   if (errors.length > 0) {
-    throw new Error(`Configuration validation failed:\n${errors.join('\n')}`);
+    const error = new Error(`Configuration validation failed:\n${errors.join('\n')}`);
+    error.validationErrors = errors;
+    throw error;
   }
 
   return true;
 }
 
+// Fill in defaults for optional downstream server fields
+function normalizeDownstreamServer(server) {
+  const normalized = {
+    healthEndpoint: '/health',
+    description: '',
+    ...server,
+  };
+
+  // url always names the first replica, for consumers that need a single address
+  if (Array.isArray(normalized.endpoints) && normalized.endpoints.length > 0) {
+    normalized.endpoints = getServerEndpoints(normalized);
+    normalized.url = normalized.endpoints[0].url;
+  }
+  return normalized;
+}
+
+/**
+ * The replicas of a downstream server as [{ url, weight }]. Endpoints may be
+ * given as URL strings; a server without endpoints has its url as the only one.
+ */
+function getServerEndpoints(server) {
+  if (!Array.isArray(server.endpoints) || server.endpoints.length === 0) {
+    return [{ url: server.url, weight: 1 }];
+  }
+
+  return server.endpoints.map(endpoint => (
+    typeof endpoint === 'string'
+      ? { url: endpoint, weight: 1 }
+      : { ...endpoint, weight: endpoint.weight === undefined ? 1 : endpoint.weight }
+  ));
+}
+
+/**
+ * Reads a JSON or YAML config file (chosen by extension) and returns its
+ * contents. Only the sections listed in FILE_CONFIG_SECTIONS are used.
+ */
+function readConfigFile(filePath) {
+  const contents = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  const parsed = ['.yaml', '.yml'].includes(extension)
+    ? yaml.load(contents)
+    : JSON.parse(contents);
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Config file must contain an object: ${filePath}`);
+  }
+
+  return parsed;
+}
+
+// Builds a full candidate config by layering file settings over the current config
+function buildConfigFromFile(fileConfig) {
+  const candidate = {
+    ...config,
+    routing: { ...config.routing, ...(fileConfig.routing || {}) },
+    cors: { ...config.cors, ...(fileConfig.cors || {}) },
+    auth: { ...config.auth, ...(fileConfig.auth || {}) },
+    rateLimits: { ...config.rateLimits, ...(fileConfig.rateLimits || {}) },
+    downstreamServers: config.downstreamServers,
+  };
+
+  if (fileConfig.downstreamServers) {
+    candidate.downstreamServers = {};
+
+    // Servers registered through the admin API survive reloads unless the file redefines them
+    Object.entries(config.downstreamServers).forEach(([key, server]) => {
+      if (server.source === 'admin') {
+        candidate.downstreamServers[key] = server;
+      }
+    });
+
+    Object.entries(fileConfig.downstreamServers).forEach(([key, server]) => {
+      candidate.downstreamServers[key] = server ? normalizeDownstreamServer(server) : server;
+    });
+  }
+
+  return candidate;
+}
+
+/**
+ * Loads, validates and applies a config file. Throws (leaving the active
+ * config untouched) if the file cannot be read or fails validation.
+ * Returns the ids of added, removed and updated downstream servers.
+ */
+function loadConfigFile(filePath = config.configFile.path) {
+  const fileConfig = readConfigFile(filePath);
+  const candidate = buildConfigFromFile(fileConfig);
+  validateConfig(candidate);
+
+  const previousServers = config.downstreamServers;
+  const changes = { added: [], removed: [], updated: [] };
+
+  Object.keys(candidate.downstreamServers).forEach((key) => {
+    if (!previousServers[key]) {
+      changes.added.push(key);
+    } else if (JSON.stringify(previousServers[key]) !== JSON.stringify(candidate.downstreamServers[key])) {
+      changes.updated.push(key);
+    }
+  });
+  Object.keys(previousServers).forEach((key) => {
+    if (!candidate.downstreamServers[key]) {
+      changes.removed.push(key);
+    }
+  });
+
+  FILE_CONFIG_SECTIONS.forEach((section) => {
+    config[section] = candidate[section];
+  });
+
+  return changes;
+}
+
+// Fields of a downstream server that can be set through the admin API
+const ADMIN_SERVER_FIELDS = ['url', 'endpoints', 'loadBalancing', 'timeout', 'healthEndpoint', 'deepProbe', 'description'];
+
+function pickServerFields(fields) {
+  const server = {};
+  ADMIN_SERVER_FIELDS.forEach((field) => {
+    if (fields[field] !== undefined) {
+      server[field] = fields[field];
+    }
+  });
+  return server;
+}
+
+// Validates a change to the downstream servers before applying it
+function applyDownstreamServers(downstreamServers) {
+  validateConfig({ ...config, downstreamServers });
+  config.downstreamServers = downstreamServers;
+}
+
+function registerDownstreamServer(id, fields) {
+  if (!/^[A-Za-z0-9_-]+$/.test(id || '')) {
+    const error = new Error(`Invalid server id: ${id}`);
+    error.validationErrors = ['Server id may only contain letters, digits, "_" and "-"'];
+    throw error;
+  }
+
+  const server = normalizeDownstreamServer({ ...pickServerFields(fields), source: 'admin' });
+  applyDownstreamServers({ ...config.downstreamServers, [id]: server });
+  return server;
+}
+
+function updateDownstreamServer(id, fields) {
+  const server = normalizeDownstreamServer({ ...config.downstreamServers[id], ...pickServerFields(fields) });
+  applyDownstreamServers({ ...config.downstreamServers, [id]: server });
+  return server;
+}
+
+function removeDownstreamServer(id) {
+  const downstreamServers = { ...config.downstreamServers };
+  delete downstreamServers[id];
+  applyDownstreamServers(downstreamServers);
+}
+
 // Helper functions
 function getDownstreamServer(identifier) {
   return config.downstreamServers[identifier] || null;
@@ -131,6 +595,10 @@ function getServerInfo() {
       health: '/health',
       proxy_prefix: config.routing.prefixBasePath,
       methods_aggregation: '/mcp/get_methods',
+      json_rpc: '/rpc',
+      mcp: '/mcp',
+      metrics: '/metrics',
+      admin_servers: '/admin/servers',
     },
   };
 }
@@ -138,7 +606,13 @@ function getServerInfo() {
 module.exports = {
   config,
   validateConfig,
+  loadConfigFile,
+  readConfigFile,
+  registerDownstreamServer,
+  updateDownstreamServer,
+  removeDownstreamServer,
   getDownstreamServer,
   getAllDownstreamServers,
+  getServerEndpoints,
   getServerInfo,
 }; 
\ No newline at end of file
@@ -0,0 +1,147 @@
+/**
+ * Test Suite for loading and hot-reloading the proxy config file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MCPProxyServer = require('./proxy_server');
+const { config, loadConfigFile } = require('./config');
+
+const writeYaml = (filePath, servers, extra = '') => {
+  const lines = ['downstreamServers:'];
+  Object.entries(servers).forEach(([id, url]) => {
+    lines.push(`  ${id}:`, `    url: ${url}`, `    timeout: 5000`);
+  });
+  fs.writeFileSync(filePath, lines.join('\n') + '\n' + extra);
+};
+
+describe('Proxy config file', () => {
+  let tmpDir;
+  let configPath;
+  let proxyServer;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-proxy-config-'));
+    configPath = path.join(tmpDir, 'proxy.config.yaml');
+    writeYaml(configPath, {
+      github: 'http://localhost:8004',
+      memory: 'http://localhost:8003',
+    }, 'routing:\n  strategy: header\ncors:\n  origin: https://ide.example.com\n');
+
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+    config.configFile.path = configPath;
+    config.configFile.watch = false;
+    proxyServer = new MCPProxyServer();
+  });
+
+  afterEach(() => {
+    proxyServer.stopConfigWatching();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should load downstream servers, routing and CORS settings from YAML', () => {
+    expect(Object.keys(config.downstreamServers)).toEqual(['github', 'memory']);
+    expect(config.downstreamServers.memory).toMatchObject({
+      url: 'http://localhost:8003',
+      healthEndpoint: '/health',
+      timeout: 5000,
+    });
+    expect(config.routing.strategy).toBe('header');
+    expect(config.routing.targetHeader).toBe('X-Target-MCP');
+    expect(config.cors.origin).toBe('https://ide.example.com');
+  });
+
+  test('should apply rate limits from the file at startup', () => {
+    writeYaml(configPath, { github: 'http://localhost:8004' },
+      'rateLimits:\n  enabled: true\n  targets:\n    github:\n      capacity: 1\n      refillPerSecond: 0.1\n');
+    proxyServer = new MCPProxyServer();
+    const request = { clientId: 'ip:127.0.0.1', target: 'github' };
+
+    expect(proxyServer.rateLimiter.options).toBe(config.rateLimits);
+    expect(proxyServer.rateLimiter.check(request)).toBeNull();
+    expect(proxyServer.rateLimiter.check(request)).toMatchObject({ scope: 'targets', key: 'github', reason: 'Rate limit exceeded' });
+  });
+
+  test('should load JSON config files', () => {
+    const jsonPath = path.join(tmpDir, 'proxy.config.json');
+    fs.writeFileSync(jsonPath, JSON.stringify({
+      downstreamServers: { filesystem: { url: 'http://localhost:8001' } },
+    }));
+
+    const changes = loadConfigFile(jsonPath);
+
+    expect(changes).toEqual({ added: ['filesystem'], removed: ['github', 'memory'], updated: [] });
+    expect(Object.keys(config.downstreamServers)).toEqual(['filesystem']);
+  });
+
+  test('should health-check added servers and drop removed ones on reload', async () => {
+    const healthSpy = jest.spyOn(proxyServer, 'checkServerHealth').mockResolvedValue();
+    proxyServer.downstreamHealthStatus.set('memory', { status: 'healthy' });
+    writeYaml(configPath, {
+      github: 'http://localhost:8004',
+      gdrive: 'http://localhost:8005',
+    });
+
+    const result = await proxyServer.reloadConfig();
+
+    expect(result).toMatchObject({ applied: true, added: ['gdrive'], removed: ['memory'] });
+    expect(healthSpy).toHaveBeenCalledWith(expect.objectContaining({ id: 'gdrive' }));
+    expect(proxyServer.downstreamHealthStatus.has('memory')).toBe(false);
+  });
+
+  test('should keep the last good config when the file is invalid', async () => {
+    fs.writeFileSync(configPath, 'downstreamServers:\n  github:\n    url: ftp://example.com\n');
+
+    const result = await proxyServer.reloadConfig();
+
+    expect(result.applied).toBe(false);
+    expect(result.error).toContain('Invalid URL format for downstream server: github');
+    expect(Object.keys(config.downstreamServers)).toEqual(['github', 'memory']);
+  });
+
+  test('should wait for in-flight requests before removing a server', () => {
+    proxyServer.downstreamHealthStatus.set('memory', { status: 'healthy' });
+    proxyServer.inFlightRequests.set('memory', 1);
+    delete config.downstreamServers.memory;
+
+    proxyServer.drainServer('memory');
+    expect(proxyServer.downstreamHealthStatus.has('memory')).toBe(true);
+
+    proxyServer.inFlightRequests.set('memory', 0);
+    proxyServer.finishDrain('memory');
+    expect(proxyServer.downstreamHealthStatus.has('memory')).toBe(false);
+  });
+
+  test('should apply file changes while watching', async () => {
+    config.configFile.watchInterval = 50;
+    config.configFile.watch = true;
+    proxyServer.setupConfigWatching();
+    const reloaded = new Promise(resolve => {
+      jest.spyOn(proxyServer, 'reloadConfig').mockImplementation(resolve);
+    });
+
+    // Make sure the modification time changes on filesystems with coarse timestamps, and keep
+    // changing it: on a busy machine the watcher may take its first stat after the write
+    let offset = 5000;
+    const touch = () => {
+      const future = new Date(Date.now() + (offset += 1000));
+      fs.utimesSync(configPath, future, future);
+    };
+    writeYaml(configPath, { github: 'http://localhost:8004' });
+    touch();
+    const toucher = setInterval(touch, 100);
+
+    try {
+      await reloaded;
+    } finally {
+      clearInterval(toucher);
+    }
+    expect(proxyServer.reloadConfig).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Fault Injector
+ *
+ * Injects faults into requests the proxy forwards, so clients such as
+ * MCPClient and DevAssistantAgent can be tested against a degrading
+ * downstream server without touching the real one.
+ *
+ * A rule picks the requests it applies to by target ('*' for any) and
+ * optionally by tool (bare or namespaced name), and fires at `rate`
+ * (0 to 1) of them:
+ *
+ *   { "target": "filesystem", "tool": "read_file", "type": "latency", "latencyMs": 2000, "rate": 0.5 }
+ *
+ * Latency delays the request and then forwards it; every other type
+ * replaces the downstream response. Several latency rules add up, and the
+ * first other rule that fires decides the failure. Injected failures carry
+ * `injected: true` (responses and thrown errors alike), so the proxy does
+ * not hold them against the real server.
+ */
+
+const { Readable } = require('stream');
+const { ERROR_CODES, isInvokePath, extractToolCall } = require('./jsonrpc');
+
+const FAULT_TYPES = ['latency', 'reset', 'http_error', 'malformed_json', 'rpc_error'];
+
+// Returns the list of problems with a rule (empty when it is valid)
+function validateFaultRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return ['Fault rule must be an object'];
+  }
+
+  const errors = [];
+  const label = rule.id ? `Fault rule ${rule.id}` : 'Fault rule';
+  if (typeof rule.target !== 'string' || rule.target === '') {
+    errors.push(`${label} needs a target (or '*' for every target)`);
+  }
+  if (rule.tool !== undefined && (typeof rule.tool !== 'string' || rule.tool === '')) {
+    errors.push(`${label} has an invalid tool`);
+  }
+  if (!FAULT_TYPES.includes(rule.type)) {
+    errors.push(`${label} has an invalid type. Must be one of: ${FAULT_TYPES.join(', ')}`);
+  }
+  if (rule.rate !== undefined && !(typeof rule.rate === 'number' && rule.rate >= 0 && rule.rate <= 1)) {
+    errors.push(`${label} rate must be a number between 0 and 1`);
+  }
+  if (rule.type === 'latency' && !(Number.isInteger(rule.latencyMs) && rule.latencyMs > 0)) {
+    errors.push(`${label} needs a positive latencyMs`);
+  }
+  if (rule.type === 'http_error' && rule.status !== undefined
+    && !(Number.isInteger(rule.status) && rule.status >= 500 && rule.status <= 599)) {
+    errors.push(`${label} status must be a 5xx status code`);
+  }
+  if (rule.type === 'rpc_error' && rule.code !== undefined && !Number.isInteger(rule.code)) {
+    errors.push(`${label} code must be an integer`);
+  }
+  return errors;
+}
+
+// The tool names called by a request, read the way the rest of the proxy reads them
+// (invoke paths, tools/call and invoke_method messages, and batches of those)
+function getToolNames(targetPath, body) {
+  const toolCalls = Array.isArray(body) && !isInvokePath(targetPath)
+    ? body.map(message => extractToolCall(null, message))
+    : [extractToolCall(targetPath, body)];
+  return toolCalls.filter(Boolean).map(toolCall => toolCall.name);
+}
+
+// Resolves after `ms`, or as soon as the signal aborts (the request then fails as canceled)
+function delay(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
+
+class FaultInjector {
+  constructor(options = {}, random = Math.random) {
+    this.enabled = Boolean(options.enabled);
+    this.random = random;
+    this.nextId = 1;
+    this.rules = [];
+    (options.rules || []).forEach(rule => this.addRule(rule));
+  }
+
+  // Adds a rule (assigning an id when it has none) and returns it; throws for invalid rules
+  addRule(fields) {
+    const errors = validateFaultRule(fields);
+    if (fields && fields.id !== undefined && this.rules.some(rule => rule.id === String(fields.id))) {
+      errors.push(`Fault rule ${fields.id} already exists`);
+    }
+    if (errors.length > 0) {
+      const error = new Error(`Invalid fault rule:\n${errors.join('\n')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    const rule = {
+      ...fields,
+      id: fields.id !== undefined ? String(fields.id) : `fault-${this.nextId++}`,
+      rate: fields.rate === undefined ? 1 : fields.rate,
+      injected: 0,
+    };
+    this.rules.push(rule);
+    return rule;
+  }
+
+  // Replaces every rule at once; the current rules stay if any new one is invalid
+  replaceRules(rules) {
+    const previous = this.rules;
+    this.rules = [];
+    try {
+      rules.forEach(rule => this.addRule(rule));
+    } catch (error) {
+      this.rules = previous;
+      throw error;
+    }
+  }
+
+  removeRule(id) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this.rules.splice(index, 1);
+    return true;
+  }
+
+  matches(rule, target, toolNames) {
+    if (rule.target !== '*' && rule.target !== target) {
+      return false;
+    }
+    return rule.tool === undefined
+      || toolNames.some(name => rule.tool === name || rule.tool === `${target}.${name}`);
+  }
+
+  /**
+   * Runs a forwarded request through the rules. `send` performs the real
+   * request and resolves to { status, headers, data, stream }; it is not
+   * called when a failure fires. `onFault(rule)` is called for every fault
+   * injected.
+   */
+  async apply({ target, targetPath = null, body, signal = null }, send, onFault = () => {}) {
+    if (!this.enabled || this.rules.length === 0) {
+      return send();
+    }
+
+    const toolNames = getToolNames(targetPath, body);
+    let latencyMs = 0;
+    let failure = null;
+    this.rules.forEach((rule) => {
+      if ((rule.type !== 'latency' && failure) || !this.matches(rule, target, toolNames) || this.random() >= rule.rate) {
+        return;
+      }
+      rule.injected++;
+      onFault(rule);
+      if (rule.type === 'latency') {
+        latencyMs += rule.latencyMs;
+      } else {
+        failure = rule;
+      }
+    });
+
+    if (latencyMs > 0) {
+      await delay(latencyMs, signal);
+    }
+    return failure ? this.fail(failure, body) : send();
+  }
+
+  fail(rule, body) {
+    const message = rule.message || `Injected ${rule.type} fault`;
+    switch (rule.type) {
+      case 'reset': {
+        const error = new Error(`socket hang up (${message})`);
+        error.code = 'ECONNRESET';
+        error.injected = true;
+        throw error;
+      }
+      case 'http_error':
+        return {
+          status: rule.status || 503,
+          headers: { 'content-type': 'application/json' },
+          data: { error: 'Injected fault', message },
+          injected: true,
+        };
+      case 'malformed_json': {
+        // Sent to the client byte for byte, so its JSON parser sees the broken body
+        const id = body && !Array.isArray(body) && body.id !== undefined ? JSON.stringify(body.id) : 'null';
+        return {
+          status: 200,
+          headers: { 'content-type': 'application/json' },
+          data: Readable.from([Buffer.from(`{"jsonrpc":"2.0","id":${id},"result":{"content":[{"type":"text","text":"`)]),
+          stream: true,
+          injected: true,
+        };
+      }
+      default: {
+        const error = { code: rule.code === undefined ? ERROR_CODES.INTERNAL_ERROR : rule.code, message };
+        const messages = (Array.isArray(body) ? body : [body]).filter(item => item && item.id !== undefined);
+        const responses = messages.map(item => ({ jsonrpc: '2.0', id: item.id, error }));
+        return {
+          status: 200,
+          headers: { 'content-type': 'application/json' },
+          data: Array.isArray(body) ? responses : responses[0] || { jsonrpc: '2.0', id: null, error },
+          injected: true,
+        };
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      rules: this.rules.map(rule => ({ ...rule })),
+    };
+  }
+}
+
+module.exports = {
+  FaultInjector,
+  FAULT_TYPES,
+  validateFaultRule,
+};
@@ -0,0 +1,289 @@
+/**
+ * Test Suite for fault injection
+ */
+
+const http = require('http');
+const { FaultInjector, validateFaultRule } = require('./fault_injector');
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+const { ERROR_CODES } = require('./jsonrpc');
+const { MCPClient } = require('../dev_assistant_agent_node/mcp_client');
+
+const toolCall = (id, name, args = {}) => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } });
+
+// Random numbers from a fixed sequence, repeating the last one
+const sequence = (...values) => () => (values.length > 1 ? values.shift() : values[0]);
+
+describe('FaultInjector', () => {
+  const ok = { status: 200, headers: {}, data: { ok: true } };
+
+  test('should validate rules', () => {
+    expect(validateFaultRule({ target: '*', type: 'reset' })).toEqual([]);
+    expect(validateFaultRule({ target: 'github', type: 'latency' })).toEqual(['Fault rule needs a positive latencyMs']);
+    expect(validateFaultRule({ type: 'timeout', rate: 2 })).toHaveLength(3);
+    expect(validateFaultRule({ target: 'github', type: 'http_error', status: 404 })).toEqual(['Fault rule status must be a 5xx status code']);
+    expect(() => new FaultInjector({ rules: [{ target: '*', type: 'crash' }] })).toThrow('Invalid fault rule');
+  });
+
+  test('should only fault matching targets and tools at the configured rate', async () => {
+    const injector = new FaultInjector({
+      enabled: true,
+      rules: [{ target: 'filesystem', tool: 'read_file', type: 'http_error', rate: 0.5 }],
+    }, sequence(0.2, 0.7));
+    const send = jest.fn().mockResolvedValue(ok);
+
+    expect((await injector.apply({ target: 'filesystem', body: toolCall(1, 'read_file') }, send)).status).toBe(503);
+    expect(await injector.apply({ target: 'filesystem', body: toolCall(2, 'read_file') }, send)).toBe(ok);
+    expect(await injector.apply({ target: 'github', body: toolCall(3, 'read_file') }, send)).toBe(ok);
+    expect(await injector.apply({ target: 'filesystem', body: toolCall(4, 'write_file') }, send)).toBe(ok);
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(injector.getStatus().rules[0].injected).toBe(1);
+  });
+
+  test('should match namespaced tool names and tools inside batches', async () => {
+    const injector = new FaultInjector({
+      enabled: true,
+      rules: [{ target: '*', tool: 'github.get_issue', type: 'rpc_error', code: -32050, message: 'Degraded' }],
+    });
+    const response = await injector.apply({
+      target: 'github',
+      body: [toolCall(1, 'list_issues'), toolCall(2, 'get_issue'), { jsonrpc: '2.0', method: 'notifications/progress' }],
+    }, jest.fn());
+
+    expect(response.data).toEqual([
+      { jsonrpc: '2.0', id: 1, error: { code: -32050, message: 'Degraded' } },
+      { jsonrpc: '2.0', id: 2, error: { code: -32050, message: 'Degraded' } },
+    ]);
+  });
+
+  test('should match tools named by invoke paths and invoke_method envelopes', async () => {
+    const injector = new FaultInjector({
+      enabled: true,
+      rules: [{ target: 'filesystem', tool: 'read_file', type: 'http_error' }],
+    });
+    const send = jest.fn().mockResolvedValue(ok);
+    const invokeMethod = (id, method) => ({ jsonrpc: '2.0', id, method: 'invoke_method', params: { method, params: {} } });
+
+    expect((await injector.apply({ target: 'filesystem', targetPath: '/invoke/read_file', body: {} }, send)).status).toBe(503);
+    expect((await injector.apply({ target: 'filesystem', targetPath: '/mcp', body: invokeMethod(1, 'read_file') }, send)).status).toBe(503);
+    expect(await injector.apply({ target: 'filesystem', targetPath: '/invoke/write_file', body: toolCall(2, 'read_file') }, send)).toBe(ok);
+    expect(await injector.apply({ target: 'filesystem', targetPath: '/mcp', body: invokeMethod(3, 'write_file') }, send)).toBe(ok);
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  test('should add latency before forwarding and combine it with a failure', async () => {
+    const injector = new FaultInjector({
+      enabled: true,
+      rules: [
+        { target: '*', type: 'latency', latencyMs: 30 },
+        { target: '*', type: 'reset' },
+      ],
+    });
+    const startedAt = Date.now();
+
+    await expect(injector.apply({ target: 'github', body: {} }, jest.fn())).rejects.toMatchObject({ code: 'ECONNRESET' });
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(25);
+
+    injector.removeRule('fault-2');
+    const send = jest.fn().mockResolvedValue(ok);
+    expect(await injector.apply({ target: 'github', body: {} }, send)).toBe(ok);
+  });
+
+  test('should leave requests alone while disabled', async () => {
+    const injector = new FaultInjector({ enabled: false, rules: [{ target: '*', type: 'reset' }] });
+    const send = jest.fn().mockResolvedValue(ok);
+
+    expect(await injector.apply({ target: 'github', body: {} }, send)).toBe(ok);
+  });
+});
+
+describe('MCP Proxy Server fault injection', () => {
+  let proxyServer;
+  let server;
+  let downstream;
+  const testPort = 8976;
+  const downstreamPort = 8975;
+  const baseUrl = `http://localhost:${testPort}`;
+  const adminToken = 'faults-admin-token';
+
+  const admin = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}/admin/faults${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${adminToken}` },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  const callTool = (requestPath, id, name) => fetch(`${baseUrl}${requestPath}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(toolCall(id, name)),
+  });
+
+  beforeAll(async () => {
+    downstream = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        const request = JSON.parse(body);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: request.id, result: { content: [{ type: 'text', text: 'ok' }] } }));
+      });
+    });
+    await new Promise(resolve => downstream.listen(downstreamPort, 'localhost', resolve));
+
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+    config.circuitBreaker.enabled = false;
+    config.admin.token = adminToken;
+    config.downstreamServers.flaky = {
+      url: `http://localhost:${downstreamPort}`,
+      description: 'Flaky Test Server',
+      timeout: 5000,
+    };
+
+    proxyServer = new MCPProxyServer();
+    server = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    config.circuitBreaker.enabled = true;
+    delete config.downstreamServers.flaky;
+    await proxyServer.stop();
+    await new Promise(resolve => downstream.close(resolve));
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    proxyServer.downstreamHealthStatus.set('flaky', { status: 'healthy' });
+    proxyServer.loadBalancer.getReplicas('flaky', [{ url: `http://localhost:${downstreamPort}`, weight: 1 }])
+      .forEach(replica => proxyServer.loadBalancer.markHealth(replica, 'healthy'));
+    proxyServer.toolRegistry.rebuild([{ server: 'flaky', name: 'flaky.read_file' }]);
+    proxyServer.faultInjector.random = Math.random;
+    await admin('PUT', '', { enabled: true, rules: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should manage rules through the admin API', async () => {
+    const created = await admin('POST', '', { target: 'flaky', tool: 'read_file', type: 'http_error', status: 502 });
+    const invalid = await admin('POST', '', { target: 'flaky', type: 'explode' });
+    const listed = await admin('GET', '');
+
+    expect(created.status).toBe(201);
+    expect(created.data).toMatchObject({ id: expect.stringMatching(/^fault-\d+$/), rate: 1, injected: 0 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.data.details[0]).toContain('invalid type');
+    expect(listed.data).toMatchObject({ enabled: true, rules: [{ id: created.data.id, type: 'http_error' }] });
+
+    expect((await admin('DELETE', `/${created.data.id}`)).status).toBe(200);
+    expect((await admin('DELETE', `/${created.data.id}`)).status).toBe(404);
+    expect((await admin('PUT', '', { rules: [{ target: '*' }] })).status).toBe(400);
+  });
+
+  test('should return injected HTTP and JSON-RPC errors', async () => {
+    await admin('PUT', '', {
+      rules: [
+        { target: 'flaky', tool: 'read_file', type: 'http_error', status: 502 },
+        { target: 'flaky', tool: 'write_file', type: 'rpc_error', message: 'Disk unavailable' },
+      ],
+    });
+
+    const httpError = await callTool('/proxy/flaky/mcp', 1, 'read_file');
+    const rpcError = await callTool('/proxy/flaky/mcp', 2, 'write_file');
+    const routed = await callTool('/rpc', 3, 'read_file');
+    const health = await (await fetch(`${baseUrl}/health`)).json();
+
+    expect(httpError.status).toBe(502);
+    expect(await rpcError.json()).toEqual({ jsonrpc: '2.0', id: 2, error: { code: ERROR_CODES.INTERNAL_ERROR, message: 'Disk unavailable' } });
+    expect((await routed.json()).error).toMatchObject({ code: ERROR_CODES.DOWNSTREAM_ERROR, data: { status: 502 } });
+    expect(health.faults.rules.map(rule => rule.injected)).toEqual([2, 1]);
+  });
+
+  test('should send malformed JSON to the client unchanged', async () => {
+    await admin('POST', '', { target: 'flaky', type: 'malformed_json' });
+
+    const response = await callTool('/proxy/flaky/mcp', 7, 'read_file');
+    const text = await response.text();
+
+    expect(response.headers.get('content-type')).toContain('application/json');
+    expect(text.startsWith('{"jsonrpc":"2.0","id":7,')).toBe(true);
+    expect(() => JSON.parse(text)).toThrow();
+  });
+
+  test('should reset connections and delay requests', async () => {
+    await admin('POST', '', { target: 'flaky', type: 'reset' });
+    const reset = await callTool('/proxy/flaky/mcp', 1, 'read_file');
+    expect(reset.status).toBe(500);
+    expect((await reset.json()).message).toContain('socket hang up');
+
+    await admin('PUT', '', { rules: [{ target: '*', type: 'latency', latencyMs: 150 }] });
+    const startedAt = Date.now();
+    const delayed = await callTool('/proxy/flaky/mcp', 2, 'read_file');
+    expect(delayed.status).toBe(200);
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(140);
+  });
+
+  test('should not hold injected failures against the real server', async () => {
+    config.circuitBreaker.enabled = true;
+    proxyServer.circuitBreakers.clear();
+    try {
+      await admin('PUT', '', {
+        rules: [
+          { target: 'flaky', tool: 'read_file', type: 'reset' },
+          { target: 'flaky', tool: 'write_file', type: 'http_error' },
+        ],
+      });
+      for (let i = 0; i < config.circuitBreaker.failureThreshold; i++) {
+        expect((await callTool('/proxy/flaky/mcp', i, 'read_file')).status).toBe(500);
+        expect((await callTool('/proxy/flaky/mcp', i, 'write_file')).status).toBe(503);
+      }
+
+      expect(proxyServer.loadBalancer.getStatus('flaky').map(replica => replica.status)).toEqual(['healthy']);
+      expect(proxyServer.getCircuitBreaker('flaky').getStatus()).toMatchObject({ state: 'closed', total_failures: 0 });
+
+      proxyServer.faultInjector.replaceRules([]);
+      expect((await callTool('/proxy/flaky/mcp', 9, 'read_file')).status).toBe(200);
+    } finally {
+      config.circuitBreaker.enabled = false;
+      proxyServer.circuitBreakers.clear();
+    }
+  });
+
+  test('should fault tool rules for invoke_method and invoke-path calls', async () => {
+    await admin('POST', '', { target: 'flaky', tool: 'read_file', type: 'rpc_error', message: 'Disk unavailable' });
+    const client = new MCPClient({ proxyUrl: baseUrl, retries: 1 });
+
+    await expect(client.invokeMethod('read_file', { path: 'a.md' }, 'flaky')).rejects.toThrow('MCP Error: Disk unavailable');
+    expect((await client.invokeMethod('write_file', { path: 'a.md' }, 'flaky')).result.content[0].text).toBe('ok');
+
+    const invoked = await fetch(`${baseUrl}/proxy/flaky/invoke/read_file`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ path: 'a.md' }),
+    });
+    expect((await invoked.json()).error).toEqual({ code: ERROR_CODES.INTERNAL_ERROR, message: 'Disk unavailable' });
+    expect((await admin('GET', '')).data.rules[0].injected).toBe(2);
+  });
+
+  test('should let MCPClient recover through its retries', async () => {
+    await admin('POST', '', { target: 'flaky', type: 'http_error', rate: 0.5 });
+    proxyServer.faultInjector.random = sequence(0.1, 0.3, 0.9);
+    const client = new MCPClient({ proxyUrl: baseUrl, retries: 3 });
+    jest.spyOn(client, 'sleep').mockResolvedValue();
+
+    const response = await client.makeRequest('tools/call', { name: 'read_file', arguments: {} }, 'flaky');
+
+    expect(response.result.content[0].text).toBe('ok');
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('MCP Request failed (attempt 2)'), expect.any(String));
+    expect((await admin('GET', '')).data.rules[0].injected).toBe(2);
+  });
+});
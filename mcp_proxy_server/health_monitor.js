@@ -0,0 +1,159 @@
+/**
+ * Health Monitor
+ *
+ * Probes downstream replicas and decides when they change state. A probe is
+ * either a GET of the server's health endpoint or, as a deep probe, an MCP
+ * `tools/list` round-trip. Each probe is retried up to `retryAttempts` times
+ * and its latency is measured here rather than taken from the server.
+ *
+ * A healthy replica becomes unhealthy after `failureThreshold` consecutive
+ * failed checks and recovers after `recoveryThreshold` consecutive successful
+ * ones. The outcome of every check is kept in a per-target ring buffer.
+ */
+
+const axios = require('axios');
+
+// Fixed-size buffer that overwrites its oldest entry once full
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = Math.max(1, capacity);
+    this.items = [];
+    this.next = 0;
+  }
+
+  push(item) {
+    if (this.items.length < this.capacity) {
+      this.items.push(item);
+    } else {
+      this.items[this.next] = item;
+    }
+    this.next = (this.next + 1) % this.capacity;
+  }
+
+  // Entries from oldest to newest
+  toArray() {
+    if (this.items.length < this.capacity) {
+      return [...this.items];
+    }
+    return [...this.items.slice(this.next), ...this.items.slice(0, this.next)];
+  }
+}
+
+// Resolves after `ms`, or as soon as the signal aborts
+function delay(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
+
+class HealthMonitor {
+  constructor(options = {}) {
+    this.options = options;
+    this.histories = new Map(); // target -> RingBuffer
+  }
+
+  /**
+   * Probes one replica, retrying failed attempts. Resolves with
+   * { ok, probe, attempts, latencyMs, error }; never rejects. Aborting
+   * `signal` ends the probe at once, as a failure.
+   */
+  async probe(server, url, signal = null) {
+    const deep = server.deepProbe !== undefined ? server.deepProbe : this.options.deepProbe;
+    const probe = deep ? 'tools_list' : 'http';
+    const attempts = Math.max(1, this.options.retryAttempts || 1);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const startedAt = process.hrtime.bigint();
+      try {
+        if (deep) {
+          await this.probeToolsList(server, url, signal);
+        } else {
+          await axios.get(`${url}${server.healthEndpoint || '/health'}`, { timeout: this.options.timeout, signal });
+        }
+        const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        return { ok: true, probe, attempts: attempt, latencyMs: Math.round(latencyMs * 10) / 10, error: null };
+      } catch (error) {
+        lastError = error;
+        if (signal && signal.aborted) {
+          return { ok: false, probe, attempts: attempt, latencyMs: null, error: 'Probe aborted' };
+        }
+        if (attempt < attempts && this.options.retryDelay > 0) {
+          await delay(this.options.retryDelay, signal);
+        }
+      }
+    }
+
+    return { ok: false, probe, attempts, latencyMs: null, error: lastError.message };
+  }
+
+  // A deep probe passes only if the server answers tools/list with a tools array
+  async probeToolsList(server, url, signal = null) {
+    const response = await axios.post(`${url}${server.mcpEndpoint || '/mcp'}`, {
+      jsonrpc: '2.0',
+      id: 'health-check',
+      method: 'tools/list',
+      params: {},
+    }, { timeout: this.options.timeout, signal });
+
+    const body = response.data;
+    if (body && body.error) {
+      throw new Error(`tools/list failed: ${body.error.message}`);
+    }
+    if (!body || !body.result || !Array.isArray(body.result.tools)) {
+      throw new Error('tools/list did not return a tools array');
+    }
+  }
+
+  /**
+   * Counts a check result against the replica and returns its new status.
+   * A replica that has never been checked takes the first result directly.
+   */
+  evaluate(replica, result) {
+    if (result.ok) {
+      replica.consecutiveFailures = 0;
+      replica.consecutiveSuccesses++;
+    } else {
+      replica.consecutiveSuccesses = 0;
+      replica.consecutiveFailures++;
+    }
+
+    if (replica.status === 'unknown') {
+      return result.ok ? 'healthy' : 'unhealthy';
+    }
+    if (replica.status === 'healthy' && replica.consecutiveFailures >= (this.options.failureThreshold || 1)) {
+      return 'unhealthy';
+    }
+    if (replica.status === 'unhealthy' && replica.consecutiveSuccesses >= (this.options.recoveryThreshold || 1)) {
+      return 'healthy';
+    }
+    return replica.status;
+  }
+
+  record(target, entry) {
+    if (!this.histories.has(target)) {
+      this.histories.set(target, new RingBuffer(this.options.historySize || 100));
+    }
+    this.histories.get(target).push(entry);
+  }
+
+  getHistory(target) {
+    const history = this.histories.get(target);
+    return history ? history.toArray() : [];
+  }
+
+  remove(target) {
+    this.histories.delete(target);
+  }
+}
+
+module.exports = {
+  HealthMonitor,
+  RingBuffer,
+};
@@ -0,0 +1,163 @@
+/**
+ * Test Suite for downstream health checking
+ */
+
+const axios = require('axios');
+const { HealthMonitor, RingBuffer } = require('./health_monitor');
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+
+jest.mock('axios');
+
+const server = { id: 'github', healthEndpoint: '/health', mcpEndpoint: '/mcp' };
+
+describe('RingBuffer', () => {
+  test('should keep the newest entries in order', () => {
+    const buffer = new RingBuffer(3);
+    [1, 2, 3, 4, 5].forEach(item => buffer.push(item));
+
+    expect(buffer.toArray()).toEqual([3, 4, 5]);
+  });
+});
+
+describe('HealthMonitor', () => {
+  beforeEach(() => {
+    axios.get.mockReset();
+    axios.post.mockReset();
+  });
+
+  test('should retry a failed probe before reporting failure', async () => {
+    const monitor = new HealthMonitor({ retryAttempts: 3, retryDelay: 0 });
+    axios.get
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValueOnce({ status: 200, data: { status: 'ok' } });
+
+    const result = await monitor.probe(server, 'http://github:8004');
+
+    expect(result).toMatchObject({ ok: true, probe: 'http', attempts: 2, error: null });
+    expect(result.latencyMs).toEqual(expect.any(Number));
+    expect(axios.get).toHaveBeenCalledWith('http://github:8004/health', expect.any(Object));
+  });
+
+  test('should report the last error once every attempt has failed', async () => {
+    const monitor = new HealthMonitor({ retryAttempts: 2, retryDelay: 0 });
+    axios.get.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    expect(await monitor.probe(server, 'http://github:8004')).toEqual({
+      ok: false, probe: 'http', attempts: 2, latencyMs: null, error: 'connect ECONNREFUSED',
+    });
+  });
+
+  test('should run an MCP tools/list round-trip as a deep probe', async () => {
+    const monitor = new HealthMonitor({ retryAttempts: 1, deepProbe: true });
+    axios.post
+      .mockResolvedValueOnce({ status: 200, data: { jsonrpc: '2.0', id: 'health-check', result: { tools: [] } } })
+      .mockResolvedValueOnce({ status: 200, data: { jsonrpc: '2.0', id: 'health-check', error: { message: 'not ready' } } });
+
+    const passed = await monitor.probe(server, 'http://github:8004');
+    const failed = await monitor.probe(server, 'http://github:8004');
+
+    expect(passed).toMatchObject({ ok: true, probe: 'tools_list' });
+    expect(failed).toMatchObject({ ok: false, error: 'tools/list failed: not ready' });
+    expect(axios.post).toHaveBeenCalledWith('http://github:8004/mcp', expect.objectContaining({ method: 'tools/list' }), expect.any(Object));
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('should apply failure and recovery thresholds', () => {
+    const monitor = new HealthMonitor({ failureThreshold: 2, recoveryThreshold: 3 });
+    const replica = { status: 'unknown', consecutiveFailures: 0, consecutiveSuccesses: 0 };
+    const check = (ok) => {
+      replica.status = monitor.evaluate(replica, { ok });
+      return replica.status;
+    };
+
+    expect(check(true)).toBe('healthy');
+    expect(check(false)).toBe('healthy');
+    expect(check(false)).toBe('unhealthy');
+    expect(check(true)).toBe('unhealthy');
+    expect(check(true)).toBe('unhealthy');
+    expect(check(true)).toBe('healthy');
+  });
+});
+
+describe('MCP Proxy Server health history', () => {
+  let proxyServer;
+  let httpServer;
+  const testPort = 8985;
+  const baseUrl = `http://localhost:${testPort}`;
+
+  beforeAll(async () => {
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.healthCheck.retryAttempts = 2;
+    config.healthCheck.retryDelay = 0;
+    config.healthCheck.failureThreshold = 2;
+    config.logging.enableRequestLogging = false;
+
+    proxyServer = new MCPProxyServer();
+    httpServer = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    await proxyServer.stop();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    axios.get.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should stay healthy through one failed check and expose the history', async () => {
+    const github = { id: 'github', ...config.downstreamServers.github };
+    axios.get.mockResolvedValueOnce({ status: 200, data: {} });
+    await proxyServer.checkServerHealth(github);
+
+    axios.get.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    await proxyServer.checkServerHealth(github);
+    expect(proxyServer.isServerHealthy('github')).toBe(true);
+
+    await proxyServer.checkServerHealth(github);
+    expect(proxyServer.isServerHealthy('github')).toBe(false);
+
+    const body = await (await fetch(`${baseUrl}/health/github`)).json();
+    expect(body).toMatchObject({ target: 'github', status: 'unhealthy', healthy_replicas: 0 });
+    expect(body.history.map(entry => [entry.ok, entry.status])).toEqual([
+      [true, 'healthy'],
+      [false, 'healthy'],
+      [false, 'unhealthy'],
+    ]);
+    expect(body.history[1]).toMatchObject({ probe: 'http', attempts: 2, error: 'connect ECONNREFUSED' });
+  });
+
+  test('should apply the failure threshold to requests that cannot reach a replica', async () => {
+    const github = { id: 'github', ...config.downstreamServers.github };
+    proxyServer.loadBalancer.remove('github');
+    const [replica] = proxyServer.loadBalancer.getReplicas('github', [{ url: github.url, weight: 1 }]);
+    axios.get.mockResolvedValue({ status: 200, data: {} });
+    await proxyServer.checkServerHealth(github);
+    axios.mockReset();
+    axios.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await fetch(`${baseUrl}/proxy/github/tools`);
+    expect(replica).toMatchObject({ status: 'healthy', error: 'connect ECONNREFUSED' });
+    await proxyServer.checkServerHealth(github);
+    expect(proxyServer.isServerHealthy('github')).toBe(true);
+
+    await fetch(`${baseUrl}/proxy/github/tools`);
+    await fetch(`${baseUrl}/proxy/github/tools`);
+    expect(replica.status).toBe('unhealthy');
+    expect(axios).toHaveBeenCalledTimes(3);
+  });
+
+  test('should return 404 for unknown targets', async () => {
+    const response = await fetch(`${baseUrl}/health/unknown`);
+
+    expect(response.status).toBe(404);
+  });
+});
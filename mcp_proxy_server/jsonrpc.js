@@ -0,0 +1,109 @@
+/**
+ * JSON-RPC 2.0 helpers
+ *
+ * Shared error codes and response builders for the proxy's JSON-RPC endpoints.
+ */
+
+const ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  // Implementation-defined server errors (-32000 to -32099)
+  DOWNSTREAM_ERROR: -32000,
+  UNAUTHORIZED: -32001,
+  FORBIDDEN: -32003,
+  RATE_LIMITED: -32029,
+  UNAVAILABLE: -32053,
+};
+
+class JsonRpcError extends Error {
+  // httpStatus is used when the error is returned over HTTP (defaults to 200)
+  constructor(code, message, data = undefined, httpStatus = 200) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+    this.httpStatus = httpStatus;
+  }
+}
+
+function createErrorResponse(id, code, message, data = undefined) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+
+  return {
+    jsonrpc: '2.0',
+    id: id === undefined ? null : id,
+    error,
+  };
+}
+
+function createResultResponse(id, result) {
+  return {
+    jsonrpc: '2.0',
+    id,
+    result,
+  };
+}
+
+function isValidRequest(body) {
+  return Boolean(body)
+    && typeof body === 'object'
+    && !Array.isArray(body)
+    && body.jsonrpc === '2.0'
+    && typeof body.method === 'string';
+}
+
+// Express matches routes case-insensitively and ignores repeated and trailing slashes
+function normalizeTargetPath(targetPath) {
+  return String(targetPath || '').replace(/\/{2,}/g, '/').replace(/(.)\/$/, '$1');
+}
+
+// Whether a downstream path reaches the wrapper's `/invoke/{toolName}` route (or one like it)
+function isInvokePath(targetPath) {
+  return /^\/invoke(\/|$)/i.test(normalizeTargetPath(targetPath));
+}
+
+/**
+ * Extracts the tool call carried by a proxied request, if any.
+ * Recognises the wrapper's REST form `POST /invoke/{toolName}` (whose path
+ * names the tool whatever the body says), JSON-RPC `tools/call` and the
+ * legacy `invoke_method` envelope sent by MCPClient.
+ * Returns { name, arguments } or null, also for invoke paths it cannot read.
+ */
+function extractToolCall(targetPath, body) {
+  if (isInvokePath(targetPath)) {
+    const invokeMatch = /^\/invoke\/([^/]+)$/i.exec(normalizeTargetPath(targetPath));
+    try {
+      return invokeMatch ? { name: decodeURIComponent(invokeMatch[1]), arguments: body || {} } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (body && typeof body === 'object' && !Array.isArray(body)) {
+    const params = body.params || {};
+    if (body.method === 'tools/call' && typeof params.name === 'string') {
+      return { name: params.name, arguments: params.arguments || {} };
+    }
+    if (body.method === 'invoke_method' && typeof params.method === 'string') {
+      return { name: params.method, arguments: params.params || {} };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  ERROR_CODES,
+  JsonRpcError,
+  createErrorResponse,
+  createResultResponse,
+  isValidRequest,
+  isInvokePath,
+  extractToolCall,
+};
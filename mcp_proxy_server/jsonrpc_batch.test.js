@@ -0,0 +1,163 @@
+/**
+ * Test Suite for JSON-RPC batch requests
+ */
+
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+const { ERROR_CODES } = require('./jsonrpc');
+
+describe('MCP Proxy Server JSON-RPC batches', () => {
+  let proxyServer;
+  let server;
+  const testPort = 8984;
+  const baseUrl = `http://localhost:${testPort}`;
+
+  const post = async (path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, data: text ? JSON.parse(text) : null };
+  };
+
+  const toolCall = (id, name, args = {}) => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } });
+
+  beforeAll(async () => {
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+
+    proxyServer = new MCPProxyServer();
+    server = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    await proxyServer.stop();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    ['filesystem', 'github'].forEach(target => proxyServer.downstreamHealthStatus.set(target, { status: 'healthy' }));
+    proxyServer.toolRegistry.rebuild([
+      { server: 'filesystem', name: 'filesystem.read_file' },
+      { server: 'github', name: 'github.get_issue' },
+    ]);
+
+    // Each downstream server echoes its sub-batch, answering in reverse order
+    jest.spyOn(proxyServer, 'forwardRequest').mockImplementation(async (targetInfo, req) => ({
+      status: 200,
+      data: req.body
+        .filter(request => request.id !== undefined)
+        .map(request => ({
+          jsonrpc: '2.0',
+          id: request.id,
+          result: { target: targetInfo.target, tool: request.params.name, args: request.params.arguments },
+        }))
+        .reverse(),
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should split a batch by target and reassemble responses in request order', async () => {
+    const { status, data } = await post('/rpc', [
+      toolCall(1, 'read_file', { path: 'a.md' }),
+      toolCall(2, 'github.get_issue', { issue_number: 7 }),
+      toolCall(3, 'read_file', { path: 'b.md' }),
+      { jsonrpc: '2.0', id: 4, method: 'tools/list' },
+    ]);
+
+    expect(status).toBe(200);
+    expect(data.map(response => response.id)).toEqual([1, 2, 3, 4]);
+    expect(data[0].result).toEqual({ target: 'filesystem', tool: 'read_file', args: { path: 'a.md' } });
+    expect(data[1].result).toEqual({ target: 'github', tool: 'get_issue', args: { issue_number: 7 } });
+    expect(data[2].result.args).toEqual({ path: 'b.md' });
+    expect(data[3].result.tools).toHaveLength(2);
+
+    // One sub-batch per target
+    expect(proxyServer.forwardRequest).toHaveBeenCalledTimes(2);
+    const filesystemBatch = proxyServer.forwardRequest.mock.calls
+      .find(([targetInfo]) => targetInfo.target === 'filesystem')[1].body;
+    expect(filesystemBatch.map(request => request.params.name)).toEqual(['read_file', 'read_file']);
+  });
+
+  test('should return a partial-error batch when one target fails', async () => {
+    proxyServer.forwardRequest.mockImplementation(async (targetInfo, req) => {
+      if (targetInfo.target === 'github') {
+        throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+      }
+      return { status: 200, data: req.body.map(request => ({ jsonrpc: '2.0', id: request.id, result: {} })) };
+    });
+
+    const { data } = await post('/rpc', [
+      toolCall('a', 'read_file'),
+      toolCall('b', 'get_issue'),
+      toolCall('c', 'unknown_tool'),
+    ]);
+
+    expect(data[0]).toEqual({ jsonrpc: '2.0', id: 'a', result: {} });
+    expect(data[1].error).toMatchObject({ code: ERROR_CODES.DOWNSTREAM_ERROR, message: 'Downstream server unavailable' });
+    expect(data[2].error.code).toBe(ERROR_CODES.INVALID_PARAMS);
+  });
+
+  test('should check a half-open target once for its whole sub-batch', async () => {
+    const breaker = proxyServer.getCircuitBreaker('filesystem');
+    breaker.transitionTo('half_open');
+    const before = breaker.getStatus().total_requests;
+
+    const { data } = await post('/rpc', [
+      toolCall(1, 'read_file', { path: 'a.md' }),
+      toolCall(2, 'read_file', { path: 'b.md' }),
+      toolCall(3, 'read_file', { path: 'c.md' }),
+    ]);
+
+    expect(data.map(response => response.result && response.result.args.path)).toEqual(['a.md', 'b.md', 'c.md']);
+    expect(proxyServer.forwardRequest).toHaveBeenCalledTimes(1);
+    expect(breaker.getStatus()).toMatchObject({ state: 'closed', total_requests: before + 1 });
+  });
+
+  test('should answer every call to an unavailable target with an error and send nothing', async () => {
+    proxyServer.downstreamHealthStatus.set('github', { status: 'unhealthy' });
+
+    const { data } = await post('/rpc', [
+      toolCall(1, 'get_issue'),
+      toolCall(2, 'read_file'),
+      toolCall(3, 'get_issue'),
+    ]);
+
+    expect(data[1].result.target).toBe('filesystem');
+    [data[0], data[2]].forEach(response => expect(response.error).toMatchObject({
+      code: ERROR_CODES.DOWNSTREAM_ERROR,
+      data: { error: 'Target server unavailable', target: 'github' },
+    }));
+    expect(proxyServer.forwardRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('should keep duplicate client ids apart and skip notifications', async () => {
+    const { data } = await post('/rpc', [
+      toolCall(1, 'read_file', { path: 'a.md' }),
+      toolCall(1, 'read_file', { path: 'b.md' }),
+      { jsonrpc: '2.0', method: 'tools/call', params: { name: 'read_file', arguments: { path: 'c.md' } } },
+      { foo: 'bar' },
+    ]);
+
+    expect(data).toHaveLength(3);
+    expect(data.map(response => response.result && response.result.args.path)).toEqual(['a.md', 'b.md', undefined]);
+    expect(data[2].error.code).toBe(ERROR_CODES.INVALID_REQUEST);
+  });
+
+  test('should reject an empty batch and answer a notification-only batch with 204', async () => {
+    const empty = await post('/rpc', []);
+    const notifications = await post('/rpc', [{ jsonrpc: '2.0', method: 'tools/call', params: { name: 'read_file' } }]);
+
+    expect(empty.status).toBe(400);
+    expect(empty.data.error.code).toBe(ERROR_CODES.INVALID_REQUEST);
+    expect(notifications.status).toBe(204);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Test Suite for starting, draining and stopping the proxy
+ */
+
+const http = require('http');
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+
+describe('MCP Proxy Server lifecycle', () => {
+  let downstream;
+  const downstreamPort = 8973;
+
+  // Each test stops its proxy for good, so each gets a fresh one on its own port
+  const startProxy = async (port) => {
+    config.server.port = port;
+    const proxyServer = new MCPProxyServer();
+    proxyServer.downstreamHealthStatus.set('slow', { status: 'healthy' });
+    await proxyServer.start();
+    return { proxyServer, baseUrl: `http://localhost:${port}` };
+  };
+
+  const callSlow = (baseUrl, delayMs) => fetch(`${baseUrl}/proxy/slow/work?delay=${delayMs}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'work', arguments: {} } }),
+  });
+
+  // Resolves once the proxy has the given number of client requests in flight
+  const waitForInFlight = async (proxyServer, count) => {
+    for (let i = 0; i < 100 && proxyServer.activeRequests.size !== count; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  beforeAll(async () => {
+    downstream = http.createServer((req, res) => {
+      const delay = Number(new URL(req.url, 'http://localhost').searchParams.get('delay')) || 0;
+      const timer = setTimeout(() => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: 1, result: { content: [] } }));
+      }, delay);
+      res.on('close', () => clearTimeout(timer));
+    });
+    await new Promise(resolve => downstream.listen(downstreamPort, 'localhost', resolve));
+
+    config.server.host = 'localhost';
+    config.logging.enableRequestLogging = false;
+    config.downstreamServers.slow = {
+      url: `http://localhost:${downstreamPort}`,
+      description: 'Slow Test Server',
+      timeout: 5000,
+    };
+  });
+
+  afterAll(async () => {
+    config.healthCheck.enabled = false;
+    delete config.downstreamServers.slow;
+    await new Promise(resolve => downstream.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    config.healthCheck.enabled = false;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should finish in-flight requests while refusing new ones', async () => {
+    const { proxyServer, baseUrl } = await startProxy(8974);
+    const inFlight = callSlow(baseUrl, 300);
+    await waitForInFlight(proxyServer, 1);
+
+    const stopped = proxyServer.stop({ timeout: 5000 });
+    const health = await fetch(`${baseUrl}/health`);
+    const refused = await callSlow(baseUrl, 0);
+
+    expect(health.status).toBe(503);
+    expect(await health.json()).toMatchObject({ status: 'draining', in_flight_requests: 1 });
+    expect(refused.status).toBe(503);
+    expect((await refused.json()).error).toBe('Server draining');
+
+    const response = await inFlight;
+    expect(response.status).toBe(200);
+    expect((await response.json()).result).toEqual({ content: [] });
+
+    await stopped;
+    await expect(fetch(`${baseUrl}/health`)).rejects.toThrow();
+  });
+
+  test('should close requests still in flight at the deadline', async () => {
+    const { proxyServer, baseUrl } = await startProxy(8972);
+    const inFlight = callSlow(baseUrl, 3000);
+    await waitForInFlight(proxyServer, 1);
+
+    const startedAt = Date.now();
+    await proxyServer.stop({ timeout: 100 });
+
+    expect(Date.now() - startedAt).toBeLessThan(2000);
+    await expect(inFlight).rejects.toThrow();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Shutdown deadline reached with 1 request(s) in flight'));
+  });
+
+  test('should clear health check timers and return the same promise when stopped twice', async () => {
+    config.healthCheck.enabled = true;
+    config.healthCheck.retryAttempts = 1;
+    const { proxyServer } = await startProxy(8971);
+    expect(proxyServer.healthCheckTimer).not.toBeNull();
+
+    const first = proxyServer.stop();
+    expect(proxyServer.stop()).toBe(first);
+    await first;
+
+    expect(proxyServer.healthCheckTimer).toBeNull();
+  });
+
+  test('should abort a running health check instead of waiting out its retries', async () => {
+    const healthCheck = { ...config.healthCheck };
+    Object.assign(config.healthCheck, { enabled: true, timeout: 5000, retryAttempts: 3, retryDelay: 1000 });
+    config.downstreamServers.slow.healthEndpoint = '/health?delay=10000';
+    try {
+      const { proxyServer } = await startProxy(8970);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const startedAt = Date.now();
+      await proxyServer.stop({ timeout: 100 });
+
+      expect(Date.now() - startedAt).toBeLessThan(1000);
+      expect(proxyServer.downstreamHealthStatus.get('slow').status).toBe('healthy');
+      expect(proxyServer.healthMonitor.getHistory('slow')).toEqual([]);
+    } finally {
+      Object.assign(config.healthCheck, healthCheck);
+      delete config.downstreamServers.slow.healthEndpoint;
+    }
+  });
+
+  test('should reject start() when the port is taken', async () => {
+    config.server.port = downstreamPort;
+    const proxyServer = new MCPProxyServer();
+
+    await expect(proxyServer.start()).rejects.toMatchObject({ code: 'EADDRINUSE' });
+  });
+});
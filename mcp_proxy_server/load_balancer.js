@@ -0,0 +1,139 @@
+/**
+ * Load Balancer
+ *
+ * Spreads the requests for one downstream target across its replicas (the
+ * `endpoints` of a server) and tracks the health and in-flight requests of
+ * each replica separately.
+ *
+ * Strategies:
+ * - round-robin: replicas take turns
+ * - least-in-flight: the replica with the fewest requests in flight
+ * - weighted: smooth weighted round-robin (as in nginx) by replica `weight`
+ */
+
+const STRATEGIES = ['round-robin', 'least-in-flight', 'weighted'];
+
+class LoadBalancer {
+  constructor(options = {}) {
+    this.options = options;
+    this.targets = new Map(); // target -> { cursor, replicas: Map url -> replica }
+  }
+
+  // Replica state for a target, kept in step with its configured endpoints
+  getReplicas(target, endpoints) {
+    if (!this.targets.has(target)) {
+      this.targets.set(target, { cursor: 0, replicas: new Map() });
+    }
+    const state = this.targets.get(target);
+
+    const urls = endpoints.map(endpoint => endpoint.url);
+    Array.from(state.replicas.keys())
+      .filter(url => !urls.includes(url))
+      .forEach(url => state.replicas.delete(url));
+
+    return endpoints.map((endpoint) => {
+      if (!state.replicas.has(endpoint.url)) {
+        state.replicas.set(endpoint.url, {
+          url: endpoint.url,
+          weight: endpoint.weight,
+          status: 'unknown',
+          inFlight: 0,
+          currentWeight: 0,
+          lastCheck: null,
+          latencyMs: null,
+          error: null,
+          consecutiveFailures: 0,
+          consecutiveSuccesses: 0,
+        });
+      }
+      const replica = state.replicas.get(endpoint.url);
+      replica.weight = endpoint.weight;
+      return replica;
+    });
+  }
+
+  /**
+   * Chooses a replica that has not been tried yet, preferring replicas not
+   * known to be unhealthy. Returns null once every replica has been tried.
+   */
+  select(target, endpoints, strategy = null, exclude = new Set()) {
+    const remaining = this.getReplicas(target, endpoints).filter(replica => !exclude.has(replica.url));
+    const available = remaining.filter(replica => replica.status !== 'unhealthy');
+    const candidates = available.length > 0 ? available : remaining;
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const state = this.targets.get(target);
+    switch (strategy || this.options.strategy) {
+      case 'least-in-flight': {
+        const fewest = Math.min(...candidates.map(replica => replica.inFlight));
+        const idle = candidates.filter(replica => replica.inFlight === fewest);
+        return idle[state.cursor++ % idle.length];
+      }
+
+      case 'weighted': {
+        const totalWeight = candidates.reduce((total, replica) => total + replica.weight, 0);
+        let best = null;
+        candidates.forEach((replica) => {
+          replica.currentWeight += replica.weight;
+          if (!best || replica.currentWeight > best.currentWeight) {
+            best = replica;
+          }
+        });
+        best.currentWeight -= totalWeight;
+        return best;
+      }
+
+      default:
+        return candidates[state.cursor++ % candidates.length];
+    }
+  }
+
+  acquire(replica) {
+    replica.inFlight++;
+  }
+
+  release(replica) {
+    replica.inFlight--;
+  }
+
+  // Records the outcome of a health check or a failed request for one replica
+  markHealth(replica, status, details = {}) {
+    // Threshold counters start over whenever the replica changes state
+    if (status !== replica.status) {
+      replica.consecutiveFailures = 0;
+      replica.consecutiveSuccesses = 0;
+    }
+    replica.status = status;
+    replica.lastCheck = new Date().toISOString();
+    replica.latencyMs = details.latencyMs !== undefined ? details.latencyMs : null;
+    replica.error = details.error || null;
+  }
+
+  remove(target) {
+    this.targets.delete(target);
+  }
+
+  getStatus(target) {
+    const state = this.targets.get(target);
+    if (!state) {
+      return [];
+    }
+
+    return Array.from(state.replicas.values()).map(replica => ({
+      url: replica.url,
+      status: replica.status,
+      in_flight: replica.inFlight,
+      weight: replica.weight,
+      last_check: replica.lastCheck,
+      latency_ms: replica.latencyMs,
+      ...(replica.error ? { error: replica.error } : {}),
+    }));
+  }
+}
+
+module.exports = {
+  LoadBalancer,
+  STRATEGIES,
+};
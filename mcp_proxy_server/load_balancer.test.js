@@ -0,0 +1,168 @@
+/**
+ * Test Suite for load balancing across downstream replicas
+ */
+
+const axios = require('axios');
+const { LoadBalancer } = require('./load_balancer');
+const MCPProxyServer = require('./proxy_server');
+const { config, validateConfig } = require('./config');
+
+jest.mock('axios');
+
+const endpoints = [
+  { url: 'http://fs-a:8001', weight: 1 },
+  { url: 'http://fs-b:8001', weight: 1 },
+];
+
+describe('LoadBalancer', () => {
+  const pick = (balancer, strategy, count, list = endpoints) => (
+    Array.from({ length: count }, () => balancer.select('filesystem', list, strategy).url)
+  );
+
+  test('should alternate replicas with round-robin', () => {
+    expect(pick(new LoadBalancer(), 'round-robin', 4))
+      .toEqual(['http://fs-a:8001', 'http://fs-b:8001', 'http://fs-a:8001', 'http://fs-b:8001']);
+  });
+
+  test('should prefer the replica with the fewest requests in flight', () => {
+    const balancer = new LoadBalancer();
+    const busy = balancer.select('filesystem', endpoints, 'least-in-flight');
+    balancer.acquire(busy);
+
+    expect(pick(balancer, 'least-in-flight', 2)).not.toContain(busy.url);
+  });
+
+  test('should spread requests by weight', () => {
+    const weighted = [{ url: 'http://fs-a:8001', weight: 3 }, { url: 'http://fs-b:8001', weight: 1 }];
+    const picks = pick(new LoadBalancer(), 'weighted', 8, weighted);
+
+    expect(picks.filter(url => url === 'http://fs-a:8001')).toHaveLength(6);
+    expect(picks.slice(0, 4)).toEqual(['http://fs-a:8001', 'http://fs-a:8001', 'http://fs-b:8001', 'http://fs-a:8001']);
+  });
+
+  test('should skip unhealthy and already tried replicas', () => {
+    const balancer = new LoadBalancer({ strategy: 'round-robin' });
+    const [first] = balancer.getReplicas('filesystem', endpoints);
+    balancer.markHealth(first, 'unhealthy', { error: 'down' });
+
+    expect(pick(balancer, null, 2)).toEqual(['http://fs-b:8001', 'http://fs-b:8001']);
+    expect(balancer.select('filesystem', endpoints, null, new Set(['http://fs-b:8001'])).url).toBe('http://fs-a:8001');
+    expect(balancer.select('filesystem', endpoints, null, new Set(endpoints.map(e => e.url)))).toBeNull();
+  });
+});
+
+describe('Replica configuration', () => {
+  test('should validate endpoints and strategies', () => {
+    const withServer = server => ({ ...config, downstreamServers: { filesystem: server } });
+
+    expect(validateConfig(withServer({ endpoints: ['http://fs-a:8001', { url: 'http://fs-b:8001', weight: 2 }] }))).toBe(true);
+    expect(() => validateConfig(withServer({ endpoints: [] }))).toThrow('must be a non-empty list');
+    expect(() => validateConfig(withServer({ endpoints: [{ url: 'http://fs-a:8001', weight: 0 }] }))).toThrow('Invalid weight');
+    expect(() => validateConfig(withServer({ url: 'http://fs-a:8001', loadBalancing: 'random' })))
+      .toThrow('Invalid load balancing strategy');
+  });
+});
+
+describe('MCP Proxy Server with replicated targets', () => {
+  let proxyServer;
+  let server;
+  let originalServer;
+  const testPort = 8986;
+  const baseUrl = `http://localhost:${testPort}`;
+
+  beforeAll(async () => {
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+    config.healthCheck.retryDelay = 0;
+    originalServer = config.downstreamServers.filesystem;
+    config.downstreamServers.filesystem = {
+      ...originalServer,
+      url: 'http://fs-a:8001',
+      endpoints,
+      loadBalancing: 'round-robin',
+    };
+
+    proxyServer = new MCPProxyServer();
+    server = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    config.downstreamServers.filesystem = originalServer;
+    await proxyServer.stop();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    proxyServer.loadBalancer.remove('filesystem');
+    proxyServer.downstreamHealthStatus.set('filesystem', { status: 'healthy' });
+    axios.mockReset();
+    axios.get.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should fail over to the next replica when one cannot be reached', async () => {
+    axios.mockImplementation(async (request) => {
+      if (request.url.startsWith('http://fs-a:8001')) {
+        throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+      }
+      return { status: 200, headers: {}, data: { served_by: 'fs-b' } };
+    });
+
+    const first = await (await fetch(`${baseUrl}/proxy/filesystem/tools`)).json();
+    const second = await (await fetch(`${baseUrl}/proxy/filesystem/tools`)).json();
+
+    expect(first).toEqual({ served_by: 'fs-b' });
+    expect(second).toEqual({ served_by: 'fs-b' });
+    // The failed replica is skipped until it passes a health check again
+    expect(axios).toHaveBeenCalledTimes(3);
+  });
+
+  test('should not resend a request that timed out on another replica', async () => {
+    axios.mockRejectedValue(Object.assign(new Error('timeout of 5000ms exceeded'), { code: 'ECONNABORTED' }));
+
+    const response = await fetch(`${baseUrl}/proxy/filesystem/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'write_file', arguments: {} } }),
+    });
+
+    expect(response.ok).toBe(false);
+    expect(axios).toHaveBeenCalledTimes(1);
+  });
+
+  test('should return 503 once every replica has failed', async () => {
+    axios.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+    const response = await fetch(`${baseUrl}/proxy/filesystem/tools`);
+
+    expect(response.status).toBe(503);
+    expect(axios).toHaveBeenCalledTimes(2);
+  });
+
+  test('should health-check and report each replica', async () => {
+    axios.get.mockImplementation(async (url) => {
+      if (url.startsWith('http://fs-a:8001')) {
+        throw new Error('connect ECONNREFUSED');
+      }
+      return { status: 200, headers: {}, data: { status: 'ok' } };
+    });
+
+    await proxyServer.checkServerHealth({ id: 'filesystem', ...config.downstreamServers.filesystem });
+    const health = await (await fetch(`${baseUrl}/health`)).json();
+
+    expect(health.downstream_health.filesystem).toMatchObject({
+      status: 'healthy',
+      healthy_replicas: 1,
+      replicas: [
+        { url: 'http://fs-a:8001', status: 'unhealthy', in_flight: 0, error: 'connect ECONNREFUSED' },
+        { url: 'http://fs-b:8001', status: 'healthy', in_flight: 0, latency_ms: expect.any(Number) },
+      ],
+    });
+  });
+});
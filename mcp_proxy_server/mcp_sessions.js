@@ -0,0 +1,130 @@
+/**
+ * MCP Session Manager
+ *
+ * Tracks client sessions of the MCP Streamable HTTP transport served on
+ * `/mcp`. A session is created by `initialize`, identified by the
+ * `Mcp-Session-Id` header on every later request, and ended by `DELETE /mcp`
+ * or by being idle for longer than the configured timeout. At most
+ * `maxSessions` are open at once.
+ *
+ * Sessions end at the proxy: tool calls from every session are multiplexed
+ * onto the proxy's own connections to the downstream servers.
+ */
+
+const crypto = require('crypto');
+
+// Newest first; the first entry is offered to clients requesting an unknown version
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+class SessionManager {
+  constructor(options = {}) {
+    this.options = options;
+    this.sessions = new Map();
+  }
+
+  // Picks the protocol version for a session, as described by the MCP lifecycle
+  static negotiateProtocolVersion(requested) {
+    return SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0];
+  }
+
+  static isSupportedProtocolVersion(version) {
+    return SUPPORTED_PROTOCOL_VERSIONS.includes(version);
+  }
+
+  // Returns the new session, or null when the session limit is reached
+  create({ clientId, protocolVersion, clientInfo, capabilities }) {
+    this.expireIdle();
+
+    const maxSessions = this.options.maxSessions;
+    if (maxSessions && this.sessions.size >= maxSessions) {
+      return null;
+    }
+
+    const session = {
+      id: crypto.randomUUID(),
+      clientId,
+      protocolVersion,
+      clientInfo: clientInfo || null,
+      capabilities: capabilities || {},
+      initialized: false,
+      createdAt: Date.now(),
+      lastActivity: Date.now(),
+      streams: new Set(),
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  // Returns the live session for an id and marks it as active, or null
+  get(id) {
+    this.expireIdle();
+
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+    session.lastActivity = Date.now();
+    return session;
+  }
+
+  delete(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return false;
+    }
+
+    session.streams.forEach(stream => stream.end());
+    this.sessions.delete(id);
+    return true;
+  }
+
+  // Sessions with an open SSE stream are kept alive by the stream
+  expireIdle() {
+    const idleTimeout = this.options.idleTimeout;
+    if (!idleTimeout) {
+      return;
+    }
+
+    const cutoff = Date.now() - idleTimeout;
+    Array.from(this.sessions.values())
+      .filter(session => session.streams.size === 0 && session.lastActivity < cutoff)
+      .forEach(session => this.delete(session.id));
+  }
+
+  // Registers an open `GET /mcp` event stream for server-initiated messages
+  attachStream(session, stream) {
+    session.streams.add(stream);
+    stream.on('close', () => session.streams.delete(stream));
+  }
+
+  // Ends every open event stream (sessions stay, so clients can reconnect)
+  closeStreams() {
+    this.sessions.forEach((session) => {
+      session.streams.forEach(stream => stream.end());
+    });
+  }
+
+  // Sends a JSON-RPC notification to every session with an open event stream
+  broadcast(message) {
+    const event = `event: message\ndata: ${JSON.stringify(message)}\n\n`;
+    this.sessions.forEach((session) => {
+      session.streams.forEach(stream => stream.write(event));
+    });
+  }
+
+  getStatus() {
+    this.expireIdle();
+
+    const sessions = Array.from(this.sessions.values());
+    return {
+      active: sessions.length,
+      max: this.options.maxSessions || null,
+      open_streams: sessions.reduce((total, session) => total + session.streams.size, 0),
+    };
+  }
+}
+
+module.exports = {
+  SessionManager,
+  SUPPORTED_PROTOCOL_VERSIONS,
+};
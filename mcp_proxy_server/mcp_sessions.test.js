@@ -0,0 +1,205 @@
+/**
+ * Test Suite for the MCP Streamable HTTP transport on /mcp
+ */
+
+const { SessionManager } = require('./mcp_sessions');
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+
+describe('SessionManager', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should negotiate the protocol version', () => {
+    expect(SessionManager.negotiateProtocolVersion('2025-03-26')).toBe('2025-03-26');
+    expect(SessionManager.negotiateProtocolVersion('1999-01-01')).toBe('2025-06-18');
+  });
+
+  test('should expire idle sessions without an open stream', () => {
+    const manager = new SessionManager({ idleTimeout: 1000 });
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const session = manager.create({ clientId: null, protocolVersion: '2025-06-18' });
+
+    Date.now.mockReturnValue(now + 500);
+    expect(manager.get(session.id)).toBe(session);
+
+    Date.now.mockReturnValue(now + 1501);
+    expect(manager.get(session.id)).toBeNull();
+    expect(manager.getStatus().active).toBe(0);
+  });
+
+  test('should refuse new sessions once the limit is reached', () => {
+    const manager = new SessionManager({ maxSessions: 2 });
+    const first = manager.create({ clientId: null, protocolVersion: '2025-06-18' });
+    manager.create({ clientId: null, protocolVersion: '2025-06-18' });
+
+    expect(manager.create({ clientId: null, protocolVersion: '2025-06-18' })).toBeNull();
+    expect(manager.getStatus()).toMatchObject({ active: 2, max: 2 });
+
+    manager.delete(first.id);
+    expect(manager.create({ clientId: null, protocolVersion: '2025-06-18' })).not.toBeNull();
+  });
+});
+
+describe('MCP Proxy Server Streamable HTTP endpoint', () => {
+  let proxyServer;
+  let server;
+  const testPort = 8987;
+  const baseUrl = `http://localhost:${testPort}`;
+
+  const post = async (body, headers = {}) => {
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+      body: JSON.stringify(body),
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, text, data: isJson ? JSON.parse(text) : null };
+  };
+
+  const initialize = async () => {
+    const response = await post({
+      jsonrpc: '2.0',
+      id: 0,
+      method: 'initialize',
+      params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'ide', version: '1.0' } },
+    });
+    const sessionId = response.headers.get('mcp-session-id');
+    await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+    return { response, sessionId };
+  };
+
+  beforeAll(async () => {
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+
+    proxyServer = new MCPProxyServer();
+    server = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    await proxyServer.stop();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    proxyServer.downstreamHealthStatus.set('filesystem', { status: 'healthy' });
+    proxyServer.toolRegistry.rebuild([
+      { server: 'filesystem', name: 'filesystem.read_file', description: 'Read a file' },
+    ]);
+    jest.spyOn(proxyServer, 'forwardRequest').mockImplementation(async (targetInfo, req) => ({
+      status: 200,
+      data: { jsonrpc: '2.0', id: req.body.id, result: { content: [{ type: 'text', text: 'hello' }] } },
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should start a session on initialize', async () => {
+    const { response, sessionId } = await initialize();
+
+    expect(sessionId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(response.data.result).toMatchObject({
+      protocolVersion: '2025-03-26',
+      capabilities: { tools: { listChanged: true } },
+      serverInfo: { name: 'mcp-proxy-server' },
+    });
+    expect(proxyServer.mcpSessions.get(sessionId).initialized).toBe(true);
+  });
+
+  test('should list and call tools within a session', async () => {
+    const { sessionId } = await initialize();
+    const headers = { 'Mcp-Session-Id': sessionId };
+
+    const list = await post({ jsonrpc: '2.0', id: 1, method: 'tools/list' }, headers);
+    const call = await post({
+      jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'read_file', arguments: { path: 'a.md' } },
+    }, headers);
+
+    expect(list.data.result.tools.map(tool => tool.name)).toEqual(['filesystem.read_file']);
+    expect(call.data).toEqual({ jsonrpc: '2.0', id: 2, result: { content: [{ type: 'text', text: 'hello' }] } });
+
+    const [targetInfo, downstreamRequest] = proxyServer.forwardRequest.mock.calls[0];
+    expect(targetInfo.target).toBe('filesystem');
+    expect(downstreamRequest.body.params.name).toBe('read_file');
+    expect(downstreamRequest.headers).not.toHaveProperty('mcp-session-id');
+  });
+
+  test('should require a known session for requests other than initialize', async () => {
+    const missing = await post({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    const unknown = await post({ jsonrpc: '2.0', id: 1, method: 'tools/list' }, { 'Mcp-Session-Id': 'nope' });
+
+    expect(missing.status).toBe(400);
+    expect(unknown.status).toBe(404);
+    expect(unknown.data.error.message).toBe('Session not found');
+  });
+
+  test('should answer with a single SSE event when the client only accepts event streams', async () => {
+    const { sessionId } = await initialize();
+    const response = await post({ jsonrpc: '2.0', id: 3, method: 'ping' }, {
+      'Mcp-Session-Id': sessionId,
+      Accept: 'text/event-stream',
+    });
+
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+    expect(response.text).toBe('event: message\ndata: {"jsonrpc":"2.0","id":3,"result":{}}\n\n');
+  });
+
+  test('should push tools/list_changed to open event streams', async () => {
+    const { sessionId } = await initialize();
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/mcp`, {
+      headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId },
+      signal: controller.signal,
+    });
+    const reader = response.body.getReader();
+
+    proxyServer.invalidateTools();
+    const event = new TextDecoder().decode((await reader.read()).value);
+    controller.abort();
+
+    expect(event).toBe('event: message\ndata: {"jsonrpc":"2.0","method":"notifications/tools/list_changed"}\n\n');
+  });
+
+  test('should end a session on DELETE', async () => {
+    const { sessionId } = await initialize();
+    const deleted = await fetch(`${baseUrl}/mcp`, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+    const after = await post({ jsonrpc: '2.0', id: 1, method: 'ping' }, { 'Mcp-Session-Id': sessionId });
+
+    expect(deleted.status).toBe(204);
+    expect(after.status).toBe(404);
+  });
+
+  test('should answer initialize with 503 while every session slot is taken', async () => {
+    const { maxSessions } = config.mcpSessions;
+    config.mcpSessions.maxSessions = proxyServer.mcpSessions.getStatus().active + 1;
+    try {
+      const { sessionId } = await initialize();
+      const refused = await initialize();
+
+      expect(refused.response.status).toBe(503);
+      expect(refused.sessionId).toBeNull();
+      expect(refused.response.data.error).toMatchObject({ code: -32053, message: 'Too many open sessions' });
+
+      await fetch(`${baseUrl}/mcp`, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+      expect((await initialize()).response.status).toBe(200);
+    } finally {
+      config.mcpSessions.maxSessions = maxSessions;
+    }
+  });
+
+  test('should keep header-based routing when a target is named', async () => {
+    const response = await post({ jsonrpc: '2.0', id: 1, method: 'tools/list' }, { 'X-Target-MCP': 'filesystem' });
+
+    expect(response.status).toBe(200);
+    expect(proxyServer.forwardRequest.mock.calls[0][0]).toMatchObject({ target: 'filesystem', targetPath: '/' });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Proxy Metrics
+ *
+ * Prometheus metrics for the MCP proxy server, exposed in text format on
+ * /metrics. Request metrics are labelled with the target id resolved by
+ * MCPProxyServer.determineTarget ('proxy' for the proxy's own endpoints).
+ */
+
+const client = require('prom-client');
+
+const PROXY_TARGET = 'proxy';
+
+class ProxyMetrics {
+  constructor(proxyServer, options = {}) {
+    this.registry = new client.Registry();
+
+    if (options.collectDefaultMetrics) {
+      client.collectDefaultMetrics({ register: this.registry, prefix: 'mcp_proxy_' });
+    }
+
+    this.requestsTotal = new client.Counter({
+      name: 'mcp_proxy_requests_total',
+      help: 'Total HTTP requests handled by the proxy',
+      labelNames: ['target', 'method', 'status_code'],
+      registers: [this.registry],
+    });
+
+    this.requestDuration = new client.Histogram({
+      name: 'mcp_proxy_request_duration_seconds',
+      help: 'HTTP request latency in seconds',
+      labelNames: ['target', 'method'],
+      buckets: options.latencyBuckets || [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+      registers: [this.registry],
+    });
+
+    this.aggregationFailures = new client.Counter({
+      name: 'mcp_proxy_methods_aggregation_failures_total',
+      help: 'Failures fetching tools from a downstream server during methods aggregation',
+      labelNames: ['target'],
+      registers: [this.registry],
+    });
+
+    this.faultsInjected = new client.Counter({
+      name: 'mcp_proxy_faults_injected_total',
+      help: 'Faults injected into forwarded requests',
+      labelNames: ['target', 'type'],
+      registers: [this.registry],
+    });
+
+    // Gauges below are read from the proxy's own state at scrape time
+    new client.Gauge({
+      name: 'mcp_proxy_in_flight_requests',
+      help: 'Requests currently being forwarded to a downstream server',
+      labelNames: ['target'],
+      registers: [this.registry],
+      collect() {
+        this.reset();
+        proxyServer.inFlightRequests.forEach((count, target) => {
+          this.set({ target }, count);
+        });
+      },
+    });
+
+    new client.Gauge({
+      name: 'mcp_proxy_downstream_healthy',
+      help: 'Whether the last health check of a downstream server succeeded (1) or failed (0)',
+      labelNames: ['target'],
+      registers: [this.registry],
+      collect() {
+        this.reset();
+        proxyServer.downstreamHealthStatus.forEach((health, target) => {
+          this.set({ target }, health.status === 'healthy' ? 1 : 0);
+        });
+      },
+    });
+
+    new client.Gauge({
+      name: 'mcp_proxy_replica_healthy',
+      help: 'Whether a replica of a downstream server is healthy (1) or not (0)',
+      labelNames: ['target', 'replica'],
+      registers: [this.registry],
+      collect() {
+        this.reset();
+        proxyServer.loadBalancer.targets.forEach((state, target) => {
+          state.replicas.forEach((replica) => {
+            this.set({ target, replica: replica.url }, replica.status === 'healthy' ? 1 : 0);
+          });
+        });
+      },
+    });
+
+    new client.Gauge({
+      name: 'mcp_proxy_circuit_breaker_open',
+      help: 'Whether the circuit breaker of a downstream server is open (1) or not (0)',
+      labelNames: ['target'],
+      registers: [this.registry],
+      collect() {
+        this.reset();
+        proxyServer.circuitBreakers.forEach((breaker, target) => {
+          this.set({ target }, breaker.state === 'open' ? 1 : 0);
+        });
+      },
+    });
+  }
+
+  // Express middleware that records request count and latency once the response is sent
+  middleware() {
+    return (req, res, next) => {
+      const endTimer = this.requestDuration.startTimer();
+
+      res.on('finish', () => {
+        const target = req.mcpTarget || PROXY_TARGET;
+        endTimer({ target, method: req.method });
+        this.requestsTotal.inc({
+          target,
+          method: req.method,
+          status_code: res.statusCode.toString(),
+        });
+      });
+
+      next();
+    };
+  }
+
+  recordAggregationFailure(target) {
+    this.aggregationFailures.inc({ target });
+  }
+
+  recordInjectedFault(target, type) {
+    this.faultsInjected.inc({ target, type });
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  async render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = ProxyMetrics;
@@ -0,0 +1,84 @@
+/**
+ * Test Suite for the Prometheus /metrics endpoint
+ */
+
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+
+describe('MCP Proxy Server metrics', () => {
+  let proxyServer;
+  let server;
+  const testPort = 8993;
+  const baseUrl = `http://localhost:${testPort}`;
+
+  const scrape = async () => {
+    const response = await fetch(`${baseUrl}/metrics`);
+    return { contentType: response.headers.get('content-type'), text: await response.text() };
+  };
+
+  beforeAll(async () => {
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+    config.metrics.collectDefaultMetrics = false;
+
+    proxyServer = new MCPProxyServer();
+    server = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    await proxyServer.stop();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should expose metrics in Prometheus text format', async () => {
+    const { contentType, text } = await scrape();
+
+    expect(contentType).toContain('text/plain');
+    expect(text).toContain('# TYPE mcp_proxy_requests_total counter');
+    expect(text).toContain('# TYPE mcp_proxy_request_duration_seconds histogram');
+  });
+
+  test('should label request counts and latency with the target id', async () => {
+    proxyServer.downstreamHealthStatus.set('github', { status: 'healthy' });
+    jest.spyOn(proxyServer, 'forwardRequest').mockResolvedValue({ status: 200, data: { tools: [] } });
+
+    await fetch(`${baseUrl}/proxy/github/tools`);
+    await fetch(`${baseUrl}/proxy/unknown/tools`);
+    const { text } = await scrape();
+
+    expect(text).toContain('mcp_proxy_requests_total{target="github",method="GET",status_code="200"} 1');
+    expect(text).toContain('mcp_proxy_requests_total{target="proxy",method="GET",status_code="400"} 1');
+    expect(text).toMatch(/mcp_proxy_request_duration_seconds_count\{target="github",method="GET"\} 1/);
+  });
+
+  test('should report downstream health and in-flight gauges', async () => {
+    proxyServer.downstreamHealthStatus.set('github', { status: 'healthy' });
+    proxyServer.downstreamHealthStatus.set('gdrive', { status: 'unhealthy' });
+    proxyServer.inFlightRequests.set('filesystem', 2);
+
+    const { text } = await scrape();
+
+    expect(text).toContain('mcp_proxy_downstream_healthy{target="github"} 1');
+    expect(text).toContain('mcp_proxy_downstream_healthy{target="gdrive"} 0');
+    expect(text).toContain('mcp_proxy_in_flight_requests{target="filesystem"} 2');
+    proxyServer.inFlightRequests.clear();
+  });
+
+  test('should count methods-aggregation failures per target', async () => {
+    proxyServer.metrics.recordAggregationFailure('gdrive');
+
+    const { text } = await scrape();
+
+    expect(text).toContain('mcp_proxy_methods_aggregation_failures_total{target="gdrive"} 1');
+  });
+});
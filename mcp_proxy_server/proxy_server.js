@@ -5,77 +5,325 @@
  * based on configurable routing strategies (prefix-based or header-based).
  */
 
+const fs = require('fs');
+const crypto = require('crypto');
 const express = require('express');
 const axios = require('axios');
 const cors = require('cors');
 const { 
   config, 
   validateConfig, 
+  loadConfigFile,
+  registerDownstreamServer,
+  updateDownstreamServer,
+  removeDownstreamServer,
   getDownstreamServer, 
   getAllDownstreamServers, 
+  getServerEndpoints,
   getServerInfo 
 } = require('./config');
+const { CircuitBreaker } = require('./circuit_breaker');
+const ToolRegistry = require('./tool_registry');
+const ProxyMetrics = require('./metrics');
+const { AuthError, Authorizer, createAuthProviders, authenticate } = require('./auth');
+const { RateLimiter } = require('./rate_limiter');
+const { ResponseCache } = require('./response_cache');
+const { SessionManager } = require('./mcp_sessions');
+const { LoadBalancer } = require('./load_balancer');
+const { HealthMonitor } = require('./health_monitor');
+const SchemaValidator = require('./schema_validator');
+const { AuditLog, describeOutcome } = require('./audit_log');
+const { Cassette, CASSETTE_MISS } = require('./cassette');
+const { FaultInjector } = require('./fault_injector');
+const { Tracer, SPAN_KINDS } = require('../tracing');
+const {
+  LIST_METHODS,
+  RESOURCE_URI_SEPARATOR,
+  PROMPT_NAME_SEPARATOR,
+  parseNamespaced,
+  namespaceListItem,
+  namespaceResourceUri,
+  isUnsupportedError,
+} = require('./catalog');
+const {
+  ERROR_CODES,
+  JsonRpcError,
+  createErrorResponse,
+  createResultResponse,
+  isValidRequest,
+  isInvokePath,
+  extractToolCall,
+} = require('./jsonrpc');
+
+// Errors after which a request is retried on the next replica of the target. Only connection
+// failures qualify: after a reset or timeout the replica may already have run the call.
+const FAILOVER_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH'];
+
+// Paths still served while the proxy drains, so the drain can be observed
+const DRAIN_EXEMPT_PATHS = ['/health', '/metrics'];
+
+// Headers that apply to a single connection and must not be copied onto the client response
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'content-length', 'upgrade'];
+
+// Upper bound on the pages fetched from one server when aggregating a paginated list
+const MAX_CATALOG_PAGES = 20;
 
 class MCPProxyServer {
   constructor() {
     this.app = express();
     this.downstreamHealthStatus = new Map();
+    this.circuitBreakers = new Map();
+    this.toolRegistry = new ToolRegistry(config.toolRegistry);
+    this.rateLimiter = new RateLimiter(config.rateLimits);
+    this.responseCache = config.cache.enabled ? new ResponseCache(config.cache) : null;
+    this.mcpSessions = new SessionManager(config.mcpSessions);
+    this.loadBalancer = new LoadBalancer(config.loadBalancing);
+    this.healthMonitor = new HealthMonitor(config.healthCheck);
+    this.schemaValidator = new SchemaValidator(config.schemaValidation);
+    this.tracer = new Tracer(config.tracing);
+    this.auditLog = config.audit.enabled ? new AuditLog(config.audit) : null;
+    this.cassette = config.cassette.mode !== 'off' ? new Cassette(config.cassette) : null;
+    this.faultInjector = new FaultInjector(config.faults);
+    this.inFlightRequests = new Map();
+    this.drainingServers = new Map();
+    this.activeRequests = new Set(); // responses of client requests not finished yet
+    this.draining = false;
+    this.server = null;
+    this.healthCheckTimer = null;
+    this.healthCheckAbort = null;
+    this.pendingHealthCheck = null;
+    this.metrics = config.metrics.enabled ? new ProxyMetrics(this, config.metrics) : null;
     this.requestCounter = 0;
     this.startTime = Date.now();
+
+    // Apply the external config file before anything reads the config
+    if (config.configFile.path) {
+      loadConfigFile(config.configFile.path);
+      console.log(`Loaded configuration from ${config.configFile.path}`);
+    }
+    this.configureAuth();
+    this.rateLimiter.configure(config.rateLimits);
     
     this.setupMiddleware();
     this.setupRoutes();
-    this.setupHealthChecking();
   }
 
   setupMiddleware() {
-    // CORS middleware
-    if (config.cors.enabled) {
-      this.app.use(cors({
+    // Metrics middleware (first, so latency covers the whole request)
+    if (this.metrics) {
+      this.app.use(this.metrics.middleware());
+    }
+
+    // In-flight tracking, and rejection of new work while draining
+    this.app.use((req, res, next) => this.trackRequest(req, res, next));
+
+    // CORS middleware (options are read per request so config reloads take effect)
+    this.app.use(cors((req, callback) => {
+      if (!config.cors.enabled) {
+        return callback(null, { origin: false });
+      }
+      callback(null, {
         origin: config.cors.origin,
         methods: config.cors.methods,
         allowedHeaders: config.cors.allowedHeaders,
-      }));
-    }
+        exposedHeaders: config.cors.exposedHeaders,
+      });
+    }));
 
     // JSON parsing middleware
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true }));
 
+    // Tracing middleware (after body parsing, which would lose the active span)
+    this.app.use((req, res, next) => this.traceRequest(req, res, next));
+
     // Request logging middleware
     if (config.logging.enableRequestLogging) {
       this.app.use((req, res, next) => {
         this.requestCounter++;
         const startTime = Date.now();
         
-        console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} - Request #${this.requestCounter}`);
+        console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} - Request #${this.requestCounter} [request: ${req.requestId}]`);
         
         res.on('finish', () => {
           const duration = Date.now() - startTime;
-          console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} - ${res.statusCode} (${duration}ms)`);
+          const client = req.identity ? ` [client: ${req.identity.id}]` : '';
+          console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} - ${res.statusCode} (${duration}ms) [request: ${req.requestId}]${client}`);
         });
         
         next();
       });
     }
+
+    // Authentication middleware
+    this.app.use((req, res, next) => this.authenticateRequest(req, res, next));
+  }
+
+  /**
+   * Tracks the request until its response closes so stop() can wait for it.
+   * While draining, new requests are refused (except health and metrics) and
+   * responses ask the client to close its connection.
+   */
+  trackRequest(req, res, next) {
+    const exempt = DRAIN_EXEMPT_PATHS.some(path => req.path === path || req.path.startsWith(`${path}/`));
+    if (this.draining) {
+      res.set('Connection', 'close');
+      if (!exempt) {
+        return res.status(503).json({
+          error: 'Server draining',
+          message: 'The proxy is shutting down and no longer accepts requests',
+        });
+      }
+    }
+    if (exempt) {
+      return next();
+    }
+
+    this.activeRequests.add(res);
+    res.on('close', () => {
+      this.activeRequests.delete(res);
+      if (this.activeRequests.size === 0 && this.onRequestsDrained) {
+        this.onRequestsDrained();
+      }
+    });
+    next();
+  }
+
+  /**
+   * Records a server span for the request, continuing the trace from the
+   * caller's traceparent header if there is one, and makes it the active
+   * span so downstream requests become its children. The correlation id is
+   * returned in X-Request-Id.
+   */
+  traceRequest(req, res, next) {
+    const span = this.tracer.startSpan(`${req.method} ${req.path}`, {
+      kind: SPAN_KINDS.SERVER,
+      parent: this.tracer.extract(req.headers),
+      attributes: { 'http.request.method': req.method, 'url.path': req.path },
+    });
+    req.span = span;
+    req.requestId = span.requestId;
+    res.setHeader('X-Request-Id', span.requestId);
+
+    res.on('close', () => {
+      span.setAttributes({ 'http.response.status_code': res.statusCode, 'mcp.target': req.mcpTarget });
+      if (req.identity) {
+        span.setAttribute('mcp.client', req.identity.id);
+      }
+      if (res.statusCode >= 500) {
+        span.setError(new Error(`Responded with status ${res.statusCode}`));
+      } else if (!res.writableFinished) {
+        span.setError(new Error('Client disconnected'));
+      }
+      span.end();
+    });
+
+    this.tracer.withSpan(span, next);
+  }
+
+  configureAuth() {
+    this.authProviders = createAuthProviders(config.auth);
+    this.authorizer = new Authorizer(config.auth.clients);
+  }
+
+  authenticateRequest(req, res, next) {
+    const isPublic = config.auth.publicPaths.some(
+      publicPath => req.path === publicPath || req.path.startsWith(`${publicPath}/`)
+    );
+    if (!config.auth.enabled || isPublic) {
+      return next();
+    }
+
+    try {
+      req.identity = authenticate(req, this.authProviders);
+      next();
+    } catch (error) {
+      this.sendAuthError(req, res, error);
+    }
+  }
+
+  // Throws an AuthError unless the authenticated client may call the target and tool
+  authorizeRequest(req, target, toolName = null) {
+    if (!config.auth.enabled) {
+      return;
+    }
+    this.authorizer.authorize(req.identity, target, toolName);
+  }
+
+  // Invoke paths the proxy cannot read a tool name from are refused to clients with a tool allow-list
+  authorizeUnknownToolCall(req, targetInfo) {
+    if (config.auth.enabled && this.authorizer.hasToolAllowList(req.identity)) {
+      throw new AuthError(403, `Client ${req.identity.id} may not call an unrecognised tool path ${targetInfo.targetPath}`);
+    }
+  }
+
+  sendAuthError(req, res, error) {
+    const id = req.body && req.body.id !== undefined ? req.body.id : null;
+    const code = error.status === 403 ? ERROR_CODES.FORBIDDEN : ERROR_CODES.UNAUTHORIZED;
+
+    if (error.status === 401) {
+      res.set('WWW-Authenticate', 'Bearer');
+    }
+    res.status(error.status).json(
+      createErrorResponse(id, code, error.status === 403 ? 'Forbidden' : 'Unauthorized', { reason: error.message })
+    );
   }
 
   setupRoutes() {
     // Health check endpoint
-    this.app.get('/health', (req, res) => {
+    this.app.get('/health', async (req, res) => {
       const uptime = Date.now() - this.startTime;
       const healthStatus = {
-        status: 'healthy',
+        status: this.draining ? 'draining' : 'healthy',
         uptime: uptime,
         timestamp: new Date().toISOString(),
         server_info: getServerInfo(),
-        downstream_health: Object.fromEntries(this.downstreamHealthStatus),
+        downstream_health: this.getDownstreamHealth(),
+        circuit_breakers: this.getCircuitBreakerStatus(),
+        rate_limits: this.rateLimiter.getStatus(),
+        cache: this.responseCache ? await this.responseCache.getStatus() : { enabled: false },
+        audit: this.auditLog ? this.auditLog.getStatus() : { enabled: false },
+        cassette: this.cassette ? this.cassette.getStatus() : { mode: 'off' },
+        faults: this.faultInjector.getStatus(),
+        mcp_sessions: this.mcpSessions.getStatus(),
         request_count: this.requestCounter,
+        in_flight_requests: this.activeRequests.size,
       };
-      
-      res.json(healthStatus);
+
+      // Load balancers stop routing to a draining proxy
+      res.status(this.draining ? 503 : 200).json(healthStatus);
+    });
+
+    // Health of one target with its recent check history
+    this.app.get('/health/:target', (req, res) => {
+      const { target } = req.params;
+      const history = this.healthMonitor.getHistory(target);
+      if (!getDownstreamServer(target) && history.length === 0) {
+        return res.status(404).json({
+          error: 'Unknown target server',
+          target,
+          available_targets: Object.keys(config.downstreamServers),
+        });
+      }
+
+      const breaker = this.circuitBreakers.get(target);
+      res.json({
+        target,
+        ...(this.downstreamHealthStatus.get(target) || { status: 'unknown' }),
+        replicas: this.loadBalancer.getStatus(target),
+        circuit_breaker: breaker ? breaker.getStatus() : null,
+        history,
+      });
     });
 
+    // Prometheus metrics endpoint
+    if (this.metrics) {
+      this.app.get('/metrics', async (req, res) => {
+        res.set('Content-Type', this.metrics.contentType);
+        res.end(await this.metrics.render());
+      });
+    }
+
     // Server info endpoint
     this.app.get('/info', (req, res) => {
       res.json(getServerInfo());
@@ -85,7 +333,7 @@ class MCPProxyServer {
     this.app.get('/mcp/get_methods', async (req, res) => {
       try {
         const aggregatedMethods = await this.aggregateGetMethods();
-        res.json(aggregatedMethods);
+        res.json(this.filterAllowedMethods(aggregatedMethods, req));
       } catch (error) {
         console.error('Error aggregating methods:', error.message);
         res.status(500).json({
@@ -95,6 +343,14 @@ class MCPProxyServer {
       }
     });
 
+    // Admin API for managing downstream servers at runtime
+    this.setupAdminRoutes();
+
+    // JSON-RPC endpoint with tool-name based routing
+    this.app.post('/rpc', (req, res) => {
+      this.handleJsonRpcRequest(req, res);
+    });
+
     // Main proxy endpoints - use middleware approach
     this.app.all('/proxy/*', (req, res) => {
       this.handleProxyRequest(req, res, 'prefix');
@@ -104,20 +360,210 @@ class MCPProxyServer {
       this.handleProxyRequest(req, res, 'header');
     });
 
+    // MCP Streamable HTTP transport; requests naming a target keep header-based routing
     this.app.all('/mcp', (req, res) => {
-      this.handleProxyRequest(req, res, 'header');
+      if (req.headers[config.routing.targetHeader.toLowerCase()]) {
+        return this.handleProxyRequest(req, res, 'header');
+      }
+      this.handleStreamableHttpRequest(req, res);
     });
 
     // 404 handler
     this.app.use('*', (req, res) => {
       res.status(404).json({
         error: 'Endpoint not found',
-        message: 'Available endpoints: /health, /info, /mcp/get_methods, /proxy/{target}/*',
+        message: 'Available endpoints: /health, /info, /metrics, /mcp, /mcp/get_methods, /rpc, /admin/servers, /proxy/{target}/*',
         available_targets: Object.keys(config.downstreamServers),
       });
     });
   }
 
+  setupAdminRoutes() {
+    const router = express.Router();
+    router.use((req, res, next) => this.requireAdminToken(req, res, next));
+
+    router.get('/servers', (req, res) => {
+      res.json({
+        servers: getAllDownstreamServers().map(server => ({
+          ...server,
+          health: this.downstreamHealthStatus.get(server.id) || null,
+        })),
+      });
+    });
+
+    router.post('/servers', async (req, res) => {
+      const { id, ...fields } = req.body || {};
+
+      if (getDownstreamServer(id)) {
+        return res.status(409).json({
+          error: 'Server already registered',
+          message: `Downstream server ${id} already exists; use PUT /admin/servers/${id} to update it`,
+        });
+      }
+
+      await this.applyServerChange(res, 201, id, () => registerDownstreamServer(id, fields));
+    });
+
+    router.put('/servers/:id', async (req, res) => {
+      const { id } = req.params;
+
+      if (!getDownstreamServer(id)) {
+        return res.status(404).json({
+          error: 'Server not found',
+          message: `Unknown downstream server: ${id}`,
+        });
+      }
+
+      await this.applyServerChange(res, 200, id, () => updateDownstreamServer(id, req.body || {}));
+    });
+
+    router.delete('/servers/:id', (req, res) => {
+      const { id } = req.params;
+
+      if (!getDownstreamServer(id)) {
+        return res.status(404).json({
+          error: 'Server not found',
+          message: `Unknown downstream server: ${id}`,
+        });
+      }
+
+      try {
+        removeDownstreamServer(id);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid server configuration',
+          details: error.validationErrors || [error.message],
+        });
+      }
+
+      this.invalidateTools();
+      this.drainServer(id);
+      res.json({
+        id,
+        status: this.drainingServers.has(id) ? 'draining' : 'removed',
+      });
+    });
+
+    // Query the audit log: ?from=&to= (ISO or epoch ms), tool, target, client, status, limit
+    router.get('/audit', async (req, res) => {
+      if (!this.auditLog) {
+        return res.status(404).json({
+          error: 'Audit log disabled',
+          message: 'Set AUDIT_LOG_ENABLED=true to record tool calls',
+        });
+      }
+
+      try {
+        const { from, to, tool, target, client, status, limit } = req.query;
+        res.json(await this.auditLog.query({ from, to, tool, target, client, status, limit }));
+      } catch (error) {
+        res.status(400).json({ error: 'Invalid audit query', message: error.message });
+      }
+    });
+
+    // Fault injection: list, replace or add rules, and remove one or all of them
+    router.get('/faults', (req, res) => {
+      res.json(this.faultInjector.getStatus());
+    });
+
+    router.put('/faults', (req, res) => {
+      const { enabled, rules } = req.body || {};
+      if (rules !== undefined && !Array.isArray(rules)) {
+        return res.status(400).json({ error: 'Invalid fault rules', details: ['rules must be a list'] });
+      }
+      try {
+        if (rules !== undefined) {
+          this.faultInjector.replaceRules(rules);
+        }
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid fault rules', details: error.validationErrors || [error.message] });
+      }
+      if (enabled !== undefined) {
+        this.faultInjector.enabled = Boolean(enabled);
+      }
+      console.log(`Fault injection ${this.faultInjector.enabled ? 'enabled' : 'disabled'} via admin API with ${this.faultInjector.rules.length} rule(s)`);
+      res.json(this.faultInjector.getStatus());
+    });
+
+    router.post('/faults', (req, res) => {
+      try {
+        const rule = this.faultInjector.addRule(req.body || {});
+        console.log(`Fault rule ${rule.id} added via admin API: ${rule.type} for ${rule.target}${rule.tool ? ` ${rule.tool}` : ''}`);
+        res.status(201).json(rule);
+      } catch (error) {
+        res.status(400).json({ error: 'Invalid fault rule', details: error.validationErrors || [error.message] });
+      }
+    });
+
+    router.delete('/faults/:id', (req, res) => {
+      if (!this.faultInjector.removeRule(req.params.id)) {
+        return res.status(404).json({
+          error: 'Fault rule not found',
+          message: `Unknown fault rule: ${req.params.id}`,
+        });
+      }
+      res.json({ id: req.params.id, status: 'removed' });
+    });
+
+    router.delete('/faults', (req, res) => {
+      this.faultInjector.replaceRules([]);
+      res.json(this.faultInjector.getStatus());
+    });
+
+    this.app.use('/admin', router);
+  }
+
+  requireAdminToken(req, res, next) {
+    const expected = config.admin.token;
+    if (!expected) {
+      return res.status(403).json({
+        error: 'Admin API disabled',
+        message: 'Set PROXY_ADMIN_TOKEN to enable the admin API',
+      });
+    }
+
+    const authorization = req.headers.authorization || '';
+    const provided = authorization.startsWith('Bearer ')
+      ? authorization.substring(7)
+      : req.headers['x-admin-token'] || '';
+
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(provided);
+    if (providedBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(providedBuffer, expectedBuffer)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'A valid admin token is required',
+      });
+    }
+
+    next();
+  }
+
+  // Applies a registration or update, then health-checks the server right away
+  async applyServerChange(res, successStatus, id, change) {
+    try {
+      change();
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid server configuration',
+        details: error.validationErrors || [error.message],
+      });
+    }
+
+    this.circuitBreakers.delete(id);
+    this.invalidateTools();
+
+    const server = { id, ...getDownstreamServer(id) };
+    await this.checkServerHealth(server);
+    const action = successStatus === 201 ? 'registered' : 'updated';
+    console.log(`Downstream server ${id} ${action} via admin API: ${server.url}`);
+
+    res.status(successStatus).json({
+      ...server,
+      health: this.downstreamHealthStatus.get(id),
+    });
+  }
+
   async handleProxyRequest(req, res, routingContext) {
     try {
       // Determine target server
@@ -132,40 +578,1155 @@ class MCPProxyServer {
         });
       }
 
-      // Check if target server is healthy
-      if (!this.isServerHealthy(targetInfo.target)) {
-        return res.status(503).json({
+      // Label metrics and logs with the resolved target
+      req.mcpTarget = targetInfo.target;
+
+      // Check the client's allow-list for the target and tool (every tool of a batch);
+      // an invoke path names its tool whatever the body holds
+      const invokePath = isInvokePath(targetInfo.targetPath);
+      const toolCalls = Array.isArray(req.body) && !invokePath
+        ? req.body.map(item => extractToolCall(null, item))
+        : [extractToolCall(targetInfo.targetPath, req.body)];
+      const toolNames = toolCalls.filter(Boolean).map(toolCall => toolCall.name);
+      if (toolNames.length === 0) {
+        toolNames.push(null);
+      }
+      if (this.auditLog && toolNames[0] !== null) {
+        this.auditProxiedToolCalls(req, res, targetInfo.target, toolCalls);
+      }
+      try {
+        toolNames.forEach(toolName => this.authorizeRequest(req, targetInfo.target, toolName));
+        if (invokePath && !toolCalls[0]) {
+          this.authorizeUnknownToolCall(req, targetInfo);
+        }
+      } catch (error) {
+        return this.sendAuthError(req, res, error);
+      }
+
+      // Validate arguments of tools whose schema is already cached
+      const invalidCall = toolCalls.filter(Boolean)
+        .map(toolCall => this.validateProxiedToolCall(targetInfo.target, toolCall))
+        .find(Boolean);
+      if (invalidCall) {
+        const id = req.body && req.body.id !== undefined ? req.body.id : null;
+        return res.status(400).json(createErrorResponse(id, invalidCall.code, invalidCall.message, invalidCall.data));
+      }
+
+      // Apply rate limits and quotas for the client, target and tool, to a batch as a whole
+      const throttle = this.checkRateLimit(req, targetInfo.target, toolNames);
+      if (throttle) {
+        res.set('Retry-After', throttle.retryAfterSeconds.toString());
+        return res.status(429).json({
+          error: throttle.reason,
+          target: targetInfo.target,
+          message: `${throttle.reason} for ${throttle.scope.replace(/s$/, '')} ${throttle.key}`,
+          retry_after_ms: throttle.retryAfterMs,
+        });
+      }
+
+      // Check if target server is healthy and its circuit breaker allows the request;
+      // a request that is not sent does not count against the client's limits
+      const rejection = this.getTargetRejection(targetInfo.target);
+      if (rejection) {
+        this.refundRateLimit(req, targetInfo.target, toolNames);
+        if (rejection.headers) {
+          res.set(rejection.headers);
+        }
+        return res.status(rejection.status).json(rejection.body);
+      }
+
+      // Forward the request
+      targetInfo.signal = this.createClientAbortSignal(res);
+      const response = await this.forwardWithCircuitBreaker(targetInfo, req);
+      
+      // Return the response
+      if (response.stream) {
+        return this.pipeStreamingResponse(response, res);
+      }
+      if (response.cacheStatus) {
+        res.set('X-Cache', response.cacheStatus);
+      }
+      res.status(response.status).json(response.data);
+      
+    } catch (error) {
+      console.error('Proxy request error:', error.message);
+      
+      if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+        res.status(503).json({
+          error: 'Downstream server unavailable',
+          message: 'Unable to connect to the target MCP server',
+          details: error.message,
+        });
+      } else if (error.code === CASSETTE_MISS) {
+        res.status(502).json({
+          error: 'No recorded response',
+          message: error.message,
+        });
+      } else if (error.response) {
+        // Forward error response from downstream server
+        res.status(error.response.status).json(error.response.data);
+      } else {
+        res.status(500).json({
+          error: 'Internal proxy error',
+          message: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Audits the tool calls of a request sent to an explicit target once its
+   * response is known, whichever way the request ends. Responses to a batch
+   * are matched to its tool calls by id.
+   */
+  auditProxiedToolCalls(req, res, target, toolCalls) {
+    const startedAt = Date.now();
+    let audited = false;
+    const audit = (body, streamed) => {
+      if (audited) {
+        return;
+      }
+      audited = true;
+
+      const responses = Array.isArray(body) ? new Map(body.filter(Boolean).map(response => [response.id, response])) : null;
+      toolCalls.forEach((toolCall, position) => {
+        if (!toolCall) {
+          return;
+        }
+        const response = responses ? responses.get(req.body[position].id) || null : body;
+        this.auditToolCall(req, { target, toolName: toolCall.name, args: toolCall.arguments }, startedAt, {
+          response,
+          streamed,
+          httpStatus: res.statusCode,
+        });
+      });
+    };
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      audit(body, false);
+      return json(body);
+    };
+    // Streamed responses are piped rather than sent with res.json
+    res.on('close', () => audit(null, res.headersSent));
+  }
+
+  // An AbortSignal that fires if the client disconnects before the response is complete
+  createClientAbortSignal(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+    });
+    return controller.signal;
+  }
+
+  async handleJsonRpcRequest(req, res) {
+    const request = req.body;
+    const id = request && request.id !== undefined ? request.id : null;
+
+    if (Array.isArray(request)) {
+      return this.sendJsonRpcBatch(req, res, request, {
+        signal: this.createClientAbortSignal(res),
+        handleLocal: item => this.handleLocalRpcMethod(item, req),
+      });
+    }
+
+    if (!isValidRequest(request)) {
+      return res.status(400).json(
+        createErrorResponse(id, ERROR_CODES.INVALID_REQUEST, 'Invalid JSON-RPC request')
+      );
+    }
+
+    try {
+      if (request.method === 'tools/call') {
+        const response = await this.routeToolCall(request, req, { signal: this.createClientAbortSignal(res) });
+        if (response.stream) {
+          return this.pipeStreamingResponse(response, res);
+        }
+        return res.json(response.data);
+      }
+
+      const result = await this.handleLocalRpcMethod(request, req, { signal: this.createClientAbortSignal(res) });
+      return res.json(createResultResponse(id, result));
+    } catch (error) {
+      if (error instanceof JsonRpcError) {
+        if (error.headers) {
+          res.set(error.headers);
+        }
+        return res.status(error.httpStatus).json(createErrorResponse(id, error.code, error.message, error.data));
+      }
+
+      console.error('JSON-RPC request error:', error.message);
+      res.json(createErrorResponse(id, ERROR_CODES.INTERNAL_ERROR, error.message));
+    }
+  }
+
+  // Responds to a batch with its array of responses, or 204 if it held only notifications
+  async sendJsonRpcBatch(req, res, requests, options) {
+    if (requests.length === 0) {
+      return res.status(400).json(createErrorResponse(null, ERROR_CODES.INVALID_REQUEST, 'Empty JSON-RPC batch'));
+    }
+
+    const responses = await this.executeJsonRpcBatch(requests, req, options);
+    if (responses.length === 0) {
+      return res.status(204).end();
+    }
+    return res.json(responses);
+  }
+
+  // Methods other than tools/call, which the proxy answers itself or routes by namespaced URI or name
+  async handleLocalRpcMethod(request, req, options = {}) {
+    switch (request.method) {
+      case 'tools/list':
+        await this.refreshToolRegistry();
+        return { tools: this.listAllowedTools(req) };
+
+      case 'ping':
+        return {};
+
+      case 'resources/list':
+      case 'resources/templates/list':
+      case 'prompts/list':
+        return this.listCatalog(request.method, req, options);
+
+      case 'resources/read':
+        return this.readResource(request, req, options);
+
+      case 'prompts/get':
+        return this.getPrompt(request, req, options);
+
+      default:
+        throw new JsonRpcError(ERROR_CODES.METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+    }
+  }
+
+  /**
+   * MCP Streamable HTTP transport on `/mcp`: POST carries JSON-RPC messages,
+   * GET opens an event stream for server-initiated messages and DELETE ends
+   * the session.
+   */
+  async handleStreamableHttpRequest(req, res) {
+    const version = req.headers['mcp-protocol-version'];
+    if (version && !SessionManager.isSupportedProtocolVersion(version)) {
+      return res.status(400).json(
+        createErrorResponse(null, ERROR_CODES.INVALID_REQUEST, `Unsupported protocol version: ${version}`)
+      );
+    }
+
+    switch (req.method) {
+      case 'POST':
+        return this.handleMcpPost(req, res);
+      case 'GET':
+        return this.openMcpEventStream(req, res);
+      case 'DELETE':
+        return this.deleteMcpSession(req, res);
+      default:
+        res.set('Allow', 'GET, POST, DELETE');
+        return res.status(405).json(
+          createErrorResponse(null, ERROR_CODES.INVALID_REQUEST, `Method not allowed: ${req.method}`)
+        );
+    }
+  }
+
+  async handleMcpPost(req, res) {
+    const message = req.body;
+    const id = message && message.id !== undefined ? message.id : null;
+    const accept = req.headers.accept;
+
+    if (accept && !/application\/json|text\/event-stream|\*\/\*/.test(accept)) {
+      return res.status(406).json(
+        createErrorResponse(id, ERROR_CODES.INVALID_REQUEST, 'Accept must include application/json or text/event-stream')
+      );
+    }
+
+    if (Array.isArray(message)) {
+      const session = this.findMcpSession(req, res);
+      if (!session) {
+        return;
+      }
+      return this.sendJsonRpcBatch(req, res, message, {
+        signal: this.createClientAbortSignal(res),
+        headers: this.getSessionlessHeaders(req),
+        handleLocal: (item) => {
+          if (item.method === 'notifications/initialized') {
+            session.initialized = true;
+            return null;
+          }
+          if (item.id === undefined) {
+            return null;
+          }
+          return this.handleLocalRpcMethod(item, req, { headers: this.getSessionlessHeaders(req) });
+        },
+      });
+    }
+
+    // Responses from the client carry an id but no method
+    const isResponse = Boolean(message) && message.jsonrpc === '2.0' && message.method === undefined
+      && message.id !== undefined && (message.result !== undefined || message.error !== undefined);
+    if (!isValidRequest(message) && !isResponse) {
+      return res.status(400).json(createErrorResponse(id, ERROR_CODES.INVALID_REQUEST, 'Invalid JSON-RPC message'));
+    }
+
+    if (message.method === 'initialize' && message.id !== undefined) {
+      return this.initializeMcpSession(message, req, res);
+    }
+
+    const session = this.findMcpSession(req, res, id);
+    if (!session) {
+      return;
+    }
+
+    // Notifications and responses are acknowledged without a body
+    if (isResponse || message.id === undefined) {
+      if (message.method === 'notifications/initialized') {
+        session.initialized = true;
+      }
+      return res.status(202).end();
+    }
+
+    const options = {
+      signal: this.createClientAbortSignal(res),
+      headers: this.getSessionlessHeaders(req),
+    };
+    try {
+      if (message.method === 'tools/call') {
+        const response = await this.routeToolCall(message, req, options);
+        if (response.stream) {
+          return this.pipeStreamingResponse(response, res);
+        }
+        return this.sendMcpMessage(req, res, response.data);
+      }
+
+      const result = await this.handleLocalRpcMethod(message, req, options);
+      return this.sendMcpMessage(req, res, createResultResponse(id, result));
+    } catch (error) {
+      if (error instanceof JsonRpcError) {
+        if (error.headers) {
+          res.set(error.headers);
+        }
+        return this.sendMcpMessage(req, res, createErrorResponse(id, error.code, error.message, error.data), error.httpStatus);
+      }
+
+      console.error('MCP request error:', error.message);
+      this.sendMcpMessage(req, res, createErrorResponse(id, ERROR_CODES.INTERNAL_ERROR, error.message));
+    }
+  }
+
+  // The client's session headers mean nothing to the downstream server
+  getSessionlessHeaders(req) {
+    const headers = { ...req.headers };
+    delete headers['mcp-session-id'];
+    delete headers['mcp-protocol-version'];
+    return headers;
+  }
+
+  initializeMcpSession(request, req, res) {
+    const params = request.params || {};
+    const session = this.mcpSessions.create({
+      clientId: req.identity ? req.identity.id : null,
+      protocolVersion: SessionManager.negotiateProtocolVersion(params.protocolVersion),
+      clientInfo: params.clientInfo,
+      capabilities: params.capabilities,
+    });
+    if (!session) {
+      return this.sendMcpMessage(req, res, createErrorResponse(request.id, ERROR_CODES.UNAVAILABLE, 'Too many open sessions', {
+        max_sessions: config.mcpSessions.maxSessions,
+      }), 503);
+    }
+    console.log(`MCP session ${session.id} started (protocol ${session.protocolVersion})`);
+
+    res.set('Mcp-Session-Id', session.id);
+    return this.sendMcpMessage(req, res, createResultResponse(request.id, {
+      protocolVersion: session.protocolVersion,
+      capabilities: { tools: { listChanged: true }, resources: {}, prompts: {} },
+      serverInfo: { name: 'mcp-proxy-server', version: getServerInfo().version },
+    }));
+  }
+
+  // Looks up the request's session, or responds with 400/404 and returns null
+  findMcpSession(req, res, id = null) {
+    const sessionId = req.headers['mcp-session-id'];
+    if (!sessionId) {
+      res.status(400).json(createErrorResponse(id, ERROR_CODES.INVALID_REQUEST, 'Missing Mcp-Session-Id header'));
+      return null;
+    }
+
+    // Sessions are bound to the identity that created them
+    const session = this.mcpSessions.get(sessionId);
+    const clientId = req.identity ? req.identity.id : null;
+    if (!session || session.clientId !== clientId) {
+      res.status(404).json(createErrorResponse(id, ERROR_CODES.INVALID_REQUEST, 'Session not found'));
+      return null;
+    }
+    return session;
+  }
+
+  // Clients that only accept event streams get the response as a single SSE event
+  sendMcpMessage(req, res, message, status = 200) {
+    const accept = req.headers.accept || '';
+    if (accept.includes('text/event-stream') && !accept.includes('application/json')) {
+      res.status(status);
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      return res.end(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+    }
+    return res.status(status).json(message);
+  }
+
+  openMcpEventStream(req, res) {
+    if (!(req.headers.accept || '').includes('text/event-stream')) {
+      return res.status(406).json(
+        createErrorResponse(null, ERROR_CODES.INVALID_REQUEST, 'Accept must include text/event-stream')
+      );
+    }
+
+    const session = this.findMcpSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    const heartbeatInterval = config.streaming.heartbeatInterval;
+    if (heartbeatInterval > 0) {
+      const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatInterval);
+      res.on('close', () => clearInterval(heartbeat));
+    }
+
+    // Event streams stay open indefinitely, so stop() closes them instead of waiting
+    this.activeRequests.delete(res);
+    this.mcpSessions.attachStream(session, res);
+  }
+
+  deleteMcpSession(req, res) {
+    const session = this.findMcpSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    this.mcpSessions.delete(session.id);
+    console.log(`MCP session ${session.id} ended by client`);
+    res.status(204).end();
+  }
+
+  // Tools may have changed: refresh the registry on next use and notify open MCP sessions
+  invalidateTools() {
+    this.toolRegistry.invalidate();
+    this.mcpSessions.broadcast({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+  }
+
+  /**
+   * Checks a tool call sent to an explicit target against the tool's cached
+   * inputSchema. The registry is not refreshed for this, so tools it does
+   * not know yet are forwarded unchecked. Returns a JsonRpcError or null.
+   */
+  validateProxiedToolCall(target, toolCall) {
+    const entry = this.toolRegistry.get(`${target}.${toolCall.name}`);
+    const errors = entry && this.schemaValidator.validateArguments(entry.tool, toolCall.arguments);
+    if (!errors) {
+      return null;
+    }
+    return new JsonRpcError(ERROR_CODES.INVALID_PARAMS, `Invalid arguments for tool ${entry.name}`, {
+      tool: entry.name,
+      errors,
+    });
+  }
+
+  /**
+   * Returns null if the request is within its rate limits and quotas,
+   * otherwise { scope, key, reason, retryAfterMs, retryAfterSeconds }.
+   * Given several tool names (a batch), either all of them pass or none is
+   * counted. Unauthenticated clients are limited by IP address.
+   */
+  checkRateLimit(req, target, toolNames) {
+    const rejection = this.rateLimiter.check(this.getRateLimitedCalls(req, target, toolNames));
+    if (!rejection) {
+      return null;
+    }
+
+    return {
+      ...rejection,
+      retryAfterSeconds: Math.max(1, Math.ceil(rejection.retryAfterMs / 1000)),
+    };
+  }
+
+  // Gives back the tokens and quota a passed checkRateLimit() took, for calls that are not sent
+  refundRateLimit(req, target, toolNames) {
+    this.rateLimiter.refund(this.getRateLimitedCalls(req, target, toolNames));
+  }
+
+  getRateLimitedCalls(req, target, toolNames) {
+    const clientId = req.identity ? req.identity.id : `ip:${req.ip}`;
+    return [].concat(toolNames).map(toolName => ({ clientId, target, toolName }));
+  }
+
+  // Tools from the registry that the authenticated client may call
+  listAllowedTools(req) {
+    const tools = this.toolRegistry.listTools();
+    if (!config.auth.enabled) {
+      return tools;
+    }
+
+    return tools.filter(tool => (
+      this.authorizer.isTargetAllowed(req.identity, tool.server)
+      && this.authorizer.isToolAllowed(req.identity, tool.server, tool.name.substring(tool.server.length + 1))
+    ));
+  }
+
+  // The aggregated methods narrowed to the targets and tools the authenticated client may use
+  filterAllowedMethods(allMethods, req) {
+    if (!config.auth.enabled) {
+      return allMethods;
+    }
+
+    const isAllowed = (target, toolName) => (
+      this.authorizer.isTargetAllowed(req.identity, target)
+      && this.authorizer.isToolAllowed(req.identity, target, toolName)
+    );
+    const downstreamServers = {};
+    Object.entries(allMethods.downstream_servers).forEach(([id, entry]) => {
+      if (!this.authorizer.isTargetAllowed(req.identity, id)) {
+        return;
+      }
+      downstreamServers[id] = entry.tools === undefined
+        ? entry
+        : { ...entry, tools: Array.isArray(entry.tools) ? entry.tools.filter(tool => isAllowed(id, tool.name)) : [] };
+    });
+
+    return {
+      ...allMethods,
+      downstream_servers: downstreamServers,
+      aggregated_tools: allMethods.aggregated_tools.filter(tool => (
+        isAllowed(tool.server, tool.name.substring(tool.server.length + 1))
+      )),
+    };
+  }
+
+  async refreshToolRegistry(force = false) {
+    await this.toolRegistry.ensureFresh(() => this.aggregateGetMethods(), force);
+  }
+
+  async resolveTool(name) {
+    await this.refreshToolRegistry();
+
+    try {
+      return this.toolRegistry.resolve(name);
+    } catch (error) {
+      // The tool may belong to a server that came up after the last refresh
+      if (this.toolRegistry.has(name) || !this.toolRegistry.canRefreshOnMiss()) {
+        throw error;
+      }
+      await this.refreshToolRegistry(true);
+      return this.toolRegistry.resolve(name);
+    }
+  }
+
+  /**
+   * Forwards a JSON-RPC `tools/call` to the server that owns the tool,
+   * with the server prefix removed from the tool name. Resolves with the
+   * downstream response (which may be a stream, see pipeStreamingResponse).
+   * `headers` replaces the client's headers on the downstream request.
+   * Every call, including rejected ones, is written to the audit log.
+   */
+  async routeToolCall(request, req, { signal = null, headers = req.headers } = {}) {
+    const startedAt = Date.now();
+    let entry = null;
+    try {
+      entry = await this.resolveTool((request.params || {}).name);
+      const response = await this.forwardToolCall(await this.prepareToolCall(request, req, entry), { signal, headers });
+      this.auditToolCall(req, this.describeToolCall(request, entry), startedAt, {
+        response: response.stream ? null : response.data,
+        streamed: Boolean(response.stream),
+      });
+      return response;
+    } catch (error) {
+      this.auditToolCall(req, this.describeToolCall(request, entry), startedAt, { error });
+      throw error;
+    }
+  }
+
+  async forwardToolCall({ target, server, entry, body }, { signal, headers }) {
+    const targetInfo = {
+      target,
+      server,
+      targetPath: server.mcpEndpoint || '/mcp',
+      error: null,
+      signal,
+    };
+    const downstreamRequest = {
+      method: 'POST',
+      headers,
+      query: {},
+      body,
+    };
+
+    let response;
+    try {
+      response = await this.forwardWithCircuitBreaker(targetInfo, downstreamRequest);
+    } catch (error) {
+      throw new JsonRpcError(ERROR_CODES.DOWNSTREAM_ERROR, 'Downstream server unavailable', {
+        target,
+        details: error.message,
+      });
+    }
+
+    if (response.status >= 400) {
+      throw new JsonRpcError(ERROR_CODES.DOWNSTREAM_ERROR, `Downstream server responded with status ${response.status}`, {
+        target,
+        status: response.status,
+        body: response.stream ? null : response.data,
+      });
+    }
+
+    if (!response.stream) {
+      response.data = this.checkToolResult(entry, response.data);
+    }
+    return response;
+  }
+
+  /**
+   * Resolves the tool of a `tools/call` (unless `resolved` is given) and runs
+   * the authorization, rate limit and availability checks for it. Resolves with the target, its
+   * server and the request body to send downstream; throws JsonRpcError.
+   * Batches pass `checkTarget: false` and check each target once for its
+   * whole sub-batch instead.
+   */
+  async prepareToolCall(request, req, resolved = null, { checkTarget = true } = {}) {
+    const params = request.params || {};
+    const entry = resolved || await this.resolveTool(params.name);
+    const server = getDownstreamServer(entry.target);
+    req.mcpTarget = entry.target;
+
+    try {
+      this.authorizeRequest(req, entry.target, entry.toolName);
+    } catch (error) {
+      if (error instanceof AuthError) {
+        throw new JsonRpcError(ERROR_CODES.FORBIDDEN, 'Forbidden', { reason: error.message }, error.status);
+      }
+      throw error;
+    }
+
+    const validationErrors = this.schemaValidator.validateArguments(entry.tool, params.arguments || {});
+    if (validationErrors) {
+      throw new JsonRpcError(ERROR_CODES.INVALID_PARAMS, `Invalid arguments for tool ${entry.name}`, {
+        tool: entry.name,
+        errors: validationErrors,
+      });
+    }
+
+    if (!server) {
+      throw new JsonRpcError(ERROR_CODES.DOWNSTREAM_ERROR, `Unknown target server: ${entry.target}`);
+    }
+
+    const throttle = this.checkRateLimit(req, entry.target, entry.toolName);
+    if (throttle) {
+      const error = new JsonRpcError(ERROR_CODES.RATE_LIMITED, throttle.reason, {
+        scope: throttle.scope,
+        key: throttle.key,
+        retry_after_ms: throttle.retryAfterMs,
+      }, 429);
+      error.headers = { 'Retry-After': throttle.retryAfterSeconds.toString() };
+      throw error;
+    }
+
+    const rejection = checkTarget ? this.getTargetRejection(entry.target) : null;
+    if (rejection) {
+      this.refundRateLimit(req, entry.target, entry.toolName);
+      throw new JsonRpcError(ERROR_CODES.DOWNSTREAM_ERROR, rejection.body.message, rejection.body);
+    }
+
+    return {
+      target: entry.target,
+      server,
+      entry,
+      body: { ...request, params: { ...params, name: entry.toolName } },
+    };
+  }
+
+  // Replaces a tool result that does not match the tool's outputSchema with an error response
+  checkToolResult(entry, response) {
+    const errors = response && this.schemaValidator.validateResult(entry.tool, response.result);
+    if (!errors) {
+      return response;
+    }
+
+    console.error(`Result of tool ${entry.name} does not match its outputSchema`);
+    return createErrorResponse(response.id, ERROR_CODES.DOWNSTREAM_ERROR, `Result of tool ${entry.name} does not match its outputSchema`, {
+      tool: entry.name,
+      errors,
+    });
+  }
+
+  // The target, bare tool name and arguments of a tools/call; the target is null if the tool was not resolved
+  describeToolCall(request, entry = null) {
+    const params = (request && request.params) || {};
+    return {
+      target: entry ? entry.target : null,
+      toolName: entry ? entry.toolName : params.name,
+      args: params.arguments || {},
+    };
+  }
+
+  // Appends one tool call to the audit log; `result` is passed to describeOutcome()
+  auditToolCall(req, call, startedAt, result) {
+    if (!this.auditLog) {
+      return;
+    }
+
+    this.auditLog.record({
+      ...call,
+      requestId: req.requestId || null,
+      client: req.identity ? req.identity.id : null,
+      clientIp: req.ip,
+      endpoint: req.path,
+      durationMs: Date.now() - startedAt,
+      outcome: describeOutcome(result),
+    });
+  }
+
+  /**
+   * Sends one JSON-RPC request of the proxy's own to a downstream server's
+   * MCP endpoint and resolves with its result. Downstream JSON-RPC errors
+   * are rethrown as JsonRpcError with their code, message and data.
+   */
+  async callDownstreamMethod(target, method, params, req, { signal = null, headers = req.headers } = {}) {
+    const server = getDownstreamServer(target);
+    if (!server) {
+      throw new JsonRpcError(ERROR_CODES.DOWNSTREAM_ERROR, `Unknown target server: ${target}`);
+    }
+
+    const rejection = this.getTargetRejection(target);
+    if (rejection) {
+      throw new JsonRpcError(ERROR_CODES.DOWNSTREAM_ERROR, rejection.body.message, rejection.body);
+    }
+
+    const targetInfo = {
+      target,
+      server,
+      targetPath: server.mcpEndpoint || '/mcp',
+      error: null,
+      signal,
+    };
+    const downstreamRequest = {
+      method: 'POST',
+      headers,
+      query: {},
+      body: { jsonrpc: '2.0', id: crypto.randomUUID(), method, params },
+    };
+
+    let response;
+    try {
+      response = await this.forwardWithCircuitBreaker(targetInfo, downstreamRequest);
+    } catch (error) {
+      throw new JsonRpcError(ERROR_CODES.DOWNSTREAM_ERROR, 'Downstream server unavailable', {
+        target,
+        details: error.message,
+      });
+    }
+
+    if (response.stream) {
+      response.data.destroy();
+      throw new JsonRpcError(ERROR_CODES.DOWNSTREAM_ERROR, `Downstream server streamed its response to ${method}`, { target });
+    }
+
+    if (response.status >= 400) {
+      throw new JsonRpcError(ERROR_CODES.DOWNSTREAM_ERROR, `Downstream server responded with status ${response.status}`, {
+        target,
+        status: response.status,
+        body: response.data,
+      });
+    }
+
+    const body = response.data;
+    if (body && body.error) {
+      throw new JsonRpcError(body.error.code, body.error.message, body.error.data);
+    }
+    if (!body || !body.result || typeof body.result !== 'object') {
+      throw new JsonRpcError(ERROR_CODES.DOWNSTREAM_ERROR, `Invalid response to ${method} from downstream server`, { target });
+    }
+    return body.result;
+  }
+
+  // Throws a JSON-RPC Forbidden error unless the client may use the target
+  authorizeCatalogTarget(req, target) {
+    try {
+      this.authorizeRequest(req, target);
+    } catch (error) {
+      if (error instanceof AuthError) {
+        throw new JsonRpcError(ERROR_CODES.FORBIDDEN, 'Forbidden', { reason: error.message }, error.status);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Aggregates `resources/list`, `resources/templates/list` or
+   * `prompts/list` over every downstream server the client may use, with
+   * each item namespaced (see catalog.js). Servers that do not support the
+   * method, or fail to answer, are left out of the result.
+   */
+  async listCatalog(method, req, options = {}) {
+    const { key } = LIST_METHODS[method];
+    const servers = getAllDownstreamServers().filter(server => (
+      !config.auth.enabled || this.authorizer.isTargetAllowed(req.identity, server.id)
+    ));
+
+    const lists = await Promise.all(servers.map(async (server) => {
+      try {
+        const items = await this.fetchCatalogPages(server.id, method, req, options);
+        return items.map(item => namespaceListItem(method, server.id, item));
+      } catch (error) {
+        if (!isUnsupportedError(error)) {
+          console.error(`Failed to list ${key} of ${server.id}:`, error.message);
+        }
+        return [];
+      }
+    }));
+
+    return { [key]: lists.flat() };
+  }
+
+  // Follows the downstream server's pagination so the aggregated list is complete
+  async fetchCatalogPages(target, method, req, options) {
+    const { key } = LIST_METHODS[method];
+    const items = [];
+    let cursor = null;
+
+    for (let page = 0; page < MAX_CATALOG_PAGES; page++) {
+      const result = await this.callDownstreamMethod(target, method, cursor ? { cursor } : {}, req, options);
+      items.push(...(Array.isArray(result[key]) ? result[key] : []));
+      if (!result.nextCursor || result.nextCursor === cursor) {
+        break;
+      }
+      cursor = result.nextCursor;
+    }
+    return items;
+  }
+
+  // Calls a resources/prompts method on its owning server, reporting a missing capability clearly
+  async callCatalogMethod(target, method, params, req, options) {
+    try {
+      return await this.callDownstreamMethod(target, method, params, req, options);
+    } catch (error) {
+      if (isUnsupportedError(error)) {
+        throw new JsonRpcError(ERROR_CODES.METHOD_NOT_FOUND, `Server ${target} does not support ${method}`, { target });
+      }
+      throw error;
+    }
+  }
+
+  // Reads a resource by its namespaced URI from the server that owns it
+  async readResource(request, req, options = {}) {
+    const params = request.params || {};
+    const resolved = parseNamespaced(params.uri, RESOURCE_URI_SEPARATOR, getAllDownstreamServers().map(server => server.id));
+    if (!resolved) {
+      throw new JsonRpcError(ERROR_CODES.INVALID_PARAMS, `Unknown resource: ${params.uri}`, {
+        reason: 'Resource URIs must start with the id of a downstream server, e.g. gdrive+gdrive:///file/123',
+      });
+    }
+
+    req.mcpTarget = resolved.target;
+    this.authorizeCatalogTarget(req, resolved.target);
+    const result = await this.callCatalogMethod(resolved.target, 'resources/read', { ...params, uri: resolved.value }, req, options);
+
+    return {
+      ...result,
+      contents: (result.contents || []).map(content => (
+        content.uri ? { ...content, uri: namespaceResourceUri(resolved.target, content.uri) } : content
+      )),
+    };
+  }
+
+  // Gets a prompt, namespaced like `github.summarize_issue` or bare if only one server has it
+  async getPrompt(request, req, options = {}) {
+    const params = request.params || {};
+    if (typeof params.name !== 'string' || params.name.length === 0) {
+      throw new JsonRpcError(ERROR_CODES.INVALID_PARAMS, 'Prompt name is required');
+    }
+
+    const serverIds = getAllDownstreamServers().map(server => server.id);
+    let resolved = parseNamespaced(params.name, PROMPT_NAME_SEPARATOR, serverIds);
+    if (!resolved) {
+      const { prompts } = await this.listCatalog('prompts/list', req, options);
+      const candidates = prompts.filter(prompt => prompt.name === `${prompt.server}${PROMPT_NAME_SEPARATOR}${params.name}`);
+      if (candidates.length > 1) {
+        throw new JsonRpcError(ERROR_CODES.INVALID_PARAMS, `Ambiguous prompt name: ${params.name}`, {
+          candidates: candidates.map(prompt => prompt.name),
+        });
+      }
+      if (candidates.length === 0) {
+        throw new JsonRpcError(ERROR_CODES.INVALID_PARAMS, `Unknown prompt: ${params.name}`, {
+          available_prompts: prompts.map(prompt => prompt.name),
+        });
+      }
+      resolved = { target: candidates[0].server, value: params.name };
+    }
+
+    req.mcpTarget = resolved.target;
+    this.authorizeCatalogTarget(req, resolved.target);
+    return this.callCatalogMethod(resolved.target, 'prompts/get', { ...params, name: resolved.value }, req, options);
+  }
+
+  /**
+   * Executes a JSON-RPC batch. Tool calls are grouped by the server that owns
+   * the tool and each group is forwarded as one sub-batch, with the groups in
+   * parallel. Other requests are answered by `handleLocal`. Resolves with the
+   * responses in request order; a failed group only turns its own requests
+   * into errors. Notifications get no response.
+   */
+  async executeJsonRpcBatch(requests, req, { signal = null, headers = req.headers, handleLocal } = {}) {
+    const startedAt = Date.now();
+    const responses = new Array(requests.length).fill(null);
+    const groups = new Map(); // target -> { server, items: [{ index, id, entry, body }] }
+
+    for (const [index, request] of requests.entries()) {
+      const id = request && request.id !== undefined ? request.id : null;
+      if (!isValidRequest(request)) {
+        responses[index] = createErrorResponse(null, ERROR_CODES.INVALID_REQUEST, 'Invalid JSON-RPC request');
+        continue;
+      }
+
+      let entry = null;
+      try {
+        if (request.method === 'tools/call') {
+          entry = await this.resolveTool((request.params || {}).name);
+          const { target, server, body } = await this.prepareToolCall(request, req, entry, { checkTarget: false });
+          if (!groups.has(target)) {
+            groups.set(target, { server, items: [] });
+          }
+          groups.get(target).items.push({ index, id: request.id, request, entry, body });
+        } else {
+          const result = await handleLocal(request);
+          responses[index] = request.id === undefined ? null : createResultResponse(id, result);
+        }
+      } catch (error) {
+        if (request.method === 'tools/call') {
+          this.auditToolCall(req, this.describeToolCall(request, entry), startedAt, { error });
+        }
+        if (request.id === undefined) {
+          continue;
+        }
+        responses[index] = error instanceof JsonRpcError
+          ? createErrorResponse(id, error.code, error.message, error.data)
+          : createErrorResponse(id, ERROR_CODES.INTERNAL_ERROR, error.message);
+      }
+    }
+
+    await Promise.all(Array.from(groups.entries()).map(([target, group]) => {
+      // Each sub-batch is one downstream request, so its target is checked (and its breaker counts it) once
+      const rejection = this.getTargetRejection(target);
+      if (rejection) {
+        const error = new JsonRpcError(ERROR_CODES.DOWNSTREAM_ERROR, rejection.body.message, rejection.body);
+        group.items.forEach((item) => {
+          this.refundRateLimit(req, target, item.entry.toolName);
+          this.auditToolCall(req, this.describeToolCall(item.request, item.entry), startedAt, { error });
+          if (item.id !== undefined) {
+            responses[item.index] = createErrorResponse(item.id, error.code, error.message, error.data);
+          }
+        });
+        return null;
+      }
+
+      return this.forwardSubBatch(target, group, { signal, headers }).then((groupResponses) => {
+        group.items.forEach((item, position) => {
+          responses[item.index] = groupResponses[position];
+          this.auditToolCall(req, this.describeToolCall(item.request, item.entry), startedAt, { response: groupResponses[position] });
+        });
+      });
+    }));
+
+    return responses.filter(response => response !== null);
+  }
+
+  /**
+   * Sends one target's share of a batch. Downstream ids are replaced by the
+   * position in the client's batch, so duplicate client ids cannot be mixed
+   * up. Resolves with one response (or null for notifications) per item.
+   */
+  async forwardSubBatch(target, group, { signal, headers }) {
+    const targetInfo = {
+      target,
+      server: group.server,
+      targetPath: group.server.mcpEndpoint || '/mcp',
+      error: null,
+      signal,
+    };
+    const downstreamRequest = {
+      method: 'POST',
+      headers,
+      query: {},
+      body: group.items.map(item => (
+        item.id === undefined ? item.body : { ...item.body, id: item.index }
+      )),
+    };
+
+    let failure = null;
+    let byIndex = new Map();
+    try {
+      const response = await this.forwardWithCircuitBreaker(targetInfo, downstreamRequest);
+      if (response.stream) {
+        response.data.destroy();
+        throw new Error('Downstream server streamed a batch response');
+      }
+      if (response.status >= 400) {
+        throw new Error(`Downstream server responded with status ${response.status}`);
+      }
+
+      // A single response object is accepted from servers that answer batches of one that way
+      const items = Array.isArray(response.data) ? response.data : [response.data];
+      byIndex = new Map(items.filter(Boolean).map(item => [item.id, item]));
+    } catch (error) {
+      console.error(`Batch forwarding to ${target} failed:`, error.message);
+      failure = error;
+    }
+
+    return group.items.map((item) => {
+      if (item.id === undefined) {
+        return null;
+      }
+      if (failure) {
+        return createErrorResponse(item.id, ERROR_CODES.DOWNSTREAM_ERROR, 'Downstream server unavailable', {
+          target,
+          details: failure.message,
+        });
+      }
+
+      const response = byIndex.get(item.index);
+      return response
+        ? this.checkToolResult(item.entry, { ...response, id: item.id })
+        : createErrorResponse(item.id, ERROR_CODES.DOWNSTREAM_ERROR, 'No response from downstream server', { target });
+    });
+  }
+
+  // Returns a { status, headers, body } rejection if the target must not be called right now
+  getTargetRejection(target) {
+    if (!this.isServerHealthy(target)) {
+      return {
+        status: 503,
+        body: {
           error: 'Target server unavailable',
-          target: targetInfo.target,
+          target: target,
           message: 'The target MCP server is currently unavailable',
-        });
+        },
+      };
+    }
+
+    // Fail fast while the target's circuit breaker is open
+    const breaker = this.getCircuitBreaker(target);
+    if (breaker && !breaker.allowRequest()) {
+      const retryAfterMs = breaker.getRetryAfter();
+      return {
+        status: 503,
+        headers: { 'Retry-After': Math.ceil(retryAfterMs / 1000).toString() },
+        body: {
+          error: 'Circuit breaker open',
+          target: target,
+          message: 'The target MCP server is failing and requests are temporarily blocked',
+          circuit_state: breaker.state,
+          retry_after_ms: retryAfterMs,
+        },
+      };
+    }
+
+    return null;
+  }
+
+  async forwardWithCircuitBreaker(targetInfo, req) {
+    const { target } = targetInfo;
+    const breaker = this.getCircuitBreaker(target);
+    this.inFlightRequests.set(target, (this.inFlightRequests.get(target) || 0) + 1);
+
+    let released = false;
+    const release = () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      this.inFlightRequests.set(target, this.inFlightRequests.get(target) - 1);
+      if (this.drainingServers.has(target) && this.inFlightRequests.get(target) === 0) {
+        this.finishDrain(target);
       }
+    };
 
-      // Forward the request
-      const response = await this.forwardRequest(targetInfo, req);
-      
-      // Return the response
-      res.status(response.status).json(response.data);
-      
+    let response;
+    try {
+      response = await this.forwardToReplica(targetInfo, req);
     } catch (error) {
-      console.error('Proxy request error:', error.message);
-      
-      if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-        res.status(503).json({
-          error: 'Downstream server unavailable',
-          message: 'Unable to connect to the target MCP server',
-          details: error.message,
-        });
-      } else if (error.response) {
-        // Forward error response from downstream server
-        res.status(error.response.status).json(error.response.data);
+      release();
+      // A client that disconnected, a request missing from the cassette or an injected fault
+      // says nothing about the downstream server
+      if (error.code === 'ERR_CANCELED' || error.code === CASSETTE_MISS || error.injected) {
+        this.releaseCircuitProbe(breaker);
       } else {
-        res.status(500).json({
-          error: 'Internal proxy error',
-          message: error.message,
-        });
+        this.recordCircuitResult(breaker, error.response ? error.response.status : null, error);
+      }
+      throw error;
+    }
+
+    // Streamed responses stay in flight until the stream closes
+    if (response.stream) {
+      response.data.once('close', release);
+    } else {
+      release();
+    }
+
+    // Neither injected faults nor cache hits come from the downstream server
+    if (response.injected || response.cacheStatus === 'HIT') {
+      this.releaseCircuitProbe(breaker);
+    } else {
+      this.recordCircuitResult(breaker, response.status);
+    }
+    return response;
+  }
+
+  /**
+   * Forwards a request to one replica of the target, chosen by the load
+   * balancer. A replica that cannot be reached is marked unhealthy and the
+   * request fails over to the next one; the last error is thrown once every
+   * replica has been tried.
+   */
+  async forwardToReplica(targetInfo, req) {
+    const { target, server } = targetInfo;
+    const endpoints = getServerEndpoints(server);
+    const tried = new Set();
+    let lastError = null;
+
+    for (let replica = this.loadBalancer.select(target, endpoints, server.loadBalancing);
+      replica;
+      replica = this.loadBalancer.select(target, endpoints, server.loadBalancing, tried)) {
+      tried.add(replica.url);
+      this.loadBalancer.acquire(replica);
+
+      let response;
+      try {
+        response = await this.forwardRequest({ ...targetInfo, url: replica.url }, req);
+      } catch (error) {
+        this.loadBalancer.release(replica);
+        if (error.injected || !FAILOVER_ERROR_CODES.includes(error.code)) {
+          throw error;
+        }
+
+        console.error(`Replica ${replica.url} of ${target} failed: ${error.message}`);
+        this.recordReplicaFailure(target, replica, error);
+        lastError = error;
+        continue;
       }
+
+      if (response.stream) {
+        response.data.once('close', () => this.loadBalancer.release(replica));
+      } else {
+        this.loadBalancer.release(replica);
+      }
+      return response;
     }
+
+    throw lastError;
   }
 
   determineTarget(req, routingContext) {
@@ -221,25 +1782,53 @@ class MCPProxyServer {
 
   async forwardRequest(targetInfo, req) {
     const { server, targetPath } = targetInfo;
+
+    // Serve idempotent tool calls from the response cache when possible
+    const cacheEntry = await this.lookupCachedResponse(targetInfo, req);
+    if (cacheEntry && cacheEntry.response) {
+      return cacheEntry.response;
+    }
     
-    // Construct the full URL for the downstream server
-    const targetUrl = `${server.url}${targetPath}`;
+    // Construct the full URL for the downstream server (or the chosen replica)
+    const targetUrl = `${targetInfo.url || server.url}${targetPath}`;
     
     // Prepare headers (exclude hop-by-hop headers)
     const forwardHeaders = { ...req.headers };
     delete forwardHeaders.host;
     delete forwardHeaders.connection;
     delete forwardHeaders['content-length'];
+
+    // The downstream request continues the trace as a child of the active span
+    const body = req.body && !Array.isArray(req.body) ? req.body : {};
+    const span = this.tracer.startSpan(`forward ${targetInfo.target}`, {
+      kind: SPAN_KINDS.CLIENT,
+      attributes: {
+        'mcp.target': targetInfo.target,
+        'http.request.method': req.method,
+        'url.full': targetUrl,
+        'rpc.method': body.method,
+        'mcp.tool': body.method === 'tools/call' && body.params ? body.params.name : undefined,
+        'rpc.batch_size': Array.isArray(req.body) ? req.body.length : undefined,
+      },
+    });
+    this.tracer.inject(span, forwardHeaders);
     
-    // Prepare request configuration
+    // Prepare request configuration. The body is received as a stream so
+    // SSE and chunked responses can be piped through as they arrive.
     const requestConfig = {
       method: req.method,
       url: targetUrl,
       headers: forwardHeaders,
       timeout: server.timeout || config.server.timeout,
+      responseType: 'stream',
       validateStatus: () => true, // Don't throw on HTTP error status codes
     };
 
+    // Abort the downstream request if the client goes away
+    if (targetInfo.signal) {
+      requestConfig.signal = targetInfo.signal;
+    }
+
     // Add request body for POST/PUT requests
     if (['POST', 'PUT', 'PATCH'].includes(req.method.toUpperCase())) {
       requestConfig.data = req.body;
@@ -250,9 +1839,234 @@ class MCPProxyServer {
       requestConfig.params = req.query;
     }
 
-    console.log(`Forwarding ${req.method} request to: ${targetUrl}`);
-    
-    return await axios(requestConfig);
+    console.log(`${this.cassette && this.cassette.mode === 'replay' ? 'Replaying' : 'Forwarding'} ${req.method} request to: ${targetUrl} [request: ${span.requestId}]`);
+
+    const send = async () => {
+      const downstreamResponse = await axios(requestConfig);
+      if (this.isReadableStream(downstreamResponse.data)) {
+        if (this.isStreamingResponse(downstreamResponse)) {
+          downstreamResponse.stream = true;
+        } else {
+          downstreamResponse.data = await this.readResponseBody(downstreamResponse.data);
+        }
+      }
+      return downstreamResponse;
+    };
+
+    const exchange = () => (this.cassette
+      ? this.cassette.exchange({
+        target: targetInfo.target,
+        method: req.method,
+        path: targetPath,
+        query: req.query,
+        body: requestConfig.data,
+      }, send)
+      : send());
+
+    // Injected faults stand in for the downstream server, whether live or replayed
+    const injectFault = (rule) => {
+      console.log(`Injecting ${rule.type} fault (${rule.id}) into request to ${targetInfo.target} [request: ${span.requestId}]`);
+      span.setAttribute('mcp.fault', rule.type);
+      if (this.metrics) {
+        this.metrics.recordInjectedFault(targetInfo.target, rule.type);
+      }
+    };
+
+    let response;
+    try {
+      response = await this.faultInjector.apply(
+        { target: targetInfo.target, targetPath, body: requestConfig.data, signal: targetInfo.signal },
+        exchange,
+        injectFault,
+      );
+      span.setAttribute('http.response.status_code', response.status);
+      if (response.status >= 500) {
+        span.setError(new Error(`Downstream responded with status ${response.status}`));
+      }
+
+      if (response.stream) {
+        // The span covers the whole stream
+        response.data.once('close', () => span.end());
+        return response;
+      }
+    } catch (error) {
+      span.setError(error);
+      throw error;
+    } finally {
+      if (!response || !response.stream) {
+        span.end();
+      }
+    }
+
+    if (cacheEntry) {
+      await this.storeCachedResponse(cacheEntry, response);
+    }
+    return response;
+  }
+
+  isReadableStream(data) {
+    return Boolean(data) && typeof data.pipe === 'function' && typeof data.on === 'function';
+  }
+
+  // Server-Sent Events and chunked non-JSON responses are piped through instead of buffered
+  isStreamingResponse(response) {
+    const headers = response.headers || {};
+    const contentType = (headers['content-type'] || '').toLowerCase();
+    const transferEncoding = (headers['transfer-encoding'] || '').toLowerCase();
+
+    if (contentType.includes('text/event-stream')) {
+      return true;
+    }
+    return transferEncoding.includes('chunked') && !contentType.includes('json');
+  }
+
+  // Buffers a downstream body and parses it as JSON when possible, like axios does by default
+  async readResponseBody(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+
+    const text = Buffer.concat(chunks).toString('utf8');
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  /**
+   * Pipes a streamed downstream response to the client incrementally.
+   * Event streams get a comment heartbeat while the downstream is idle, and
+   * both sides are cleaned up when either one disconnects.
+   */
+  pipeStreamingResponse(response, res) {
+    const upstream = response.data;
+    const headers = response.headers || {};
+    const isEventStream = (headers['content-type'] || '').toLowerCase().includes('text/event-stream');
+
+    res.status(response.status);
+    Object.entries(headers).forEach(([name, value]) => {
+      // setHeader rather than res.set, which would append a charset to Content-Type
+      if (!HOP_BY_HOP_HEADERS.includes(name.toLowerCase())) {
+        res.setHeader(name, value);
+      }
+    });
+    if (isEventStream) {
+      res.set('Cache-Control', 'no-cache');
+      res.set('X-Accel-Buffering', 'no');
+    }
+    res.flushHeaders();
+
+    // Heartbeats are only written between complete events so they never split one
+    let atEventBoundary = true;
+    let lastWrite = Date.now();
+    const heartbeatInterval = config.streaming.heartbeatInterval;
+    const heartbeat = isEventStream && heartbeatInterval > 0
+      ? setInterval(() => {
+        if (atEventBoundary && Date.now() - lastWrite >= heartbeatInterval) {
+          res.write(': heartbeat\n\n');
+          lastWrite = Date.now();
+        }
+      }, heartbeatInterval)
+      : null;
+
+    const cleanup = () => {
+      if (heartbeat) {
+        clearInterval(heartbeat);
+      }
+    };
+
+    upstream.on('data', (chunk) => {
+      const text = chunk.toString();
+      atEventBoundary = /\r?\n\r?\n$/.test(text);
+      lastWrite = Date.now();
+      if (!res.write(chunk)) {
+        upstream.pause();
+        res.once('drain', () => upstream.resume());
+      }
+    });
+
+    upstream.on('end', () => {
+      cleanup();
+      res.end();
+    });
+
+    upstream.on('error', (error) => {
+      console.error('Downstream stream error:', error.message);
+      cleanup();
+      res.end();
+    });
+
+    res.on('close', () => {
+      cleanup();
+      if (!upstream.destroyed) {
+        upstream.destroy();
+      }
+    });
+  }
+
+  /**
+   * Returns null when the request is not a cacheable tool call, otherwise
+   * { key, ttl, store, response } where `response` is set on a cache hit.
+   * Honours `Cache-Control: no-cache` (skip lookup) and `no-store` (skip storing).
+   */
+  async lookupCachedResponse(targetInfo, req) {
+    if (!this.responseCache) {
+      return null;
+    }
+
+    const toolCall = extractToolCall(targetInfo.targetPath, req.body);
+    if (!toolCall) {
+      return null;
+    }
+
+    const ttl = this.responseCache.getTtl(targetInfo.target, toolCall.name);
+    if (ttl <= 0) {
+      this.responseCache.recordBypass();
+      return null;
+    }
+
+    const cacheControl = (req.headers['cache-control'] || '').toLowerCase();
+    const entry = {
+      key: this.responseCache.buildKey(targetInfo.target, toolCall.name, toolCall.arguments),
+      ttl,
+      store: !cacheControl.includes('no-store'),
+    };
+
+    if (cacheControl.includes('no-cache')) {
+      this.responseCache.recordBypass();
+      return entry;
+    }
+
+    const cached = await this.responseCache.get(entry.key);
+    if (cached) {
+      entry.response = {
+        status: cached.status,
+        data: this.withRequestId(cached.data, req.body),
+        cacheStatus: 'HIT',
+      };
+    }
+    return entry;
+  }
+
+  async storeCachedResponse(cacheEntry, response) {
+    response.cacheStatus = 'MISS';
+
+    // Only successful results are cached, never JSON-RPC errors
+    const isSuccess = response.status >= 200 && response.status < 300;
+    const isRpcError = response.data && typeof response.data === 'object' && response.data.error;
+    if (cacheEntry.store && isSuccess && !isRpcError) {
+      await this.responseCache.set(cacheEntry.key, { status: response.status, data: response.data }, cacheEntry.ttl);
+    }
+  }
+
+  // Cached JSON-RPC responses carry the id of the request that filled the cache
+  withRequestId(data, body) {
+    if (data && typeof data === 'object' && data.jsonrpc && body && body.id !== undefined) {
+      return { ...data, id: body.id };
+    }
+    return data;
   }
 
   async aggregateGetMethods() {
@@ -264,9 +2078,27 @@ class MCPProxyServer {
 
     const promises = getAllDownstreamServers().map(async (server) => {
       try {
-        const response = await axios.get(`${server.url}/tools`, {
+        // Any replica will do; prefer one that is not known to be down
+        const replica = this.loadBalancer.select(server.id, getServerEndpoints(server), server.loadBalancing);
+        const span = this.tracer.startSpan(`list tools ${server.id}`, {
+          kind: SPAN_KINDS.CLIENT,
+          attributes: { 'mcp.target': server.id, 'url.full': `${replica.url}/tools` },
+        });
+        const send = () => axios.get(`${replica.url}/tools`, {
           timeout: server.timeout || 10000,
+          headers: this.tracer.inject(span, {}),
         });
+        let response;
+        try {
+          response = this.cassette
+            ? await this.cassette.exchange({ target: server.id, method: 'GET', path: '/tools' }, send)
+            : await send();
+        } catch (error) {
+          span.setError(error);
+          throw error;
+        } finally {
+          span.end();
+        }
         
         allMethods.downstream_servers[server.id] = {
           status: 'available',
@@ -288,6 +2120,9 @@ class MCPProxyServer {
         
       } catch (error) {
         console.error(`Failed to get methods from ${server.id}:`, error.message);
+        if (this.metrics) {
+          this.metrics.recordAggregationFailure(server.id);
+        }
         allMethods.downstream_servers[server.id] = {
           status: 'unavailable',
           url: server.url,
@@ -298,104 +2133,361 @@ class MCPProxyServer {
     });
 
     await Promise.all(promises);
+    this.toolRegistry.rebuild(allMethods.aggregated_tools);
     return allMethods;
   }
 
   setupHealthChecking() {
-    if (!config.healthCheck.enabled) {
+    // Replayed servers are never contacted (see isServerHealthy)
+    if (!config.healthCheck.enabled || (this.cassette && this.cassette.mode === 'replay')) {
       return;
     }
 
-    // Initial health check
-    this.checkDownstreamHealth();
+    // Initial health check, then periodic ones; stop() aborts the last one and waits for it
+    this.healthCheckAbort = new AbortController();
+    const { signal } = this.healthCheckAbort;
+    const runHealthChecks = () => {
+      this.pendingHealthCheck = this.checkDownstreamHealth(signal);
+    };
+    runHealthChecks();
+    this.healthCheckTimer = setInterval(runHealthChecks, config.healthCheck.interval);
+  }
 
-    // Periodic health checks
-    setInterval(() => {
-      this.checkDownstreamHealth();
-    }, config.healthCheck.interval);
+  stopHealthChecking() {
+    clearInterval(this.healthCheckTimer);
+    this.healthCheckTimer = null;
+    if (this.healthCheckAbort) {
+      this.healthCheckAbort.abort();
+      this.healthCheckAbort = null;
+    }
   }
 
-  async checkDownstreamHealth() {
+  async checkDownstreamHealth(signal = null) {
     const servers = getAllDownstreamServers();
-    
-    const healthPromises = servers.map(async (server) => {
-      try {
-        const healthUrl = `${server.url}${server.healthEndpoint}`;
-        const response = await axios.get(healthUrl, {
-          timeout: 5000,
-        });
-        
-        this.downstreamHealthStatus.set(server.id, {
-          status: 'healthy',
-          last_check: new Date().toISOString(),
-          response_time: response.headers['x-response-time'] || 'unknown',
-        });
-        
-      } catch (error) {
-        this.downstreamHealthStatus.set(server.id, {
-          status: 'unhealthy',
-          last_check: new Date().toISOString(),
-          error: error.message,
-        });
-      }
+    await Promise.all(servers.map(server => this.checkServerHealth(server, signal)));
+  }
+
+  // Checks every replica of a server; the server is healthy while any replica is
+  // An aborted check (the proxy is stopping) changes no health state
+  async checkServerHealth(server, signal = null) {
+    const replicas = this.loadBalancer.getReplicas(server.id, getServerEndpoints(server));
+    await Promise.all(replicas.map(replica => this.checkReplicaHealth(server, replica, signal)));
+    if (signal && signal.aborted) {
+      return;
+    }
+
+    const healthy = replicas.filter(replica => replica.status === 'healthy');
+    const latencies = healthy.map(replica => replica.latencyMs).filter(latency => latency !== null);
+    if (healthy.length > 0) {
+      this.downstreamHealthStatus.set(server.id, {
+        status: 'healthy',
+        last_check: new Date().toISOString(),
+        latency_ms: latencies.length > 0 ? Math.min(...latencies) : null,
+        healthy_replicas: healthy.length,
+      });
+    } else {
+      this.downstreamHealthStatus.set(server.id, {
+        status: 'unhealthy',
+        last_check: new Date().toISOString(),
+        error: replicas[0].error,
+        healthy_replicas: 0,
+      });
+    }
+  }
+
+  async checkReplicaHealth(server, replica, signal = null) {
+    const result = await this.healthMonitor.probe(server, replica.url, signal);
+    if (signal && signal.aborted) {
+      return;
+    }
+    const status = this.healthMonitor.evaluate(replica, result);
+    if (status !== replica.status) {
+      console.log(`Replica ${replica.url} of ${server.id} is now ${status}${result.error ? `: ${result.error}` : ''}`);
+    }
+
+    this.loadBalancer.markHealth(replica, status, { latencyMs: result.latencyMs, error: result.error });
+    this.healthMonitor.record(server.id, {
+      timestamp: new Date().toISOString(),
+      replica: replica.url,
+      probe: result.probe,
+      ok: result.ok,
+      attempts: result.attempts,
+      latency_ms: result.latencyMs,
+      status,
+      ...(result.error ? { error: result.error } : {}),
+    });
+  }
+
+  // A request that could not reach a replica counts as a failed check, so the failure threshold applies
+  recordReplicaFailure(target, replica, error) {
+    const status = this.healthMonitor.evaluate(replica, { ok: false });
+    if (status !== replica.status) {
+      console.log(`Replica ${replica.url} of ${target} is now ${status}: ${error.message}`);
+    }
+    this.loadBalancer.markHealth(replica, status, { latencyMs: replica.latencyMs, error: error.message });
+  }
+
+  // Target health with the live state of each replica
+  getDownstreamHealth() {
+    const health = {};
+    this.downstreamHealthStatus.forEach((status, target) => {
+      health[target] = { ...status, replicas: this.loadBalancer.getStatus(target) };
     });
+    return health;
+  }
+
+  setupConfigWatching() {
+    const { path: configPath, watch, watchInterval } = config.configFile;
+    if (!configPath || !watch) {
+      return;
+    }
+
+    this.configWatchListener = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reloadConfig();
+      }
+    };
+    fs.watchFile(configPath, { interval: watchInterval }, this.configWatchListener);
+    console.log(`Watching ${configPath} for configuration changes`);
+  }
+
+  stopConfigWatching() {
+    if (this.configWatchListener) {
+      fs.unwatchFile(config.configFile.path, this.configWatchListener);
+      this.configWatchListener = null;
+    }
+  }
+
+  /**
+   * Re-applies the external config file. An invalid file is rejected and the
+   * last good configuration stays active. New and changed servers are
+   * health-checked immediately; removed servers are drained.
+   */
+  async reloadConfig() {
+    let changes;
+    try {
+      changes = loadConfigFile(config.configFile.path);
+    } catch (error) {
+      console.error(`Rejected configuration from ${config.configFile.path}:`, error.message);
+      return { applied: false, error: error.message };
+    }
+
+    console.log(`Configuration reloaded (added: ${changes.added.length}, removed: ${changes.removed.length}, updated: ${changes.updated.length})`);
+
+    this.configureAuth();
+    this.rateLimiter.configure(config.rateLimits);
+    changes.removed.forEach(serverId => this.drainServer(serverId));
+    changes.updated.forEach(serverId => this.circuitBreakers.delete(serverId));
+    this.invalidateTools();
+
+    const changedServers = [...changes.added, ...changes.updated]
+      .map(serverId => ({ id: serverId, ...getDownstreamServer(serverId) }));
+    await Promise.all(changedServers.map(server => this.checkServerHealth(server)));
+
+    return { applied: true, ...changes };
+  }
+
+  /**
+   * Stops tracking a server that is no longer configured. New requests are
+   * already rejected as unknown targets; state is cleaned up once in-flight
+   * requests finish or the drain timeout elapses.
+   */
+  drainServer(serverId) {
+    if ((this.inFlightRequests.get(serverId) || 0) === 0) {
+      this.finishDrain(serverId);
+      return;
+    }
+
+    console.log(`Draining ${serverId} (${this.inFlightRequests.get(serverId)} in-flight requests)`);
+    const timer = setTimeout(() => this.finishDrain(serverId), config.configFile.drainTimeout);
+    timer.unref();
+    this.drainingServers.set(serverId, timer);
+  }
+
+  finishDrain(serverId) {
+    clearTimeout(this.drainingServers.get(serverId));
+    this.drainingServers.delete(serverId);
+
+    // The server may have been added back while it was draining
+    if (getDownstreamServer(serverId)) {
+      return;
+    }
+
+    this.downstreamHealthStatus.delete(serverId);
+    this.loadBalancer.remove(serverId);
+    this.healthMonitor.remove(serverId);
+    this.circuitBreakers.delete(serverId);
+    this.inFlightRequests.delete(serverId);
+    console.log(`Removed downstream server ${serverId}`);
+  }
+
+  getCircuitBreaker(serverId) {
+    if (!config.circuitBreaker.enabled) {
+      return null;
+    }
+
+    if (!this.circuitBreakers.has(serverId)) {
+      this.circuitBreakers.set(serverId, new CircuitBreaker(serverId, config.circuitBreaker));
+    }
+    return this.circuitBreakers.get(serverId);
+  }
+
+  // Connection errors, timeouts and 5xx responses count as failures
+  recordCircuitResult(breaker, status, error = null) {
+    if (!breaker) {
+      return;
+    }
+
+    if (status && status < 500) {
+      breaker.recordSuccess();
+    } else {
+      breaker.recordFailure(error || new Error(`Downstream responded with status ${status}`));
+    }
+  }
+
+  releaseCircuitProbe(breaker) {
+    if (breaker) {
+      breaker.releaseProbe();
+    }
+  }
 
-    await Promise.all(healthPromises);
+  getCircuitBreakerStatus() {
+    const status = {};
+    this.circuitBreakers.forEach((breaker, serverId) => {
+      status[serverId] = breaker.getStatus();
+    });
+    return status;
   }
 
   isServerHealthy(serverId) {
+    if (this.cassette && this.cassette.mode === 'replay') {
+      return true;
+    }
     const health = this.downstreamHealthStatus.get(serverId);
     return health && health.status === 'healthy';
   }
 
+  /**
+   * Validates the configuration and starts listening. Resolves with the HTTP
+   * server once it accepts connections; rejects if the configuration is
+   * invalid or the port cannot be bound.
+   */
   async start() {
-    try {
-      // Validate configuration
-      validateConfig();
-      console.log('Configuration validated successfully');
-
-      // Start the server
-      const server = this.app.listen(config.server.port, config.server.host, () => {
-        console.log(`🚀 MCP Proxy Server started on http://${config.server.host}:${config.server.port}`);
-        console.log(`📊 Routing strategy: ${config.routing.strategy}`);
-        console.log(`🎯 Downstream servers: ${Object.keys(config.downstreamServers).join(', ')}`);
-        console.log(`🔍 Available endpoints:`);
-        console.log(`   • Health: http://${config.server.host}:${config.server.port}/health`);
-        console.log(`   • Info: http://${config.server.host}:${config.server.port}/info`);
-        console.log(`   • Methods: http://${config.server.host}:${config.server.port}/mcp/get_methods`);
-        console.log(`   • Proxy: http://${config.server.host}:${config.server.port}/proxy/{target}/*`);
-      });
+    validateConfig();
+    console.log('Configuration validated successfully');
 
-      // Graceful shutdown
-      process.on('SIGTERM', () => {
-        console.log('Received SIGTERM, shutting down gracefully');
-        server.close(() => {
-          console.log('Server closed');
-          process.exit(0);
-        });
-      });
+    this.server = await new Promise((resolve, reject) => {
+      const server = this.app.listen(config.server.port, config.server.host);
+      server.once('listening', () => resolve(server));
+      server.once('error', reject);
+    });
 
-      process.on('SIGINT', () => {
-        console.log('Received SIGINT, shutting down gracefully');
-        server.close(() => {
-          console.log('Server closed');
-          process.exit(0);
-        });
-      });
+    console.log(`🚀 MCP Proxy Server started on http://${config.server.host}:${config.server.port}`);
+    console.log(`📊 Routing strategy: ${config.routing.strategy}`);
+    console.log(`🎯 Downstream servers: ${Object.keys(config.downstreamServers).join(', ')}`);
+    console.log(`🔍 Available endpoints:`);
+    console.log(`   • Health: http://${config.server.host}:${config.server.port}/health`);
+    console.log(`   • Info: http://${config.server.host}:${config.server.port}/info`);
+    console.log(`   • Methods: http://${config.server.host}:${config.server.port}/mcp/get_methods`);
+    console.log(`   • MCP (Streamable HTTP): http://${config.server.host}:${config.server.port}/mcp`);
+    console.log(`   • Proxy: http://${config.server.host}:${config.server.port}/proxy/{target}/*`);
 
-      return server;
-      
-    } catch (error) {
-      console.error('Failed to start MCP Proxy Server:', error.message);
-      process.exit(1);
+    this.setupHealthChecking();
+    this.setupConfigWatching();
+    return this.server;
+  }
+
+  /**
+   * Drains and stops the proxy. New requests are refused with 503 and /health
+   * reports `draining`; in-flight requests get until `timeout` ms to finish
+   * before the listener and every connection are closed. Timers and watchers are cleared and
+   * buffered audit entries, recordings and spans are written out, so nothing
+   * keeps the process alive afterwards. Calling stop() again returns the
+   * same promise.
+   */
+  stop({ timeout = config.server.shutdownTimeout } = {}) {
+    if (!this.stopping) {
+      this.stopping = this.drainAndClose(timeout);
+    }
+    return this.stopping;
+  }
+
+  async drainAndClose(timeout) {
+    this.draining = true;
+    console.log(`Draining ${this.activeRequests.size} in-flight request(s), waiting up to ${timeout}ms`);
+
+    this.stopHealthChecking();
+    this.stopConfigWatching();
+    this.drainingServers.forEach(timer => clearTimeout(timer));
+    this.mcpSessions.closeStreams();
+
+    // Responses not started yet tell keep-alive clients to reconnect elsewhere
+    this.activeRequests.forEach((res) => {
+      if (!res.headersSent) {
+        res.setHeader('Connection', 'close');
+      }
+    });
+
+    // The listener stays open meanwhile, so /health can report the drain
+    const drained = await this.waitForActiveRequests(timeout);
+    if (!drained) {
+      console.error(`Shutdown deadline reached with ${this.activeRequests.size} request(s) in flight; closing their connections`);
+    }
+
+    // Whatever is left is idle keep-alive connections or requests past the deadline
+    if (this.server) {
+      const closed = new Promise(resolve => this.server.close(resolve));
+      this.server.closeAllConnections();
+      await closed;
+    }
+    await this.pendingHealthCheck;
+
+    if (this.cassette) {
+      await this.cassette.flush();
+    }
+    if (this.auditLog) {
+      await this.auditLog.flush();
+    }
+    await this.tracer.shutdown();
+    console.log('MCP Proxy Server stopped');
+  }
+
+  // Resolves true once no client request is in flight, or false at the deadline
+  waitForActiveRequests(timeout) {
+    if (this.activeRequests.size === 0) {
+      return Promise.resolve(true);
     }
+
+    return new Promise((resolve) => {
+      const finish = (drained) => {
+        clearTimeout(timer);
+        this.onRequestsDrained = null;
+        resolve(drained);
+      };
+      const timer = setTimeout(() => finish(false), timeout);
+      this.onRequestsDrained = () => finish(true);
+    });
   }
 }
 
 // Start the server if this file is run directly
 if (require.main === module) {
   const proxyServer = new MCPProxyServer();
-  proxyServer.start();
+
+  const shutdown = (signal) => {
+    console.log(`Received ${signal}, shutting down gracefully`);
+    proxyServer.stop().then(() => process.exit(0), (error) => {
+      console.error('Error during shutdown:', error.message);
+      process.exit(1);
+    });
+  };
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+
+  proxyServer.start().catch((error) => {
+    console.error('Failed to start MCP Proxy Server:', error.message);
+    process.exit(1);
+  });
 }
 
 module.exports = MCPProxyServer; 
\ No newline at end of file
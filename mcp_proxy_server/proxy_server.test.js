@@ -32,16 +32,9 @@ describe('MCP Proxy Server', () => {
   });
 
   afterAll(async () => {
-    if (server) {
-      await new Promise((resolve) => {
-        server.close(() => {
-          resolve();
-        });
-      });
+    if (proxyServer) {
+      await proxyServer.stop();
     }
-    
-    // Give time for cleanup
-    await new Promise(resolve => setTimeout(resolve, 100));
   });
 
   beforeEach(() => {
@@ -482,8 +475,8 @@ describe('MCP Proxy Server Integration Tests', () => {
   });
 
   afterAll(async () => {
-    if (server) {
-      server.close();
+    if (proxyServer) {
+      await proxyServer.stop();
     }
   });
 
@@ -0,0 +1,266 @@
+/**
+ * Rate Limiter
+ *
+ * Token-bucket rate limits and daily quotas for proxied requests, applied per
+ * client identity, per downstream target and per tool name.
+ *
+ * Limits are configured per scope as { capacity, refillPerSecond, dailyQuota }
+ * keyed by client id, target id or tool name (bare or namespaced). The key '*'
+ * sets a default that every client, target or tool gets its own bucket for.
+ */
+
+const SCOPES = ['clients', 'targets', 'tools'];
+
+class TokenBucket {
+  constructor(capacity) {
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill(limits) {
+    const now = Date.now();
+    const elapsedSeconds = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(limits.capacity, this.tokens + elapsedSeconds * limits.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  // Milliseconds until `count` tokens are available (0 if they are available now)
+  getWaitTime(limits, count = 1) {
+    this.refill(limits);
+    if (this.tokens >= count) {
+      return 0;
+    }
+    if (!limits.refillPerSecond || count > limits.capacity) {
+      return Infinity;
+    }
+    return Math.ceil(((count - this.tokens) / limits.refillPerSecond) * 1000);
+  }
+
+  take(count = 1) {
+    this.tokens -= count;
+  }
+
+  give(limits, count = 1) {
+    this.refill(limits);
+    this.tokens = Math.min(limits.capacity, this.tokens + count);
+  }
+}
+
+class DailyQuota {
+  constructor() {
+    this.day = DailyQuota.currentDay();
+    this.used = 0;
+  }
+
+  static currentDay() {
+    return new Date(Date.now()).toISOString().substring(0, 10);
+  }
+
+  // Milliseconds until the quota resets at the next UTC midnight
+  static msUntilReset() {
+    const tomorrow = new Date(Date.now());
+    tomorrow.setUTCHours(24, 0, 0, 0);
+    return tomorrow.getTime() - Date.now();
+  }
+
+  roll() {
+    const today = DailyQuota.currentDay();
+    if (today !== this.day) {
+      this.day = today;
+      this.used = 0;
+    }
+  }
+
+  // Whether `count` more requests would go over the limit
+  isExhausted(limit, count = 1) {
+    this.roll();
+    return this.used + count > limit;
+  }
+
+  consume(count = 1) {
+    this.used += count;
+  }
+
+  // Usage from an earlier day is already gone
+  release(count = 1) {
+    this.roll();
+    this.used = Math.max(0, this.used - count);
+  }
+}
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.options = options;
+    this.buckets = new Map(); // "scope:key" -> TokenBucket
+    this.quotas = new Map(); // "scope:key" -> DailyQuota
+  }
+
+  // Limits are read on every check, so configuration reloads apply immediately
+  configure(options) {
+    this.options = options;
+  }
+
+  getLimits(scope, keys) {
+    const scopeLimits = this.options[scope] || {};
+    for (const key of keys) {
+      if (scopeLimits[key]) {
+        return scopeLimits[key];
+      }
+    }
+    return scopeLimits['*'] || null;
+  }
+
+  /**
+   * Checks every limit that applies to a request, or to all the calls of a
+   * batch together, and consumes from all of them only if none would be
+   * exhausted. Returns null when the request may proceed, otherwise
+   * { scope, key, reason, retryAfterMs }.
+   */
+  check(requests) {
+    if (!this.options.enabled) {
+      return null;
+    }
+
+    const costs = this.getCosts(requests);
+    let rejection = null;
+    costs.forEach((entry, id) => {
+      if (entry.limits.dailyQuota) {
+        const quota = this.getOrCreate(this.quotas, id, () => new DailyQuota());
+        if (quota.isExhausted(entry.limits.dailyQuota, entry.count)) {
+          rejection = this.pickLongest(rejection, {
+            scope: entry.scope,
+            key: entry.key,
+            reason: 'Daily quota exceeded',
+            retryAfterMs: DailyQuota.msUntilReset(),
+          });
+        }
+      }
+
+      if (entry.limits.capacity) {
+        const bucket = this.getOrCreate(this.buckets, id, () => new TokenBucket(entry.limits.capacity));
+        const waitTime = bucket.getWaitTime(entry.limits, entry.count);
+        if (waitTime > 0) {
+          rejection = this.pickLongest(rejection, {
+            scope: entry.scope,
+            key: entry.key,
+            reason: 'Rate limit exceeded',
+            retryAfterMs: waitTime,
+          });
+        }
+      }
+    });
+
+    if (rejection) {
+      return rejection;
+    }
+
+    costs.forEach((entry, id) => {
+      if (this.buckets.has(id)) {
+        this.buckets.get(id).take(entry.count);
+      }
+      if (this.quotas.has(id)) {
+        this.quotas.get(id).consume(entry.count);
+      }
+    });
+
+    return null;
+  }
+
+  // Gives back what check() took for requests that were not sent after all
+  refund(requests) {
+    if (!this.options.enabled) {
+      return;
+    }
+
+    this.getCosts(requests).forEach((entry, id) => {
+      if (this.buckets.has(id) && entry.limits.capacity) {
+        this.buckets.get(id).give(entry.limits, entry.count);
+      }
+      if (this.quotas.has(id) && entry.limits.dailyQuota) {
+        this.quotas.get(id).release(entry.count);
+      }
+    });
+  }
+
+  // Each call costs one unit in every scope with a limit that it falls under
+  getCosts(requests) {
+    const costs = new Map(); // "scope:key" -> { scope, key, limits, count }
+    [].concat(requests).forEach(({ clientId, target, toolName }) => {
+      const applicable = [
+        { scope: 'clients', key: clientId, keys: [clientId] },
+        { scope: 'targets', key: target, keys: [target] },
+      ];
+      if (toolName) {
+        const namespaced = `${target}.${toolName}`;
+        applicable.push({ scope: 'tools', key: namespaced, keys: [namespaced, toolName] });
+      }
+
+      applicable.forEach((entry) => {
+        const id = `${entry.scope}:${entry.key}`;
+        if (costs.has(id)) {
+          costs.get(id).count++;
+          return;
+        }
+        const limits = this.getLimits(entry.scope, entry.keys);
+        if (limits) {
+          costs.set(id, { scope: entry.scope, key: entry.key, limits, count: 1 });
+        }
+      });
+    });
+    return costs;
+  }
+
+  getOrCreate(map, id, create) {
+    if (!map.has(id)) {
+      map.set(id, create());
+    }
+    return map.get(id);
+  }
+
+  pickLongest(current, candidate) {
+    return !current || candidate.retryAfterMs > current.retryAfterMs ? candidate : current;
+  }
+
+  // Current bucket levels and quota usage, grouped by scope
+  getStatus() {
+    const status = { enabled: Boolean(this.options.enabled) };
+    SCOPES.forEach((scope) => {
+      status[scope] = {};
+    });
+
+    const ids = new Set([...this.buckets.keys(), ...this.quotas.keys()]);
+    ids.forEach((id) => {
+      const separator = id.indexOf(':');
+      const scope = id.substring(0, separator);
+      const key = id.substring(separator + 1);
+      const keys = scope === 'tools' ? [key, key.substring(key.indexOf('.') + 1)] : [key];
+      const limits = this.getLimits(scope, keys) || {};
+      const entry = {};
+
+      const bucket = this.buckets.get(id);
+      if (bucket && limits.capacity) {
+        bucket.refill(limits);
+        entry.tokens = Math.floor(bucket.tokens * 100) / 100;
+        entry.capacity = limits.capacity;
+        entry.refill_per_second = limits.refillPerSecond;
+      }
+
+      const quota = this.quotas.get(id);
+      if (quota && limits.dailyQuota) {
+        quota.roll();
+        entry.quota_used = quota.used;
+        entry.daily_quota = limits.dailyQuota;
+      }
+
+      status[scope][key] = entry;
+    });
+
+    return status;
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  TokenBucket,
+  DailyQuota,
+};
@@ -0,0 +1,191 @@
+/**
+ * Test Suite for rate limiting and daily quotas
+ */
+
+const { RateLimiter } = require('./rate_limiter');
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+
+describe('RateLimiter', () => {
+  let now;
+
+  beforeEach(() => {
+    now = Date.parse('2026-10-19T12:00:00.000Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should allow bursts up to capacity and refill over time', () => {
+    const limiter = new RateLimiter({
+      enabled: true,
+      targets: { github: { capacity: 2, refillPerSecond: 0.5 } },
+    });
+    const request = { clientId: 'dev-agent', target: 'github' };
+
+    expect(limiter.check(request)).toBeNull();
+    expect(limiter.check(request)).toBeNull();
+    expect(limiter.check(request)).toMatchObject({
+      scope: 'targets',
+      key: 'github',
+      reason: 'Rate limit exceeded',
+      retryAfterMs: 2000,
+    });
+
+    now += 2000;
+    expect(limiter.check(request)).toBeNull();
+  });
+
+  test('should give each client its own bucket from the default limit', () => {
+    const limiter = new RateLimiter({
+      enabled: true,
+      clients: { '*': { capacity: 1, refillPerSecond: 1 } },
+    });
+
+    expect(limiter.check({ clientId: 'a', target: 'github' })).toBeNull();
+    expect(limiter.check({ clientId: 'b', target: 'github' })).toBeNull();
+    expect(limiter.check({ clientId: 'a', target: 'github' })).toMatchObject({ scope: 'clients', key: 'a' });
+  });
+
+  test('should not consume from other buckets when one limit rejects', () => {
+    const limiter = new RateLimiter({
+      enabled: true,
+      clients: { 'dev-agent': { capacity: 5, refillPerSecond: 1 } },
+      tools: { search_repositories: { capacity: 1, refillPerSecond: 0.1 } },
+    });
+    const request = { clientId: 'dev-agent', target: 'github', toolName: 'search_repositories' };
+
+    limiter.check(request);
+    expect(limiter.check(request)).toMatchObject({ scope: 'tools', key: 'github.search_repositories' });
+    expect(limiter.getStatus().clients['dev-agent'].tokens).toBe(4);
+  });
+
+  test('should take nothing from a batch unless every call in it passes', () => {
+    const limiter = new RateLimiter({
+      enabled: true,
+      targets: { github: { capacity: 3, refillPerSecond: 0.1 } },
+      tools: { create_issue: { capacity: 1, refillPerSecond: 0.1, dailyQuota: 5 } },
+    });
+    const call = toolName => ({ clientId: 'dev-agent', target: 'github', toolName });
+
+    expect(limiter.check([call('search_repositories'), call('create_issue'), call('create_issue')]))
+      .toMatchObject({ scope: 'tools', key: 'github.create_issue', reason: 'Rate limit exceeded' });
+    expect(limiter.getStatus().targets.github.tokens).toBe(3);
+
+    expect(limiter.check([call('search_repositories'), call('create_issue')])).toBeNull();
+    expect(limiter.getStatus().targets.github.tokens).toBe(1);
+    expect(limiter.getStatus().tools['github.create_issue']).toMatchObject({ tokens: 0, quota_used: 1 });
+  });
+
+  test('should give back what a refunded request took', () => {
+    const limiter = new RateLimiter({
+      enabled: true,
+      targets: { github: { capacity: 2, refillPerSecond: 0.1, dailyQuota: 10 } },
+    });
+    const request = { clientId: 'dev-agent', target: 'github', toolName: 'get_issue' };
+
+    limiter.check(request);
+    limiter.check(request);
+    limiter.refund(request);
+
+    expect(limiter.getStatus().targets.github).toMatchObject({ tokens: 1, quota_used: 1 });
+    expect(limiter.check(request)).toBeNull();
+  });
+
+  test('should enforce daily quotas until the next UTC day', () => {
+    const limiter = new RateLimiter({
+      enabled: true,
+      targets: { github: { dailyQuota: 2 } },
+    });
+    const request = { clientId: 'dev-agent', target: 'github' };
+
+    limiter.check(request);
+    limiter.check(request);
+    expect(limiter.check(request)).toMatchObject({
+      reason: 'Daily quota exceeded',
+      retryAfterMs: 12 * 60 * 60 * 1000,
+    });
+    expect(limiter.getStatus().targets.github).toEqual({ quota_used: 2, daily_quota: 2 });
+
+    now += 12 * 60 * 60 * 1000;
+    expect(limiter.check(request)).toBeNull();
+  });
+
+  test('should allow everything when disabled', () => {
+    const limiter = new RateLimiter({ enabled: false, targets: { github: { capacity: 1, refillPerSecond: 1 } } });
+
+    expect(limiter.check({ clientId: 'a', target: 'github' })).toBeNull();
+    expect(limiter.check({ clientId: 'a', target: 'github' })).toBeNull();
+  });
+});
+
+describe('MCP Proxy Server rate limiting', () => {
+  let proxyServer;
+  let server;
+  const testPort = 8991;
+  const baseUrl = `http://localhost:${testPort}`;
+
+  beforeAll(async () => {
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+    config.rateLimits = {
+      enabled: true,
+      clients: {},
+      targets: { github: { capacity: 1, refillPerSecond: 0.1 } },
+      tools: {},
+    };
+
+    proxyServer = new MCPProxyServer();
+    server = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    await proxyServer.stop();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    proxyServer.downstreamHealthStatus.set('github', { status: 'healthy' });
+    jest.spyOn(proxyServer, 'forwardRequest').mockResolvedValue({ status: 200, data: { ok: true } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return 429 with Retry-After once the target bucket is empty', async () => {
+    const first = await fetch(`${baseUrl}/proxy/github/tools`);
+    const second = await fetch(`${baseUrl}/proxy/github/tools`);
+    const body = await second.json();
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(429);
+    expect(Number(second.headers.get('retry-after'))).toBeGreaterThanOrEqual(9);
+    expect(body).toMatchObject({ error: 'Rate limit exceeded', target: 'github' });
+    expect(proxyServer.forwardRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not count requests rejected because the target is unavailable', async () => {
+    proxyServer.rateLimiter.buckets.clear();
+    proxyServer.downstreamHealthStatus.set('github', { status: 'unhealthy' });
+    const unavailable = await fetch(`${baseUrl}/proxy/github/tools`);
+
+    proxyServer.downstreamHealthStatus.set('github', { status: 'healthy' });
+    const allowed = await fetch(`${baseUrl}/proxy/github/tools`);
+
+    expect(unavailable.status).toBe(503);
+    expect(allowed.status).toBe(200);
+  });
+
+  test('should report bucket levels in /health', async () => {
+    const health = await (await fetch(`${baseUrl}/health`)).json();
+
+    expect(health.rate_limits.enabled).toBe(true);
+    expect(health.rate_limits.targets.github).toMatchObject({ capacity: 1, refill_per_second: 0.1 });
+  });
+});
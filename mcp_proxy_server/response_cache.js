@@ -0,0 +1,158 @@
+/**
+ * Response Cache
+ *
+ * Caches downstream responses to idempotent MCP tool calls, keyed on target,
+ * tool name and canonicalized arguments.
+ *
+ * Storage is delegated to a backend with an async get/set/delete/clear/size
+ * interface so the in-memory LRU can later be replaced (e.g. by Redis).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * In-memory LRU backend. Map iteration order is insertion order, so the
+ * first key is always the least recently used one.
+ */
+class LRUCacheBackend {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+// JSON with object keys sorted at every level, so argument order does not matter
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+class ResponseCache {
+  constructor(options = {}, backend = null) {
+    this.options = options;
+    this.backend = backend || new LRUCacheBackend(options);
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      bypassed: 0,
+      stores: 0,
+    };
+  }
+
+  configure(options) {
+    this.options = options;
+  }
+
+  /**
+   * TTL in milliseconds for a tool, looked up by namespaced then bare name.
+   * Returns 0 for tools that must not be cached.
+   */
+  getTtl(target, toolName) {
+    const namespaced = `${target}.${toolName}`;
+    const bypassTools = this.options.bypassTools || [];
+    if (bypassTools.includes(toolName) || bypassTools.includes(namespaced)) {
+      return 0;
+    }
+
+    const toolTtls = this.options.toolTtls || {};
+    if (toolTtls[namespaced] !== undefined) {
+      return toolTtls[namespaced];
+    }
+    if (toolTtls[toolName] !== undefined) {
+      return toolTtls[toolName];
+    }
+    return this.options.defaultTtl || 0;
+  }
+
+  buildKey(target, toolName, args) {
+    const digest = crypto.createHash('sha256').update(canonicalize(args || {})).digest('hex');
+    return `${target}:${toolName}:${digest}`;
+  }
+
+  async get(key) {
+    const value = await this.backend.get(key);
+    if (value === undefined) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    this.stats.hits++;
+    return value;
+  }
+
+  async set(key, value, ttlMs) {
+    await this.backend.set(key, value, ttlMs);
+    this.stats.stores++;
+  }
+
+  recordBypass() {
+    this.stats.bypassed++;
+  }
+
+  async clear() {
+    await this.backend.clear();
+  }
+
+  async getStatus() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: Boolean(this.options.enabled),
+      entries: await this.backend.size(),
+      ...this.stats,
+      evictions: this.backend.evictions || 0,
+      hit_rate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0,
+    };
+  }
+}
+
+module.exports = {
+  ResponseCache,
+  LRUCacheBackend,
+  canonicalize,
+};
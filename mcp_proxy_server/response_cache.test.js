@@ -0,0 +1,156 @@
+/**
+ * Test Suite for the response cache
+ */
+
+const axios = require('axios');
+const { ResponseCache, LRUCacheBackend, canonicalize } = require('./response_cache');
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+
+jest.mock('axios');
+
+describe('LRUCacheBackend', () => {
+  test('should evict the least recently used entry', async () => {
+    const backend = new LRUCacheBackend({ maxEntries: 2 });
+    await backend.set('a', 1, 1000);
+    await backend.set('b', 2, 1000);
+    await backend.get('a');
+    await backend.set('c', 3, 1000);
+
+    expect(await backend.get('a')).toBe(1);
+    expect(await backend.get('b')).toBeUndefined();
+    expect(backend.evictions).toBe(1);
+  });
+
+  test('should expire entries after their TTL', async () => {
+    const backend = new LRUCacheBackend();
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await backend.set('a', 1, 1000);
+
+    Date.now.mockReturnValue(now + 1001);
+    expect(await backend.get('a')).toBeUndefined();
+    jest.restoreAllMocks();
+  });
+});
+
+describe('ResponseCache', () => {
+  const cache = new ResponseCache({
+    defaultTtl: 0,
+    toolTtls: { list_files: 5000, 'github.get_issue': 10000 },
+    bypassTools: ['write_file'],
+  });
+
+  test('should canonicalize argument order', () => {
+    expect(canonicalize({ b: 1, a: { d: [1, 2], c: null } })).toBe('{"a":{"c":null,"d":[1,2]},"b":1}');
+    expect(cache.buildKey('filesystem', 'list_files', { path: '.', depth: 1 }))
+      .toBe(cache.buildKey('filesystem', 'list_files', { depth: 1, path: '.' }));
+  });
+
+  test('should resolve per-tool TTLs and bypass write-style tools', () => {
+    expect(cache.getTtl('filesystem', 'list_files')).toBe(5000);
+    expect(cache.getTtl('github', 'get_issue')).toBe(10000);
+    expect(cache.getTtl('gdrive', 'get_issue')).toBe(0);
+    expect(cache.getTtl('filesystem', 'write_file')).toBe(0);
+  });
+});
+
+describe('MCP Proxy Server response caching', () => {
+  let proxyServer;
+  let server;
+  const testPort = 8990;
+  const baseUrl = `http://localhost:${testPort}`;
+
+  const callTool = async (name, args, id, headers = {}) => {
+    const response = await fetch(`${baseUrl}/proxy/filesystem/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } }),
+    });
+    return { cache: response.headers.get('x-cache'), data: await response.json() };
+  };
+
+  beforeAll(async () => {
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+    config.cache.enabled = true;
+
+    proxyServer = new MCPProxyServer();
+    server = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    await proxyServer.stop();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    proxyServer.downstreamHealthStatus.set('filesystem', { status: 'healthy' });
+    await proxyServer.responseCache.clear();
+    axios.mockReset();
+    axios.mockImplementation(async (request) => ({
+      status: 200,
+      headers: {},
+      data: { jsonrpc: '2.0', id: request.data.id, result: { files: ['a.md'] } },
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should serve repeated idempotent calls from the cache with the caller\'s id', async () => {
+    const first = await callTool('list_files', { path: '.' }, 1);
+    const second = await callTool('list_files', { path: '.' }, 2);
+
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(first.cache).toBe('MISS');
+    expect(second.cache).toBe('HIT');
+    expect(second.data).toEqual({ jsonrpc: '2.0', id: 2, result: { files: ['a.md'] } });
+  });
+
+  test('should not let cache hits close a half-open circuit breaker', async () => {
+    proxyServer.circuitBreakers.clear();
+    await callTool('list_files', { path: '.' }, 1);
+    const breaker = proxyServer.getCircuitBreaker('filesystem');
+    for (let i = 0; i < breaker.failureThreshold; i++) breaker.recordFailure(new Error('fail'));
+    breaker.openedAt = Date.now() - breaker.resetTimeout - 1;
+
+    expect((await callTool('list_files', { path: '.' }, 2)).cache).toBe('HIT');
+    expect(breaker.state).toBe('half_open');
+    expect((await callTool('list_files', { path: '.' }, 3)).cache).toBe('HIT');
+    expect(breaker.getStatus()).toMatchObject({ state: 'half_open', total_successes: 1 });
+
+    await callTool('read_file', { path: 'a.md' }, 4);
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('should never cache write-style tools', async () => {
+    await callTool('write_file', { path: 'a.md', content: 'x' }, 1);
+    await callTool('write_file', { path: 'a.md', content: 'x' }, 2);
+
+    expect(axios).toHaveBeenCalledTimes(2);
+  });
+
+  test('should skip the cache lookup for Cache-Control: no-cache', async () => {
+    await callTool('list_files', { path: '.' }, 1);
+    const fresh = await callTool('list_files', { path: '.' }, 2, { 'Cache-Control': 'no-cache' });
+
+    expect(axios).toHaveBeenCalledTimes(2);
+    expect(fresh.cache).toBe('MISS');
+  });
+
+  test('should not cache JSON-RPC errors and should report stats in /health', async () => {
+    axios.mockResolvedValueOnce({ status: 200, data: { jsonrpc: '2.0', id: 1, error: { code: -32000, message: 'boom' } } });
+    await callTool('list_files', { path: 'missing' }, 1);
+    await callTool('list_files', { path: 'missing' }, 2);
+
+    const health = await (await fetch(`${baseUrl}/health`)).json();
+    expect(axios).toHaveBeenCalledTimes(2);
+    expect(health.cache).toMatchObject({ enabled: true, entries: 1 });
+    expect(health.cache.misses).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Schema Validator
+ *
+ * Validates tool call arguments against the `inputSchema` that downstream
+ * servers publish for their tools (cached by the ToolRegistry), and
+ * optionally tool results against an `outputSchema`.
+ *
+ * Compiled validators are cached by the schema's JSON text, so a rebuilt
+ * tool registry (new schema objects with the same content) reuses them
+ * instead of compiling, and caching, each schema again. Schemas are not
+ * registered with Ajv by `$id`, so a changed schema keeping its `$id` still
+ * compiles.
+ */
+
+const Ajv = require('ajv');
+
+class SchemaValidator {
+  constructor(options = {}) {
+    this.options = options;
+    // Tool schemas come from other servers, so unknown keywords and formats are tolerated
+    this.ajv = new Ajv({ allErrors: true, strict: false, addUsedSchema: false });
+    this.validators = new Map(); // schema JSON -> compiled validator, or null if it does not compile
+    this.schemaKeys = new WeakMap(); // schema -> its JSON, so it is serialized once
+  }
+
+  getValidator(schema) {
+    if (!this.schemaKeys.has(schema)) {
+      this.schemaKeys.set(schema, JSON.stringify(schema));
+    }
+    const key = this.schemaKeys.get(schema);
+
+    if (!this.validators.has(key)) {
+      try {
+        this.validators.set(key, this.ajv.compile(schema));
+      } catch (error) {
+        console.error('Ignoring tool schema that does not compile:', error.message);
+        this.validators.set(key, null);
+      }
+    }
+    return this.validators.get(key);
+  }
+
+  // Returns a list of { path, message, keyword } errors, or null if the value is valid
+  validate(schema, value) {
+    if (!schema || typeof schema !== 'object') {
+      return null;
+    }
+
+    const validator = this.getValidator(schema);
+    if (!validator || validator(value)) {
+      return null;
+    }
+
+    return validator.errors.map(error => ({
+      path: error.instancePath || '/',
+      message: error.message,
+      keyword: error.keyword,
+    }));
+  }
+
+  validateArguments(tool, args) {
+    if (!this.options.enabled) {
+      return null;
+    }
+    return this.validate(tool.inputSchema, args);
+  }
+
+  // MCP carries structured tool output in result.structuredContent
+  validateResult(tool, result) {
+    if (!this.options.validateOutput || !tool.outputSchema || !result || result.isError) {
+      return null;
+    }
+    if (result.structuredContent === undefined) {
+      return [{ path: '/', message: 'result has no structuredContent', keyword: 'outputSchema' }];
+    }
+    return this.validate(tool.outputSchema, result.structuredContent);
+  }
+}
+
+module.exports = SchemaValidator;
@@ -0,0 +1,165 @@
+/**
+ * Test Suite for tool schema validation
+ */
+
+const SchemaValidator = require('./schema_validator');
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+const { ERROR_CODES } = require('./jsonrpc');
+
+// As published by mock_gdrive_server.js
+const readFileTool = {
+  name: 'read_file',
+  inputSchema: {
+    type: 'object',
+    properties: { fileId: { type: 'string', description: 'ID of the file to read' } },
+    required: ['fileId'],
+  },
+};
+
+const statsTool = {
+  name: 'get_stats',
+  inputSchema: { type: 'object', properties: {} },
+  outputSchema: {
+    type: 'object',
+    properties: { files: { type: 'integer' } },
+    required: ['files'],
+  },
+};
+
+describe('SchemaValidator', () => {
+  const validator = new SchemaValidator({ enabled: true, validateOutput: true });
+
+  test('should report every validation error of the arguments', () => {
+    expect(validator.validateArguments(readFileTool, { fileId: 'abc' })).toBeNull();
+    expect(validator.validateArguments(readFileTool, { fileId: 42 })).toEqual([
+      { path: '/fileId', message: 'must be string', keyword: 'type' },
+    ]);
+    expect(validator.validateArguments(readFileTool, {})).toEqual([
+      { path: '/', message: "must have required property 'fileId'", keyword: 'required' },
+    ]);
+  });
+
+  test('should skip tools without a schema or with one that does not compile', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(validator.validateArguments({ name: 'search' }, { anything: true })).toBeNull();
+    expect(validator.validateArguments({ name: 'bad', inputSchema: { type: 'nonsense' } }, {})).toBeNull();
+    console.error.mockRestore();
+  });
+
+  test('should keep validating schemas with an $id after the registry is rebuilt', () => {
+    const rebuiltValidator = new SchemaValidator({ enabled: true });
+    const publish = () => ({ ...readFileTool, inputSchema: { $id: 'urn:gdrive:read_file', ...JSON.parse(JSON.stringify(readFileTool.inputSchema)) } });
+
+    expect(rebuiltValidator.validateArguments(publish(), { fileId: 42 })[0].path).toBe('/fileId');
+    const compiledSchemas = rebuiltValidator.ajv._cache.size;
+    for (let i = 0; i < 20; i++) {
+      expect(rebuiltValidator.validateArguments(publish(), { fileId: 42 })[0].path).toBe('/fileId');
+    }
+    // Ajv's own cache does not grow with every rebuild
+    expect(rebuiltValidator.ajv._cache.size).toBe(compiledSchemas);
+
+    // A server may change a schema and keep its $id
+    const changed = publish();
+    changed.inputSchema.required = [];
+    expect(rebuiltValidator.validateArguments(changed, {})).toBeNull();
+    expect(rebuiltValidator.validateArguments(publish(), {})[0].keyword).toBe('required');
+  });
+
+  test('should validate structured results against outputSchema', () => {
+    expect(validator.validateResult(statsTool, { structuredContent: { files: 3 } })).toBeNull();
+    expect(validator.validateResult(statsTool, { structuredContent: { files: 'three' } })[0].path).toBe('/files');
+    expect(validator.validateResult(statsTool, { content: [] })[0].message).toBe('result has no structuredContent');
+    expect(validator.validateResult(statsTool, { isError: true, content: [] })).toBeNull();
+    expect(new SchemaValidator({ validateOutput: false }).validateResult(statsTool, { content: [] })).toBeNull();
+  });
+});
+
+describe('MCP Proxy Server schema validation', () => {
+  let proxyServer;
+  let server;
+  const testPort = 8983;
+  const baseUrl = `http://localhost:${testPort}`;
+
+  const post = async (path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  const toolCall = (name, args) => ({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } });
+
+  beforeAll(async () => {
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+    config.schemaValidation.enabled = true;
+    config.schemaValidation.validateOutput = true;
+
+    proxyServer = new MCPProxyServer();
+    server = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    config.schemaValidation.validateOutput = false;
+    await proxyServer.stop();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    proxyServer.downstreamHealthStatus.set('gdrive', { status: 'healthy' });
+    proxyServer.toolRegistry.rebuild([
+      { ...readFileTool, server: 'gdrive', name: 'gdrive.read_file' },
+      { ...statsTool, server: 'gdrive', name: 'gdrive.get_stats' },
+    ]);
+    jest.spyOn(proxyServer, 'forwardRequest').mockResolvedValue({
+      status: 200,
+      data: { jsonrpc: '2.0', id: 1, result: { content: [{ type: 'text', text: 'ok' }] } },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should reject invalid arguments on /rpc with -32602 and the errors', async () => {
+    const { data } = await post('/rpc', toolCall('read_file', { fileId: 7 }));
+
+    expect(data.error).toEqual({
+      code: ERROR_CODES.INVALID_PARAMS,
+      message: 'Invalid arguments for tool gdrive.read_file',
+      data: { tool: 'gdrive.read_file', errors: [{ path: '/fileId', message: 'must be string', keyword: 'type' }] },
+    });
+    expect(proxyServer.forwardRequest).not.toHaveBeenCalled();
+  });
+
+  test('should forward valid arguments', async () => {
+    const { data } = await post('/rpc', toolCall('read_file', { fileId: 'doc-1' }));
+
+    expect(data.result).toBeDefined();
+    expect(proxyServer.forwardRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('should validate tool calls sent to an explicit target', async () => {
+    const { status, data } = await post('/proxy/gdrive/mcp', toolCall('read_file', {}));
+
+    expect(status).toBe(400);
+    expect(data.error.data.errors[0].message).toBe("must have required property 'fileId'");
+    expect(proxyServer.forwardRequest).not.toHaveBeenCalled();
+  });
+
+  test('should turn results that do not match outputSchema into errors', async () => {
+    const { data } = await post('/rpc', toolCall('get_stats', {}));
+
+    expect(data.error).toMatchObject({
+      code: ERROR_CODES.DOWNSTREAM_ERROR,
+      message: 'Result of tool gdrive.get_stats does not match its outputSchema',
+    });
+  });
+});
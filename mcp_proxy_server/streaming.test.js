@@ -0,0 +1,125 @@
+/**
+ * Test Suite for streaming passthrough of SSE and chunked responses
+ */
+
+const http = require('http');
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+
+describe('MCP Proxy Server streaming passthrough', () => {
+  let proxyServer;
+  let server;
+  let downstream;
+  let downstreamClosed;
+  let finishEvents;
+  const testPort = 8989;
+  const downstreamPort = 8988;
+  const baseUrl = `http://localhost:${testPort}`;
+
+  beforeAll(async () => {
+    // A real downstream server, since streaming depends on the HTTP transport
+    downstream = http.createServer((req, res) => {
+      if (req.url === '/events') {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('data: {"progress":1}\n\n');
+        // Ended by the test once it has seen a heartbeat, so a slow machine cannot race it
+        finishEvents = () => {
+          res.write('data: {"progress":2}\n\n');
+          res.end();
+        };
+      } else if (req.url === '/chunked') {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.write('first line\n');
+        setTimeout(() => res.end('second line\n'), 50);
+      } else if (req.url === '/idle') {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('data: {"progress":1}\n\n');
+        req.on('close', () => downstreamClosed());
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+      }
+    });
+    await new Promise(resolve => downstream.listen(downstreamPort, 'localhost', resolve));
+
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+    config.streaming.heartbeatInterval = 50;
+    config.downstreamServers.stream = {
+      name: 'Streaming Test Server',
+      url: `http://localhost:${downstreamPort}`,
+      timeout: 5000,
+    };
+
+    proxyServer = new MCPProxyServer();
+    server = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    delete config.downstreamServers.stream;
+    await proxyServer.stop();
+    await new Promise(resolve => downstream.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    proxyServer.downstreamHealthStatus.set('stream', { status: 'healthy' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should deliver SSE events incrementally', async () => {
+    const response = await fetch(`${baseUrl}/proxy/stream/events`);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    const first = decoder.decode((await reader.read()).value);
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+    expect(first).toBe('data: {"progress":1}\n\n');
+
+    let rest = '';
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      rest += decoder.decode(chunk.value);
+      if (finishEvents && rest.includes(': heartbeat\n\n')) {
+        finishEvents();
+        finishEvents = null;
+      }
+    }
+    expect(rest).toContain(': heartbeat\n\n');
+    expect(rest).toContain('data: {"progress":2}\n\n');
+  });
+
+  test('should pass chunked responses through unchanged', async () => {
+    const response = await fetch(`${baseUrl}/proxy/stream/chunked`);
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe('first line\nsecond line\n');
+  });
+
+  test('should still parse buffered JSON responses', async () => {
+    const response = await fetch(`${baseUrl}/proxy/stream/status`);
+
+    expect(await response.json()).toEqual({ ok: true });
+  });
+
+  test('should close the downstream stream and release in-flight tracking when the client disconnects', async () => {
+    const closed = new Promise((resolve) => {
+      downstreamClosed = resolve;
+    });
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/proxy/stream/idle`, { signal: controller.signal });
+    await response.body.getReader().read();
+
+    expect(proxyServer.inFlightRequests.get('stream')).toBe(1);
+    controller.abort();
+    await closed;
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(proxyServer.inFlightRequests.get('stream')).toBe(0);
+  });
+});
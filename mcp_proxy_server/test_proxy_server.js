@@ -29,8 +29,8 @@ describe('MCP Proxy Server', () => {
   });
 
   afterAll(async () => {
-    if (server) {
-      server.close();
+    if (proxyServer) {
+      await proxyServer.stop();
     }
   });
 
@@ -355,8 +355,8 @@ describe('MCP Proxy Server Integration Tests', () => {
   });
 
   afterAll(async () => {
-    if (server) {
-      server.close();
+    if (proxyServer) {
+      await proxyServer.stop();
     }
   });
 
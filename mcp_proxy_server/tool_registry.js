@@ -0,0 +1,128 @@
+/**
+ * Tool Registry
+ *
+ * Caches the tools published by every downstream MCP server and resolves a
+ * tool name (namespaced like `github.get_issue` or bare like `get_issue`) to
+ * the server that owns it.
+ */
+
+const { ERROR_CODES, JsonRpcError } = require('./jsonrpc');
+
+class ToolRegistry {
+  constructor(options = {}) {
+    this.cacheTtl = options.cacheTtl || 300000;
+    this.minRefreshInterval = options.minRefreshInterval || 5000;
+    this.tools = new Map(); // namespaced name -> entry
+    this.toolsByName = new Map(); // bare name -> [entries]
+    this.lastRefresh = 0;
+    this.refreshPromise = null;
+  }
+
+  /**
+   * Rebuilds the registry from the `aggregated_tools` list produced by
+   * MCPProxyServer.aggregateGetMethods().
+   */
+  rebuild(aggregatedTools) {
+    this.tools.clear();
+    this.toolsByName.clear();
+
+    aggregatedTools.forEach((tool) => {
+      const toolName = tool.name.substring(tool.server.length + 1);
+      const entry = {
+        name: tool.name,
+        target: tool.server,
+        toolName,
+        tool: { ...tool, name: toolName },
+      };
+
+      this.tools.set(tool.name, entry);
+      if (!this.toolsByName.has(toolName)) {
+        this.toolsByName.set(toolName, []);
+      }
+      this.toolsByName.get(toolName).push(entry);
+    });
+
+    this.lastRefresh = Date.now();
+  }
+
+  isStale() {
+    return Date.now() - this.lastRefresh > this.cacheTtl;
+  }
+
+  // Unknown names trigger a refresh, but no more often than minRefreshInterval
+  canRefreshOnMiss() {
+    return Date.now() - this.lastRefresh > this.minRefreshInterval;
+  }
+
+  invalidate() {
+    this.lastRefresh = 0;
+  }
+
+  /**
+   * Refreshes the registry through `loader` when the cache has expired.
+   * Concurrent callers share a single refresh.
+   */
+  async ensureFresh(loader, force = false) {
+    if (!force && !this.isStale()) {
+      return;
+    }
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = Promise.resolve()
+        .then(loader)
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    await this.refreshPromise;
+  }
+
+  /**
+   * Resolves a tool name to its owning server.
+   * Throws a JsonRpcError for unknown or ambiguous names.
+   */
+  resolve(name) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new JsonRpcError(ERROR_CODES.INVALID_PARAMS, 'Tool name is required');
+    }
+
+    if (this.tools.has(name)) {
+      return this.tools.get(name);
+    }
+
+    const candidates = this.toolsByName.get(name) || [];
+    if (candidates.length === 1) {
+      return candidates[0];
+    }
+
+    if (candidates.length > 1) {
+      throw new JsonRpcError(ERROR_CODES.INVALID_PARAMS, `Ambiguous tool name: ${name}`, {
+        candidates: candidates.map(entry => entry.name),
+      });
+    }
+
+    throw new JsonRpcError(ERROR_CODES.INVALID_PARAMS, `Unknown tool: ${name}`, {
+      available_tools: Array.from(this.tools.keys()),
+    });
+  }
+
+  // Entry for a namespaced name, or null
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  has(name) {
+    return this.tools.has(name) || this.toolsByName.has(name);
+  }
+
+  listTools() {
+    return Array.from(this.tools.values()).map(entry => ({
+      ...entry.tool,
+      name: entry.name,
+      server: entry.target,
+    }));
+  }
+}
+
+module.exports = ToolRegistry;
@@ -0,0 +1,152 @@
+/**
+ * Test Suite for tool-name based routing
+ */
+
+const ToolRegistry = require('./tool_registry');
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+const { ERROR_CODES } = require('./jsonrpc');
+
+const aggregatedTools = [
+  { server: 'github', name: 'github.get_issue', description: 'Get a GitHub issue' },
+  { server: 'github', name: 'github.search_repositories', description: 'Search repositories' },
+  { server: 'filesystem', name: 'filesystem.read_file', description: 'Read a local file' },
+  { server: 'gdrive', name: 'gdrive.read_file', description: 'Read a Google Drive file' },
+];
+
+describe('ToolRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ToolRegistry({ cacheTtl: 1000 });
+    registry.rebuild(aggregatedTools);
+  });
+
+  test('should resolve namespaced tool names', () => {
+    expect(registry.resolve('github.get_issue')).toMatchObject({
+      target: 'github',
+      toolName: 'get_issue',
+    });
+  });
+
+  test('should resolve unique bare tool names', () => {
+    expect(registry.resolve('search_repositories')).toMatchObject({
+      target: 'github',
+      toolName: 'search_repositories',
+    });
+  });
+
+  test('should reject ambiguous bare tool names', () => {
+    expect(() => registry.resolve('read_file')).toThrow(expect.objectContaining({
+      code: ERROR_CODES.INVALID_PARAMS,
+      message: 'Ambiguous tool name: read_file',
+      data: { candidates: ['filesystem.read_file', 'gdrive.read_file'] },
+    }));
+  });
+
+  test('should reject unknown tool names', () => {
+    expect(() => registry.resolve('delete_everything')).toThrow('Unknown tool: delete_everything');
+  });
+
+  test('should share a single refresh between concurrent callers', async () => {
+    registry.invalidate();
+    const loader = jest.fn(() => registry.rebuild(aggregatedTools));
+
+    await Promise.all([registry.ensureFresh(loader), registry.ensureFresh(loader)]);
+
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(registry.isStale()).toBe(false);
+  });
+});
+
+describe('MCP Proxy Server /rpc endpoint', () => {
+  let proxyServer;
+  let server;
+  const testPort = 8995;
+  const rpcUrl = `http://localhost:${testPort}/rpc`;
+
+  const postRpc = async (body) => {
+    const response = await fetch(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  beforeAll(async () => {
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+
+    proxyServer = new MCPProxyServer();
+    server = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    await proxyServer.stop();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    proxyServer.toolRegistry.rebuild(aggregatedTools);
+    ['github', 'filesystem', 'gdrive'].forEach(id => {
+      proxyServer.downstreamHealthStatus.set(id, { status: 'healthy' });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should forward tools/call to the owning server with the prefix removed', async () => {
+    const forwardSpy = jest.spyOn(proxyServer, 'forwardRequest').mockResolvedValue({
+      status: 200,
+      data: { jsonrpc: '2.0', id: 7, result: { content: [{ type: 'text', text: 'Issue #42' }] } },
+    });
+
+    const { data } = await postRpc({
+      jsonrpc: '2.0',
+      id: 7,
+      method: 'tools/call',
+      params: { name: 'github.get_issue', arguments: { issue_number: 42 } },
+    });
+
+    const [targetInfo, downstreamRequest] = forwardSpy.mock.calls[0];
+    expect(targetInfo).toMatchObject({ target: 'github', targetPath: '/mcp' });
+    expect(downstreamRequest.body.params).toEqual({ name: 'get_issue', arguments: { issue_number: 42 } });
+    expect(data.result.content[0].text).toBe('Issue #42');
+  });
+
+  test('should return a JSON-RPC error for ambiguous tool names', async () => {
+    const { data } = await postRpc({
+      jsonrpc: '2.0',
+      id: 'a1',
+      method: 'tools/call',
+      params: { name: 'read_file', arguments: { path: 'README.md' } },
+    });
+
+    expect(data).toMatchObject({
+      jsonrpc: '2.0',
+      id: 'a1',
+      error: { code: ERROR_CODES.INVALID_PARAMS, message: 'Ambiguous tool name: read_file' },
+    });
+  });
+
+  test('should return a JSON-RPC error for unknown methods and invalid requests', async () => {
+    const unknownMethod = await postRpc({ jsonrpc: '2.0', id: 1, method: 'tools/destroy' });
+    expect(unknownMethod.data.error.code).toBe(ERROR_CODES.METHOD_NOT_FOUND);
+
+    const invalid = await postRpc({ id: 2, method: 'tools/call' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.data.error.code).toBe(ERROR_CODES.INVALID_REQUEST);
+  });
+
+  test('should list namespaced tools from the registry', async () => {
+    const { data } = await postRpc({ jsonrpc: '2.0', id: 3, method: 'tools/list' });
+
+    expect(data.result.tools.map(tool => tool.name)).toEqual(aggregatedTools.map(tool => tool.name));
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Test Suite for trace propagation through the proxy
+ */
+
+const axios = require('axios');
+const MCPProxyServer = require('./proxy_server');
+const { config } = require('./config');
+const { SPAN_KINDS, STATUS_CODES, parseTraceparent } = require('../tracing');
+
+jest.mock('axios');
+
+describe('MCP Proxy Server tracing', () => {
+  let proxyServer;
+  let server;
+  let exported;
+  const testPort = 8981;
+  const baseUrl = `http://localhost:${testPort}`;
+  const traceId = '0af7651916cd43dd8448eb211c80319c';
+
+  const callTool = (headers = {}) => fetch(`${baseUrl}/rpc`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'read_file', arguments: { path: 'a.md' } } }),
+  });
+
+  // Server spans end when the response closes, just after the client has read it
+  const waitForSpan = async (name) => {
+    for (let i = 0; i < 50 && !exported.some(span => span.name === name); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return exported.find(span => span.name === name);
+  };
+
+  beforeAll(async () => {
+    config.server.port = testPort;
+    config.server.host = 'localhost';
+    config.healthCheck.enabled = false;
+    config.logging.enableRequestLogging = false;
+
+    proxyServer = new MCPProxyServer();
+    proxyServer.tracer.exporter = { export: span => exported.push(span), shutdown: async () => {} };
+    server = await proxyServer.start();
+  });
+
+  afterAll(async () => {
+    await proxyServer.stop();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    exported = [];
+    proxyServer.downstreamHealthStatus.set('filesystem', { status: 'healthy' });
+    proxyServer.toolRegistry.rebuild([{ server: 'filesystem', name: 'filesystem.read_file' }]);
+    axios.mockReset();
+    axios.mockImplementation(async request => ({
+      status: 200,
+      headers: {},
+      data: { jsonrpc: '2.0', id: request.data.id, result: { content: [] } },
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should continue the caller\'s trace to the downstream server', async () => {
+    const response = await callTool({
+      traceparent: `00-${traceId}-b7ad6b7169203331-01`,
+      'X-Request-Id': 'req-42',
+    });
+    expect(response.headers.get('x-request-id')).toBe('req-42');
+
+    const serverSpan = await waitForSpan('POST /rpc');
+    const forwardSpan = exported.find(span => span.name === 'forward filesystem');
+    expect(serverSpan).toMatchObject({ traceId, parentSpanId: 'b7ad6b7169203331', kind: SPAN_KINDS.SERVER });
+    expect(serverSpan.attributes).toMatchObject({ 'http.response.status_code': 200, 'mcp.target': 'filesystem' });
+    expect(forwardSpan).toMatchObject({ traceId, parentSpanId: serverSpan.spanId, kind: SPAN_KINDS.CLIENT });
+    expect(forwardSpan.attributes).toMatchObject({ 'rpc.method': 'tools/call', 'mcp.tool': 'read_file' });
+
+    // The downstream request carries the forward span as its parent
+    const { headers } = axios.mock.calls[0][0];
+    expect(parseTraceparent(headers.traceparent)).toEqual({ traceId, spanId: forwardSpan.spanId, flags: '01' });
+    expect(headers['x-request-id']).toBe('req-42');
+  });
+
+  test('should start a trace for requests without one and return its id', async () => {
+    const response = await callTool();
+    const requestId = response.headers.get('x-request-id');
+
+    const serverSpan = await waitForSpan('POST /rpc');
+    expect(requestId).toBe(serverSpan.traceId);
+    expect(serverSpan.parentSpanId).toBeNull();
+    expect(axios.mock.calls[0][0].headers['x-request-id']).toBe(requestId);
+  });
+
+  test('should record failed downstream requests as errors', async () => {
+    axios.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+    await callTool();
+
+    await waitForSpan('POST /rpc');
+    const forwardSpan = exported.find(span => span.name === 'forward filesystem');
+    expect(forwardSpan.status).toEqual({ code: STATUS_CODES.ERROR, message: 'connect ECONNREFUSED' });
+  });
+});
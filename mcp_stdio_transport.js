@@ -0,0 +1,154 @@
+/**
+ * JSON-RPC framing over an MCP server's stdio.
+ *
+ * Messages are newline-delimited JSON. Lines are buffered until complete, so
+ * a response split across stdout chunks (or several responses in one chunk)
+ * is read correctly. Each request is sent with an id of the transport's own
+ * and matched to its response through a map of pending requests, so any
+ * number of requests can be in flight at once, even when callers reuse ids;
+ * the response is returned with the caller's original id.
+ *
+ * Messages the server sends on its own are emitted rather than matched:
+ *   'notification' (message)  - server notifications, e.g. notifications/message
+ *   'request' (message)       - server requests, e.g. roots/list; answer with respond()
+ *   'invalid' (line, error)   - lines that are not JSON, or responses nobody waits for
+ */
+
+const { EventEmitter } = require('events');
+const { StringDecoder } = require('string_decoder');
+
+const DEFAULT_REQUEST_TIMEOUT = 30000;
+
+class StdioTransport extends EventEmitter {
+    constructor(input, output, options = {}) {
+        super();
+        this.input = input;   // the server's stdout
+        this.output = output; // the server's stdin
+        this.requestTimeout = options.requestTimeout || DEFAULT_REQUEST_TIMEOUT;
+        this.nextId = 1;
+        this.pending = new Map(); // transport id -> { id, method, resolve, reject, timer }
+        this.buffer = '';
+        this.closed = false;
+        this.closeReason = null;
+        this.decoder = new StringDecoder('utf8');
+
+        this.handleData = (chunk) => this.receive(this.decoder.write(chunk));
+        this.input.on('data', this.handleData);
+    }
+
+    get pendingCount() {
+        return this.pending.size;
+    }
+
+    /**
+     * Sends a request and resolves with its response, or rejects when the
+     * server does not answer within the timeout or the transport closes.
+     */
+    request(message, { timeout = this.requestTimeout } = {}) {
+        return new Promise((resolve, reject) => {
+            if (this.closed) {
+                reject(this.closeReason);
+                return;
+            }
+
+            const transportId = this.nextId++;
+            const timer = setTimeout(() => {
+                this.pending.delete(transportId);
+                const error = new Error(`Request timeout after ${timeout}ms (${message.method})`);
+                error.code = 'ETIMEDOUT';
+                reject(error);
+            }, timeout);
+
+            this.pending.set(transportId, { id: message.id, method: message.method, resolve, reject, timer });
+            try {
+                this.write({ ...message, id: transportId });
+            } catch (error) {
+                // Nothing was sent, so no response or timeout will settle the request
+                clearTimeout(timer);
+                this.pending.delete(transportId);
+                reject(error);
+            }
+        });
+    }
+
+    // Sends a notification, which gets no response
+    notify(message) {
+        if (this.closed) {
+            throw this.closeReason;
+        }
+        const { id, ...notification } = message;
+        this.write(notification);
+    }
+
+    // Answers a request the server sent
+    respond(id, result, error) {
+        if (!this.closed) {
+            this.write(error ? { jsonrpc: '2.0', id, error } : { jsonrpc: '2.0', id, result });
+        }
+    }
+
+    write(message) {
+        this.output.write(`${JSON.stringify(message)}\n`);
+    }
+
+    receive(text) {
+        this.buffer += text;
+        let newline = this.buffer.indexOf('\n');
+        while (newline !== -1) {
+            const line = this.buffer.slice(0, newline).trim();
+            this.buffer = this.buffer.slice(newline + 1);
+            if (line) {
+                this.handleLine(line);
+            }
+            newline = this.buffer.indexOf('\n');
+        }
+    }
+
+    handleLine(line) {
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            this.emit('invalid', line, new Error('Invalid JSON from server'));
+            return;
+        }
+
+        if (message && typeof message.method === 'string') {
+            this.emit(message.id === undefined || message.id === null ? 'notification' : 'request', message);
+            return;
+        }
+
+        const pending = message ? this.pending.get(message.id) : undefined;
+        if (!pending) {
+            this.emit('invalid', line, new Error('Response does not match a pending request'));
+            return;
+        }
+
+        clearTimeout(pending.timer);
+        this.pending.delete(message.id);
+        pending.resolve({ ...message, id: pending.id });
+    }
+
+    /**
+     * Stops reading and rejects every pending request, e.g. once the server
+     * process has exited.
+     */
+    close(reason = new Error('Server process closed')) {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        this.closeReason = reason;
+        this.input.removeListener('data', this.handleData);
+        this.pending.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(reason);
+        });
+        this.pending.clear();
+    }
+}
+
+module.exports = {
+    StdioTransport,
+    DEFAULT_REQUEST_TIMEOUT
+};
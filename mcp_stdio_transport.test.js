@@ -0,0 +1,179 @@
+/**
+ * Test Suite for JSON-RPC framing over stdio
+ */
+
+const { PassThrough } = require('stream');
+const { StdioTransport } = require('./mcp_stdio_transport');
+const { MCPHttpWrapper } = require('./mcp_http_wrapper');
+
+// A transport wired to in-memory streams standing in for a server process
+const createTransport = (options) => {
+    const stdout = new PassThrough();
+    const stdin = new PassThrough();
+    const written = [];
+    stdin.on('data', chunk => chunk.toString().split('\n').filter(Boolean).forEach(line => written.push(JSON.parse(line))));
+    const transport = new StdioTransport(stdout, stdin, options);
+    return { transport, stdout, written };
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('StdioTransport', () => {
+    it('should match out-of-order responses to their requests and restore caller ids', async () => {
+        const { transport, stdout, written } = createTransport();
+        const first = transport.request({ jsonrpc: '2.0', id: 1, method: 'tools/call' });
+        const second = transport.request({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+        await flush();
+
+        expect(written.map(message => message.id)).toEqual([1, 2]);
+        stdout.write(`${JSON.stringify({ jsonrpc: '2.0', id: 2, result: { tools: [] } })}\n`);
+        stdout.write(`${JSON.stringify({ jsonrpc: '2.0', id: 1, result: { content: [] } })}\n`);
+
+        expect(await first).toEqual({ jsonrpc: '2.0', id: 1, result: { content: [] } });
+        expect(await second).toEqual({ jsonrpc: '2.0', id: 1, result: { tools: [] } });
+        expect(transport.pendingCount).toBe(0);
+    });
+
+    it('should buffer responses split across chunks and read several from one chunk', async () => {
+        const { transport, stdout } = createTransport();
+        const requests = ['a', 'b', 'c'].map(id => transport.request({ jsonrpc: '2.0', id, method: 'ping' }));
+
+        const lines = [1, 2, 3].map(id => JSON.stringify({ jsonrpc: '2.0', id, result: { text: 'é'.repeat(id) } })).join('\n');
+        const bytes = Buffer.from(`${lines}\n`);
+        // Split inside a multi-byte character as well as inside a message
+        const split = bytes.indexOf(Buffer.from('é')) + 1;
+        stdout.write(bytes.subarray(0, split));
+        stdout.write(bytes.subarray(split, split + 40));
+        stdout.write(bytes.subarray(split + 40));
+
+        const responses = await Promise.all(requests);
+        expect(responses.map(response => [response.id, response.result.text])).toEqual([['a', 'é'], ['b', 'éé'], ['c', 'ééé']]);
+    });
+
+    it('should time out requests and ignore their late responses', async () => {
+        const { transport, stdout } = createTransport({ requestTimeout: 20 });
+        const invalid = jest.fn();
+        transport.on('invalid', invalid);
+
+        await expect(transport.request({ jsonrpc: '2.0', id: 9, method: 'tools/call' })).rejects.toThrow('Request timeout after 20ms (tools/call)');
+        expect(transport.pendingCount).toBe(0);
+
+        stdout.write(`${JSON.stringify({ jsonrpc: '2.0', id: 1, result: {} })}\n`);
+        stdout.write('not json\n');
+        await flush();
+        expect(invalid.mock.calls.map(([, error]) => error.message)).toEqual([
+            'Response does not match a pending request',
+            'Invalid JSON from server'
+        ]);
+    });
+
+    it('should clean up a request whose write fails', async () => {
+        const { transport } = createTransport({ requestTimeout: 20 });
+        const timeout = jest.spyOn(global, 'clearTimeout');
+
+        // BigInt cannot be serialised, so the write throws before anything is sent
+        await expect(transport.request({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { n: 1n } })).rejects.toThrow(TypeError);
+        expect(transport.pendingCount).toBe(0);
+        expect(timeout).toHaveBeenCalledTimes(1);
+        timeout.mockRestore();
+    });
+
+    it('should emit server notifications and requests and answer them', async () => {
+        const { transport, stdout, written } = createTransport();
+        const notification = jest.fn();
+        transport.on('notification', notification);
+        transport.on('request', message => transport.respond(message.id, { roots: [] }));
+
+        stdout.write(`${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' })}\n`);
+        stdout.write(`${JSON.stringify({ jsonrpc: '2.0', id: 'srv-1', method: 'roots/list' })}\n`);
+        transport.notify({ jsonrpc: '2.0', method: 'notifications/initialized' });
+        await flush();
+
+        expect(notification).toHaveBeenCalledWith({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+        expect(written).toEqual([
+            { jsonrpc: '2.0', id: 'srv-1', result: { roots: [] } },
+            { jsonrpc: '2.0', method: 'notifications/initialized' }
+        ]);
+    });
+
+    it('should reject pending and later requests once closed', async () => {
+        const { transport } = createTransport();
+        const pending = transport.request({ jsonrpc: '2.0', id: 1, method: 'tools/call' });
+
+        transport.close(new Error('Server process exited with code 1'));
+
+        await expect(pending).rejects.toThrow('Server process exited with code 1');
+        await expect(transport.request({ jsonrpc: '2.0', id: 2, method: 'ping' })).rejects.toThrow('Server process exited with code 1');
+        expect(transport.pendingCount).toBe(0);
+    });
+});
+
+describe('MCPHttpWrapper', () => {
+    let wrapper;
+    const testPort = 8970;
+    const baseUrl = `http://localhost:${testPort}`;
+
+    const invoke = async (fileId) => {
+        const response = await fetch(`${baseUrl}/invoke/read_file`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ fileId })
+        });
+        return response.json();
+    };
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        wrapper = new MCPHttpWrapper(testPort, process.execPath, [`${__dirname}/mock_gdrive_server.js`]);
+        await wrapper.startServer();
+        await new Promise(resolve => {
+            wrapper.httpServer = wrapper.app.listen(testPort, 'localhost', resolve);
+        });
+    });
+
+    afterAll(async () => {
+        await wrapper.stop();
+        jest.restoreAllMocks();
+    });
+
+    it('should give each concurrent tool call its own response', async () => {
+        const fileIds = ['1abc123def456', '2def456ghi789', '3ghi789jkl012', '4jkl012mno345'];
+        const calls = [];
+        for (let i = 0; i < 5; i++) {
+            fileIds.forEach(fileId => calls.push({ fileId, response: invoke(fileId) }));
+        }
+
+        const results = await Promise.all(calls.map(async ({ fileId, response }) => [fileId, await response]));
+
+        results.forEach(([fileId, response]) => {
+            const expectedName = { '1': 'Sample Document', '2': 'Test Spreadsheet', '3': 'Presentation', '4': 'README' }[fileId[0]];
+            expect(response.result.content[0].text).toContain(`File: ${expectedName}`);
+        });
+        expect(wrapper.pool.workers[0].supervisor.transport.pendingCount).toBe(0);
+    });
+
+    it('should answer batches and fail pending requests when the server exits', async () => {
+        const batch = await (await fetch(`${baseUrl}/mcp`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify([
+                { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+                { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'read_file', arguments: { fileId: 'missing' } } }
+            ])
+        })).json();
+        expect(batch.map(response => response.id)).toEqual([1, 1]);
+        expect(batch[0].result.tools).toHaveLength(2);
+        expect(batch[1].error.message).toBe('File not found');
+
+        const { child } = wrapper.pool.workers[0].supervisor;
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.stdout.pause();
+        const pending = invoke('1abc123def456');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        child.kill();
+        await exited;
+
+        expect((await pending).error).toMatch(/Server process exited/);
+    });
+});
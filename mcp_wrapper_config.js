@@ -0,0 +1,228 @@
+/**
+ * MCP HTTP Wrapper Configuration
+ *
+ * The stdio MCP servers the wrapper runs are listed in a JSON or YAML file
+ * (mcp_servers.yaml by default, or MCP_WRAPPER_CONFIG / --config). Each
+ * server gets its own command, args, env and cwd, and is served either on a
+ * port of its own or under a path prefix of the shared listener:
+ *
+ *   host: localhost        # host name the proxy uses to reach the wrappers
+ *   port: 8010             # shared listener for path-mounted servers
+ *   servers:
+ *     gdrive:
+ *       command: node
+ *       args: [mock_gdrive_server.js]
+ *       port: 8005
+ *     memory:
+ *       command: npx
+ *       args: [-y, '@modelcontextprotocol/server-memory']
+ *       path: /memory
+ *       pool:                # optional, see mcp_process_pool.js
+ *         size: 2
+ *         maxRequestsPerWorker: 500
+ *
+ * Env values may reference the wrapper's own environment as ${NAME} or
+ * ${NAME:-default}. A relative cwd is resolved against the config file's
+ * directory, which is also the default cwd.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'mcp_servers.yaml');
+const DEFAULT_SHARED_PORT = 8010;
+
+// Server ids become proxy target names, so they follow the same rules
+const SERVER_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Replaces ${NAME} and ${NAME:-default} with values from `environment`
+function expandEnvValue(value, environment = process.env) {
+    return String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+        const current = environment[name];
+        return current !== undefined && current !== '' ? current : (fallback || '');
+    });
+}
+
+const isPort = value => Number.isInteger(value) && value >= 1 && value <= 65535;
+
+// Process pool settings a server may set, all non-negative integers (size at least 1)
+const POOL_SETTINGS = ['size', 'concurrency', 'maxQueue', 'maxRequestsPerWorker', 'maxMemoryMb'];
+
+function validatePoolConfig(id, pool) {
+    if (typeof pool !== 'object' || pool === null || Array.isArray(pool)) {
+        return [`Pool of server ${id} must be an object`];
+    }
+    const errors = [];
+    Object.entries(pool).forEach(([name, value]) => {
+        if (!POOL_SETTINGS.includes(name)) {
+            errors.push(`Unknown pool setting for server ${id}: ${name}`);
+        } else if (!Number.isInteger(value) || value < (name === 'size' ? 1 : 0)) {
+            errors.push(`Invalid pool ${name} for server ${id}`);
+        }
+    });
+    return errors;
+}
+
+// Returns the list of problems with a wrapper config (empty when it is valid)
+function validateWrapperConfig(candidate) {
+    if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+        return ['Wrapper config must be an object'];
+    }
+
+    const errors = [];
+    const servers = candidate.servers;
+    if (!servers || typeof servers !== 'object' || Array.isArray(servers) || Object.keys(servers).length === 0) {
+        return ['Wrapper config needs at least one server under "servers"'];
+    }
+    if (candidate.port !== undefined && !isPort(candidate.port)) {
+        errors.push('Invalid shared port');
+    }
+
+    const sharedPort = candidate.port === undefined ? DEFAULT_SHARED_PORT : candidate.port;
+    const ports = new Map();
+    const paths = new Map();
+    Object.entries(servers).forEach(([id, server]) => {
+        if (!SERVER_ID_PATTERN.test(id)) {
+            errors.push(`Invalid server id: ${id} (letters, digits, "-" and "_" only)`);
+        }
+        if (!server || typeof server !== 'object') {
+            errors.push(`Server ${id} must be an object`);
+            return;
+        }
+        if (typeof server.command !== 'string' || server.command === '') {
+            errors.push(`Server ${id} needs a command`);
+        }
+        if (server.args !== undefined && !(Array.isArray(server.args) && server.args.every(arg => typeof arg === 'string'))) {
+            errors.push(`Args of server ${id} must be a list of strings`);
+        }
+        if (server.env !== undefined && (typeof server.env !== 'object' || server.env === null || Array.isArray(server.env))) {
+            errors.push(`Env of server ${id} must be an object`);
+        }
+        if (server.cwd !== undefined && typeof server.cwd !== 'string') {
+            errors.push(`Cwd of server ${id} must be a path`);
+        }
+        if (server.timeout !== undefined && !(Number.isInteger(server.timeout) && server.timeout > 0)) {
+            errors.push(`Invalid timeout for server ${id}`);
+        }
+        if (server.pool !== undefined) {
+            errors.push(...validatePoolConfig(id, server.pool));
+        }
+
+        if ((server.port === undefined) === (server.path === undefined)) {
+            errors.push(`Server ${id} needs either a port or a path`);
+        } else if (server.port !== undefined) {
+            if (!isPort(server.port)) {
+                errors.push(`Invalid port for server ${id}`);
+            } else if (server.port === sharedPort) {
+                errors.push(`Server ${id} uses the shared port ${sharedPort}`);
+            } else if (ports.has(server.port)) {
+                errors.push(`Servers ${ports.get(server.port)} and ${id} use the same port ${server.port}`);
+            }
+            ports.set(server.port, id);
+        } else if (typeof server.path !== 'string' || !/^\/[^/]/.test(server.path)) {
+            errors.push(`Path of server ${id} must start with "/" and not be "/"`);
+        } else {
+            const mountPath = server.path.replace(/\/+$/, '');
+            if (paths.has(mountPath)) {
+                errors.push(`Servers ${paths.get(mountPath)} and ${id} use the same path ${mountPath}`);
+            }
+            paths.set(mountPath, id);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Reads, validates and normalizes a wrapper config file (JSON or YAML,
+ * chosen by extension). Throws with every problem found when it is invalid.
+ */
+function loadWrapperConfig(filePath = process.env.MCP_WRAPPER_CONFIG || DEFAULT_CONFIG_FILE, environment = process.env) {
+    const resolved = path.resolve(filePath);
+    let parsed;
+    try {
+        const contents = fs.readFileSync(resolved, 'utf8');
+        parsed = ['.yaml', '.yml'].includes(path.extname(resolved).toLowerCase())
+            ? yaml.load(contents)
+            : JSON.parse(contents);
+    } catch (error) {
+        throw new Error(`Cannot read wrapper config ${resolved}: ${error.message}`);
+    }
+
+    const errors = validateWrapperConfig(parsed);
+    if (errors.length > 0) {
+        const error = new Error(`Wrapper config validation failed:\n${errors.join('\n')}`);
+        error.validationErrors = errors;
+        throw error;
+    }
+
+    const baseDir = path.dirname(resolved);
+    const servers = {};
+    Object.entries(parsed.servers).forEach(([id, server]) => {
+        servers[id] = {
+            id,
+            command: server.command,
+            args: server.args || [],
+            env: Object.fromEntries(Object.entries(server.env || {}).map(([name, value]) => [name, expandEnvValue(value, environment)])),
+            cwd: path.resolve(baseDir, server.cwd || '.'),
+            port: server.port,
+            path: server.path === undefined ? undefined : server.path.replace(/\/+$/, ''),
+            description: server.description || `${id} MCP Server`,
+            timeout: server.timeout,
+            pool: server.pool
+        };
+    });
+
+    return {
+        file: resolved,
+        host: parsed.host || 'localhost',
+        port: parsed.port === undefined ? DEFAULT_SHARED_PORT : parsed.port,
+        servers
+    };
+}
+
+// The URL the proxy reaches a configured server at
+function getServerUrl(wrapperConfig, server) {
+    return server.port !== undefined
+        ? `http://${wrapperConfig.host}:${server.port}`
+        : `http://${wrapperConfig.host}:${wrapperConfig.port}${server.path}`;
+}
+
+/**
+ * Builds the proxy's `downstreamServers` section for the configured
+ * servers (or only those in `ids`), ready for a PROXY_CONFIG_FILE.
+ */
+function buildDownstreamServers(wrapperConfig, ids = Object.keys(wrapperConfig.servers)) {
+    const downstreamServers = {};
+    ids.forEach((id) => {
+        const server = wrapperConfig.servers[id];
+        downstreamServers[id] = {
+            url: getServerUrl(wrapperConfig, server),
+            description: server.description,
+            healthEndpoint: '/health'
+        };
+        if (server.timeout !== undefined) {
+            downstreamServers[id].timeout = server.timeout;
+        }
+    });
+    return downstreamServers;
+}
+
+// Serializes a proxy config file with the generated section, as YAML or JSON by extension
+function formatProxyConfig(downstreamServers, filePath = 'proxy.yaml') {
+    const contents = { downstreamServers };
+    return ['.yaml', '.yml'].includes(path.extname(filePath).toLowerCase())
+        ? `# Generated by mcp_http_wrapper.js from the wrapper config\n${yaml.dump(contents)}`
+        : `${JSON.stringify(contents, null, 2)}\n`;
+}
+
+module.exports = {
+    DEFAULT_CONFIG_FILE,
+    DEFAULT_SHARED_PORT,
+    expandEnvValue,
+    validateWrapperConfig,
+    loadWrapperConfig,
+    getServerUrl,
+    buildDownstreamServers,
+    formatProxyConfig
+};
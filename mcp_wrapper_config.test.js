@@ -0,0 +1,216 @@
+/**
+ * Test Suite for the multi-server wrapper config
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const {
+    DEFAULT_CONFIG_FILE,
+    expandEnvValue,
+    validateWrapperConfig,
+    loadWrapperConfig,
+    buildDownstreamServers,
+    formatProxyConfig
+} = require('./mcp_wrapper_config');
+const { MCPWrapperHost, parseArgs } = require('./mcp_http_wrapper');
+const { readConfigFile, validateConfig, config: proxyConfig } = require('./mcp_proxy_server/config');
+
+// A stdio server whose single tool reports its cwd, an env variable and its args
+const ECHO_SERVER = `
+    require('readline').createInterface({ input: process.stdin }).on('line', (line) => {
+        const { id, method } = JSON.parse(line);
+        if (id === undefined) return;
+        const result = method === 'initialize'
+            ? { protocolVersion: '2024-11-05', capabilities: { tools: {} }, serverInfo: { name: 'echo', version: '1.0.0' } }
+            : { content: [{ type: 'text', text: JSON.stringify({ cwd: process.cwd(), greeting: process.env.GREETING, args: process.argv.slice(2) }) }] };
+        console.log(JSON.stringify({ jsonrpc: '2.0', id, result }));
+    });
+`;
+
+describe('Wrapper config', () => {
+    let dir;
+
+    const writeConfig = (contents, name = 'servers.yaml') => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, name.endsWith('.json') ? JSON.stringify(contents) : yaml.dump(contents));
+        return file;
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-wrapper-config-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should expand environment references in env values', () => {
+        const environment = { TOKEN: 'secret', EMPTY: '' };
+        expect(expandEnvValue('${TOKEN}', environment)).toBe('secret');
+        expect(expandEnvValue('Bearer ${TOKEN}!', environment)).toBe('Bearer secret!');
+        expect(expandEnvValue('${MISSING:-dummy_token}', environment)).toBe('dummy_token');
+        expect(expandEnvValue('${EMPTY:-fallback}', environment)).toBe('fallback');
+        expect(expandEnvValue('${MISSING}', environment)).toBe('');
+        expect(expandEnvValue(8080, environment)).toBe('8080');
+    });
+
+    it('should report every problem with a config', () => {
+        expect(validateWrapperConfig({ servers: {} })).toEqual(['Wrapper config needs at least one server under "servers"']);
+        expect(validateWrapperConfig({
+            port: 8010,
+            servers: {
+                'bad id': { command: 'node', port: 9001 },
+                noCommand: { args: 'x', port: 9001 },
+                both: { command: 'node', port: 9002, path: '/both' },
+                shared: { command: 'node', port: 8010 },
+                root: { command: 'node', path: '/' },
+                first: { command: 'node', path: '/same/' },
+                second: { command: 'node', path: '/same', env: [] }
+            }
+        })).toEqual([
+            'Invalid server id: bad id (letters, digits, "-" and "_" only)',
+            'Server noCommand needs a command',
+            'Args of server noCommand must be a list of strings',
+            'Servers bad id and noCommand use the same port 9001',
+            'Server both needs either a port or a path',
+            'Server shared uses the shared port 8010',
+            'Path of server root must start with "/" and not be "/"',
+            'Env of server second must be an object',
+            'Servers first and second use the same path /same'
+        ]);
+        expect(validateWrapperConfig({
+            servers: {
+                pooled: { command: 'node', port: 9001, pool: { size: 0, maxQueue: -1, workers: 2 } },
+                listed: { command: 'node', port: 9002, pool: [2] }
+            }
+        })).toEqual([
+            'Invalid pool size for server pooled',
+            'Invalid pool maxQueue for server pooled',
+            'Unknown pool setting for server pooled: workers',
+            'Pool of server listed must be an object'
+        ]);
+    });
+
+    it('should load a config and resolve cwd against the config file', () => {
+        const file = writeConfig({
+            host: 'wrappers.internal',
+            servers: {
+                docs: { command: 'node', args: ['server.js'], cwd: 'docs', env: { TOKEN: '${DOCS_TOKEN:-none}' }, port: 9101 },
+                notes: { command: 'node', path: '/notes/', timeout: 5000, description: 'Notes', pool: { size: 2, maxRequestsPerWorker: 100 } }
+            }
+        }, 'servers.json');
+
+        const wrapperConfig = loadWrapperConfig(file, { DOCS_TOKEN: 'abc' });
+
+        expect(wrapperConfig).toMatchObject({ host: 'wrappers.internal', port: 8010 });
+        expect(wrapperConfig.servers.docs).toMatchObject({ args: ['server.js'], cwd: path.join(dir, 'docs'), env: { TOKEN: 'abc' } });
+        expect(wrapperConfig.servers.notes).toMatchObject({ args: [], cwd: dir, path: '/notes', pool: { size: 2, maxRequestsPerWorker: 100 } });
+        expect(buildDownstreamServers(wrapperConfig)).toEqual({
+            docs: { url: 'http://wrappers.internal:9101', description: 'docs MCP Server', healthEndpoint: '/health' },
+            notes: { url: 'http://wrappers.internal:8010/notes', description: 'Notes', healthEndpoint: '/health', timeout: 5000 }
+        });
+        expect(() => loadWrapperConfig(writeConfig({ servers: { docs: { command: 'node' } } })))
+            .toThrow('Wrapper config validation failed:\nServer docs needs either a port or a path');
+        expect(() => loadWrapperConfig(path.join(dir, 'missing.yaml'))).toThrow('Cannot read wrapper config');
+    });
+
+    it('should generate a proxy config file that the proxy accepts', () => {
+        const downstreamServers = buildDownstreamServers(loadWrapperConfig(DEFAULT_CONFIG_FILE));
+        const file = path.join(dir, 'proxy.yaml');
+        fs.writeFileSync(file, formatProxyConfig(downstreamServers, file));
+
+        const proxyFile = readConfigFile(file);
+        expect(Object.keys(proxyFile.downstreamServers)).toEqual(['filesystem', 'everything', 'memory', 'github', 'gdrive']);
+        expect(proxyFile.downstreamServers.gdrive).toMatchObject({ url: 'http://localhost:8005', timeout: 20000 });
+        expect(validateConfig({ ...proxyConfig, downstreamServers: proxyFile.downstreamServers })).toBe(true);
+        expect(JSON.parse(formatProxyConfig(downstreamServers, 'proxy.json'))).toEqual({ downstreamServers });
+    });
+
+    it('should parse the command line', () => {
+        expect(parseArgs(['gdrive', '--config', 'x.yaml', 'memory', '--print-proxy-config'])).toEqual({
+            ids: ['gdrive', 'memory'],
+            all: false,
+            configFile: 'x.yaml',
+            printProxyConfig: true,
+            writeProxyConfig: null
+        });
+    });
+
+    it('should run only the filesystem server unless ids or --all are given', () => {
+        expect(parseArgs([])).toMatchObject({ ids: ['filesystem'], all: false });
+        expect(parseArgs(['--all', '--print-proxy-config'])).toMatchObject({ ids: [], all: true, printProxyConfig: true });
+    });
+});
+
+describe('MCPWrapperHost', () => {
+    let dir;
+    let host;
+
+    const callEcho = async (url) => {
+        const response = await fetch(`${url}/invoke/echo`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{}'
+        });
+        return JSON.parse((await response.json()).result.content[0].text);
+    };
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-wrapper-host-'));
+        fs.mkdirSync(path.join(dir, 'beta'));
+        fs.writeFileSync(path.join(dir, 'echo_server.js'), ECHO_SERVER);
+        fs.writeFileSync(path.join(dir, 'servers.yaml'), yaml.dump({
+            port: 8963,
+            servers: {
+                alpha: { command: process.execPath, args: ['echo_server.js', '--alpha'], env: { GREETING: 'hello alpha' }, port: 8964 },
+                beta: { command: process.execPath, args: ['../echo_server.js'], cwd: 'beta', env: { GREETING: 'hello beta' }, path: '/beta' },
+                broken: { command: path.join(dir, 'missing-binary'), path: '/broken' }
+            }
+        }));
+
+        host = new MCPWrapperHost(loadWrapperConfig(path.join(dir, 'servers.yaml')));
+        expect(await host.start()).toEqual({ started: ['alpha', 'beta'], failed: ['broken'] });
+    });
+
+    afterAll(async () => {
+        await host.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    it('should serve each server on its own port or path with its own env, cwd and args', async () => {
+        const alpha = await callEcho('http://localhost:8964');
+        const beta = await callEcho('http://localhost:8963/beta');
+
+        expect(alpha).toEqual({ cwd: fs.realpathSync(dir), greeting: 'hello alpha', args: ['--alpha'] });
+        expect(beta).toEqual({ cwd: fs.realpathSync(path.join(dir, 'beta')), greeting: 'hello beta', args: [] });
+
+        const betaHealth = await (await fetch('http://localhost:8963/beta/health')).json();
+        expect(betaHealth).toMatchObject({ status: 'healthy', name: 'beta', mcp: { serverInfo: { name: 'echo' } } });
+    });
+
+    it('should report every server on the shared /health and generate their proxy entries', async () => {
+        const overview = await (await fetch('http://localhost:8963/health')).json();
+
+        expect(overview).toMatchObject({
+            status: 'degraded',
+            ready: 2,
+            total: 3,
+            servers: {
+                alpha: { url: 'http://localhost:8964', ready: true },
+                beta: { url: 'http://localhost:8963/beta', ready: true },
+                broken: { ready: false, process: 'stopped' }
+            }
+        });
+        expect((await fetch('http://localhost:8963/broken/health')).status).toBe(503);
+        expect(Object.keys(host.getDownstreamServers())).toEqual(['alpha', 'beta', 'broken']);
+    });
+
+    it('should refuse unknown server ids', () => {
+        expect(() => new MCPWrapperHost(host.config, ['alpha', 'gamma'])).toThrow('Unknown server type: gamma');
+    });
+});
@@ -0,0 +1,343 @@
+/**
+ * Distributed tracing shared by the agent's MCPClient, the MCP proxy server
+ * and the MCP HTTP wrapper.
+ *
+ * Every hop continues the trace it receives in a W3C `traceparent` header
+ * (https://www.w3.org/TR/trace-context/) and passes it on, together with an
+ * `X-Request-Id` correlation id that is printed in each component's logs.
+ * Spans are kept in process and, if an exporter is configured, sent in
+ * OTLP/JSON to a collector or appended to a file, so one request can be
+ * followed from the agent to the wrapped MCP server.
+ *
+ * Environment:
+ * - TRACE_EXPORTER: `none` (default), `otlp-http` or `file`
+ * - OTEL_EXPORTER_OTLP_ENDPOINT: collector base URL (default http://localhost:4318)
+ * - TRACE_EXPORT_FILE: file for the `file` exporter (default traces.jsonl)
+ * - OTEL_SERVICE_NAME: overrides the service name of a component
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+// OTLP span kinds and status codes
+const SPAN_KINDS = {
+    INTERNAL: 1,
+    SERVER: 2,
+    CLIENT: 3,
+};
+const STATUS_CODES = {
+    UNSET: 0,
+    OK: 1,
+    ERROR: 2,
+};
+
+const EXPORTERS = ['none', 'otlp-http', 'file'];
+
+function randomHex(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Returns { traceId, spanId, flags } for a valid traceparent header, otherwise null
+function parseTraceparent(header) {
+    const match = TRACEPARENT_PATTERN.exec(typeof header === 'string' ? header.trim().toLowerCase() : '');
+    if (!match || match[1] === 'ff' || match[2] === INVALID_TRACE_ID || match[3] === INVALID_SPAN_ID) {
+        return null;
+    }
+    return { traceId: match[2], spanId: match[3], flags: match[4] };
+}
+
+function formatTraceparent(traceId, spanId, flags = '01') {
+    return `00-${traceId}-${spanId}-${flags}`;
+}
+
+// Reads a header from a plain or Node.js headers object, whatever its case
+function getHeader(headers, name) {
+    if (!headers) {
+        return undefined;
+    }
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+    const value = key === undefined ? undefined : headers[key];
+    return Array.isArray(value) ? value[0] : value;
+}
+
+function toAttributeValue(value) {
+    if (typeof value === 'boolean') {
+        return { boolValue: value };
+    }
+    if (Number.isInteger(value)) {
+        return { intValue: String(value) };
+    }
+    if (typeof value === 'number') {
+        return { doubleValue: value };
+    }
+    return { stringValue: String(value) };
+}
+
+function toAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ({ key, value: toAttributeValue(value) }));
+}
+
+class Span {
+    constructor(tracer, name, { kind = SPAN_KINDS.INTERNAL, parent = null, attributes = {} } = {}) {
+        this.tracer = tracer;
+        this.name = name;
+        this.kind = kind;
+        this.traceId = parent ? parent.traceId : randomHex(16);
+        this.spanId = randomHex(8);
+        this.parentSpanId = parent ? parent.spanId : null;
+        this.flags = parent ? parent.flags : '01';
+        // The correlation id stays the same for every span of a trace
+        this.requestId = (parent && parent.requestId) || this.traceId;
+        this.attributes = { ...attributes };
+        this.status = { code: STATUS_CODES.UNSET };
+        this.startTimeUnixNano = BigInt(Date.now()) * 1000000n;
+        this.startHrTime = process.hrtime.bigint();
+        this.endTimeUnixNano = null;
+    }
+
+    setAttribute(key, value) {
+        this.attributes[key] = value;
+        return this;
+    }
+
+    setAttributes(attributes) {
+        Object.assign(this.attributes, attributes);
+        return this;
+    }
+
+    setError(error) {
+        this.status = { code: STATUS_CODES.ERROR, message: error && error.message ? error.message : String(error) };
+        return this;
+    }
+
+    get ended() {
+        return this.endTimeUnixNano !== null;
+    }
+
+    get durationMs() {
+        const end = this.ended ? this.endTimeUnixNano : BigInt(Date.now()) * 1000000n;
+        return Number(end - this.startTimeUnixNano) / 1e6;
+    }
+
+    traceparent() {
+        return formatTraceparent(this.traceId, this.spanId, this.flags);
+    }
+
+    // Ends the span once; later calls are ignored
+    end() {
+        if (this.ended) {
+            return;
+        }
+        this.endTimeUnixNano = this.startTimeUnixNano + (process.hrtime.bigint() - this.startHrTime);
+        this.tracer.onEnd(this);
+    }
+
+    // The span in the OTLP/JSON encoding
+    toOtlp() {
+        const span = {
+            traceId: this.traceId,
+            spanId: this.spanId,
+            name: this.name,
+            kind: this.kind,
+            startTimeUnixNano: this.startTimeUnixNano.toString(),
+            endTimeUnixNano: (this.endTimeUnixNano || this.startTimeUnixNano).toString(),
+            attributes: toAttributes({ ...this.attributes, 'request.id': this.requestId }),
+            status: this.status,
+        };
+        if (this.parentSpanId) {
+            span.parentSpanId = this.parentSpanId;
+        }
+        return span;
+    }
+}
+
+/**
+ * Buffers finished spans and sends them as OTLP/JSON
+ * `ExportTraceServiceRequest`s, every `flushInterval` ms or once
+ * `maxBatchSize` spans are waiting. Export failures are logged and dropped.
+ */
+class OtlpExporter {
+    constructor(options = {}) {
+        this.serviceName = options.serviceName || 'unknown_service';
+        this.maxBatchSize = options.maxBatchSize || 100;
+        this.buffer = [];
+        this.timer = setInterval(() => this.flush(), options.flushInterval || 5000);
+        this.timer.unref();
+    }
+
+    export(span) {
+        this.buffer.push(span);
+        if (this.buffer.length >= this.maxBatchSize) {
+            this.flush();
+        }
+    }
+
+    buildRequest(spans) {
+        return {
+            resourceSpans: [{
+                resource: { attributes: toAttributes({ 'service.name': this.serviceName }) },
+                scopeSpans: [{
+                    scope: { name: 'mcp-tracing', version: '1.0.0' },
+                    spans: spans.map(span => span.toOtlp()),
+                }],
+            }],
+        };
+    }
+
+    async flush() {
+        if (this.buffer.length === 0) {
+            return;
+        }
+        const spans = this.buffer.splice(0, this.buffer.length);
+        try {
+            await this.write(this.buildRequest(spans));
+        } catch (error) {
+            console.error(`Failed to export ${spans.length} spans:`, error.message);
+        }
+    }
+
+    async shutdown() {
+        clearInterval(this.timer);
+        await this.flush();
+    }
+}
+
+// Posts to an OTLP/HTTP collector, e.g. the OpenTelemetry Collector or Jaeger on port 4318
+class OtlpHttpExporter extends OtlpExporter {
+    constructor(options = {}) {
+        super(options);
+        this.url = `${(options.endpoint || 'http://localhost:4318').replace(/\/$/, '')}/v1/traces`;
+        this.timeout = options.timeout || 5000;
+    }
+
+    async write(request) {
+        await axios.post(this.url, request, { timeout: this.timeout });
+    }
+}
+
+// Appends one request per line, the format the collector's file exporter writes and its otlpjsonfile receiver reads
+class OtlpFileExporter extends OtlpExporter {
+    constructor(options = {}) {
+        super(options);
+        this.file = options.file || 'traces.jsonl';
+    }
+
+    async write(request) {
+        await fs.promises.appendFile(this.file, `${JSON.stringify(request)}\n`);
+    }
+}
+
+function createExporter(options = {}) {
+    switch (options.exporter || 'none') {
+        case 'otlp-http':
+            return new OtlpHttpExporter(options);
+        case 'file':
+            return new OtlpFileExporter(options);
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown trace exporter: ${options.exporter} (expected one of ${EXPORTERS.join(', ')})`);
+    }
+}
+
+// Exporter options from the environment, shared by all three components
+function getTracingConfig(serviceName, env = process.env) {
+    return {
+        serviceName: env.OTEL_SERVICE_NAME || serviceName,
+        exporter: env.TRACE_EXPORTER || 'none',
+        endpoint: env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318',
+        file: env.TRACE_EXPORT_FILE || 'traces.jsonl',
+        flushInterval: parseInt(env.TRACE_EXPORT_INTERVAL, 10) || 5000,
+    };
+}
+
+class Tracer {
+    constructor(options = {}) {
+        this.serviceName = options.serviceName || 'unknown_service';
+        // `exporter` names the exporter to create; `spanExporter` supplies one directly
+        this.exporter = options.spanExporter !== undefined ? options.spanExporter : createExporter(options);
+        this.storage = new AsyncLocalStorage();
+    }
+
+    /**
+     * Starts a span. Its parent is `parent` (a span or a context from
+     * extract()), otherwise the active span; without either it starts a trace.
+     */
+    startSpan(name, { kind, parent, attributes } = {}) {
+        return new Span(this, name, {
+            kind,
+            parent: parent !== undefined ? parent : this.activeSpan(),
+            attributes,
+        });
+    }
+
+    // Runs fn with span as the active span, across awaits
+    withSpan(span, fn) {
+        return this.storage.run(span, fn);
+    }
+
+    activeSpan() {
+        return this.storage.getStore() || null;
+    }
+
+    /**
+     * Reads the incoming trace context from request headers. Returns
+     * { traceId, spanId, flags, requestId }, or null if the headers carry
+     * neither a valid traceparent nor an X-Request-Id.
+     */
+    extract(headers) {
+        const context = parseTraceparent(getHeader(headers, 'traceparent'));
+        const requestId = getHeader(headers, 'x-request-id') || null;
+        if (!context) {
+            // A new trace that keeps the caller's correlation id
+            return requestId ? { traceId: randomHex(16), spanId: null, flags: '01', requestId } : null;
+        }
+        return { ...context, requestId: requestId || context.traceId };
+    }
+
+    // Adds the headers that continue the span's trace on the next hop
+    inject(span, headers = {}) {
+        headers.traceparent = span.traceparent();
+        headers['x-request-id'] = span.requestId;
+        return headers;
+    }
+
+    onEnd(span) {
+        if (this.exporter) {
+            this.exporter.export(span);
+        }
+    }
+
+    async shutdown() {
+        if (this.exporter) {
+            await this.exporter.shutdown();
+        }
+    }
+
+    static fromEnv(serviceName, env = process.env) {
+        return new Tracer(getTracingConfig(serviceName, env));
+    }
+}
+
+module.exports = {
+    Tracer,
+    Span,
+    OtlpExporter,
+    OtlpHttpExporter,
+    OtlpFileExporter,
+    createExporter,
+    getTracingConfig,
+    parseTraceparent,
+    formatTraceparent,
+    SPAN_KINDS,
+    STATUS_CODES,
+    EXPORTERS,
+};
@@ -0,0 +1,123 @@
+/**
+ * Test Suite for distributed tracing
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    Tracer,
+    OtlpFileExporter,
+    createExporter,
+    parseTraceparent,
+    formatTraceparent,
+    SPAN_KINDS,
+    STATUS_CODES
+} = require('./tracing');
+
+describe('traceparent', () => {
+    it('should parse valid headers and reject invalid ones', () => {
+        expect(parseTraceparent('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01')).toEqual({
+            traceId: '0af7651916cd43dd8448eb211c80319c',
+            spanId: 'b7ad6b7169203331',
+            flags: '01'
+        });
+        expect(parseTraceparent('00-00000000000000000000000000000000-b7ad6b7169203331-01')).toBeNull();
+        expect(parseTraceparent('ff-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01')).toBeNull();
+        expect(parseTraceparent('not a traceparent')).toBeNull();
+        expect(parseTraceparent(undefined)).toBeNull();
+    });
+
+    it('should format a header that parses back', () => {
+        const header = formatTraceparent('0af7651916cd43dd8448eb211c80319c', 'b7ad6b7169203331', '00');
+        expect(parseTraceparent(header).flags).toBe('00');
+    });
+});
+
+describe('Tracer', () => {
+    const tracer = new Tracer({ serviceName: 'test', spanExporter: null });
+
+    it('should continue an incoming trace and keep its request id', () => {
+        const context = tracer.extract({
+            traceparent: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01',
+            'X-Request-Id': 'req-42'
+        });
+        const span = tracer.startSpan('GET /health', { kind: SPAN_KINDS.SERVER, parent: context });
+
+        expect(span.traceId).toBe('0af7651916cd43dd8448eb211c80319c');
+        expect(span.parentSpanId).toBe('b7ad6b7169203331');
+        expect(span.requestId).toBe('req-42');
+        expect(tracer.inject(span, {})).toEqual({
+            traceparent: `00-0af7651916cd43dd8448eb211c80319c-${span.spanId}-01`,
+            'x-request-id': 'req-42'
+        });
+    });
+
+    it('should start a new trace that keeps a bare X-Request-Id', () => {
+        const span = tracer.startSpan('POST /rpc', { parent: tracer.extract({ 'x-request-id': 'req-7' }) });
+
+        expect(span.traceId).toMatch(/^[0-9a-f]{32}$/);
+        expect(span.requestId).toBe('req-7');
+        expect(tracer.extract({})).toBeNull();
+    });
+
+    it('should parent spans on the active span across awaits', async () => {
+        const root = tracer.startSpan('root');
+        const child = await tracer.withSpan(root, async () => {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            return tracer.startSpan('child');
+        });
+
+        expect(child.traceId).toBe(root.traceId);
+        expect(child.parentSpanId).toBe(root.spanId);
+        expect(child.requestId).toBe(root.traceId);
+        expect(tracer.activeSpan()).toBeNull();
+    });
+
+    it('should hand finished spans to the exporter once, in OTLP/JSON', () => {
+        const exporter = { export: jest.fn() };
+        const exporting = new Tracer({ serviceName: 'test', spanExporter: exporter });
+        const span = exporting.startSpan('forward github', { kind: SPAN_KINDS.CLIENT, attributes: { 'mcp.target': 'github', retries: 2 } });
+        span.setError(new Error('boom'));
+        span.end();
+        span.end();
+
+        expect(exporter.export).toHaveBeenCalledTimes(1);
+        const otlp = span.toOtlp();
+        expect(otlp).toMatchObject({ name: 'forward github', kind: SPAN_KINDS.CLIENT, status: { code: STATUS_CODES.ERROR, message: 'boom' } });
+        expect(otlp.attributes).toEqual(expect.arrayContaining([
+            { key: 'mcp.target', value: { stringValue: 'github' } },
+            { key: 'retries', value: { intValue: '2' } }
+        ]));
+        expect(BigInt(otlp.endTimeUnixNano)).toBeGreaterThanOrEqual(BigInt(otlp.startTimeUnixNano));
+    });
+});
+
+describe('exporters', () => {
+    it('should reject unknown exporters and create none by default', () => {
+        expect(createExporter()).toBeNull();
+        expect(() => createExporter({ exporter: 'zipkin' })).toThrow('Unknown trace exporter: zipkin');
+    });
+
+    it('should append one OTLP/JSON export request per flush to a file', async () => {
+        const file = path.join(os.tmpdir(), `traces-${process.pid}.jsonl`);
+        const exporter = new OtlpFileExporter({ serviceName: 'mcp-proxy-server', file });
+        const tracer = new Tracer({ spanExporter: exporter });
+        tracer.startSpan('one').end();
+        tracer.startSpan('two').end();
+
+        try {
+            await tracer.shutdown();
+            const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+            expect(lines).toHaveLength(1);
+
+            const request = JSON.parse(lines[0]);
+            expect(request.resourceSpans[0].resource.attributes).toEqual([
+                { key: 'service.name', value: { stringValue: 'mcp-proxy-server' } }
+            ]);
+            expect(request.resourceSpans[0].scopeSpans[0].spans.map(span => span.name)).toEqual(['one', 'two']);
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+    });
+});